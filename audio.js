@@ -0,0 +1,242 @@
+// Audio
+// Sound effects and background music, synthesized with the Web Audio API (no sound files).
+// The AudioContext is made on the first play() or unlock(), which browsers only allow to start
+// after a user gesture; without Web Audio every call is a no-op.
+//
+// Settings (version 1, localStorage `overstack.audio`):
+//   version       - AUDIO_VERSION; other versions start from the defaults
+//   muted         - silences effects and music
+//   effectsVolume - 0..1
+//   musicVolume   - 0..1 (0 stops the music)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackSave = isNode ? require('./save.js') : global.OverstackSave;
+
+    const AUDIO_VERSION = 1;
+    const STORAGE_KEY = 'overstack.audio';
+    const DEFAULT_SETTINGS = { muted: false, effectsVolume: 0.8, musicVolume: 0.3 };
+
+    // Effects as notes: { freq, to?, at, duration, type, gain }; `to` glides the pitch, `at` is seconds after the start
+    const SOUNDS = {
+        pick: [
+            { freq: 660, to: 880, at: 0, duration: 0.06, type: 'square', gain: 0.15 }
+        ],
+        insert: [
+            { freq: 330, to: 220, at: 0, duration: 0.08, type: 'triangle', gain: 0.5 }
+        ],
+        match: [
+            { freq: 523, at: 0, duration: 0.12, type: 'sine', gain: 0.4 },
+            { freq: 659, at: 0.07, duration: 0.12, type: 'sine', gain: 0.4 },
+            { freq: 784, at: 0.14, duration: 0.2, type: 'sine', gain: 0.4 }
+        ],
+        tool: [
+            { freq: 440, to: 660, at: 0, duration: 0.14, type: 'triangle', gain: 0.4 }
+        ],
+        warning: [
+            { freq: 880, at: 0, duration: 0.08, type: 'square', gain: 0.12 },
+            { freq: 880, at: 0.14, duration: 0.08, type: 'square', gain: 0.12 }
+        ],
+        win: [
+            { freq: 523, at: 0, duration: 0.14, type: 'triangle', gain: 0.45 },
+            { freq: 659, at: 0.12, duration: 0.14, type: 'triangle', gain: 0.45 },
+            { freq: 784, at: 0.24, duration: 0.14, type: 'triangle', gain: 0.45 },
+            { freq: 1047, at: 0.36, duration: 0.4, type: 'triangle', gain: 0.45 }
+        ],
+        gameOver: [
+            { freq: 392, at: 0, duration: 0.2, type: 'sawtooth', gain: 0.15 },
+            { freq: 330, at: 0.2, duration: 0.2, type: 'sawtooth', gain: 0.15 },
+            { freq: 262, at: 0.4, duration: 0.2, type: 'sawtooth', gain: 0.15 },
+            { freq: 196, to: 150, at: 0.6, duration: 0.5, type: 'sawtooth', gain: 0.15 }
+        ]
+    };
+    const SOUND_NAMES = Object.keys(SOUNDS);
+
+    // Music: a looping eighth-note arpeggio over four chords (Am, F, C, G)
+    const MUSIC_STEP = 0.3; // Seconds per note
+    const MUSIC_CHORDS = [[220, 262, 330, 440], [175, 220, 262, 349], [262, 330, 392, 523], [196, 247, 294, 392]];
+    const MUSIC_PATTERN = [0, 1, 2, 3, 2, 1, 2, 1]; // Chord tone per step, eight steps per chord
+    const MUSIC_LOOKAHEAD = 0.2; // Seconds of notes scheduled ahead of the clock
+    const MUSIC_TICK_MS = 50;
+
+    function clampVolume(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : fallback;
+    }
+
+    /**
+     * Read the audio settings (defaults when nothing usable is stored).
+     * @returns {{ muted: boolean, effectsVolume: number, musicVolume: number }}
+     */
+    function loadSettings() {
+        const data = OverstackSave.readStorage(STORAGE_KEY);
+        if (!data || data.version !== AUDIO_VERSION) return Object.assign({}, DEFAULT_SETTINGS);
+        return {
+            muted: data.muted === true,
+            effectsVolume: clampVolume(data.effectsVolume, DEFAULT_SETTINGS.effectsVolume),
+            musicVolume: clampVolume(data.musicVolume, DEFAULT_SETTINGS.musicVolume)
+        };
+    }
+
+    function saveSettings(settings) {
+        OverstackSave.writeStorage(STORAGE_KEY, Object.assign({ version: AUDIO_VERSION }, settings), 'audio settings');
+    }
+
+    /**
+     * Create the audio manager of a page. Settings are loaded from and saved to localStorage.
+     * @returns {{ play: function(string): void, unlock: function(): void, getSettings: function(): object,
+     *             setMuted: function(boolean): void, setEffectsVolume: function(number): void,
+     *             setMusicVolume: function(number): void }}
+     */
+    function createAudioManager() {
+        const AudioContextClass = global.AudioContext || global.webkitAudioContext || null;
+        const settings = loadSettings();
+        let context = null;
+        let masterGain = null; // 0 when muted
+        let effectsGain = null;
+        let musicGain = null;
+        let musicTimer = null;
+        let musicStep = 0;
+        let nextNoteTime = 0;
+
+        // Build the audio graph on first use: effects and music -> master -> speakers
+        function getContext() {
+            if (context || !AudioContextClass) return context;
+            try {
+                context = new AudioContextClass();
+            } catch (error) {
+                return null;
+            }
+            masterGain = context.createGain();
+            effectsGain = context.createGain();
+            musicGain = context.createGain();
+            effectsGain.connect(masterGain);
+            musicGain.connect(masterGain);
+            masterGain.connect(context.destination);
+            applySettings();
+
+            // No music while the page is in the background
+            if (global.document) {
+                global.document.addEventListener('visibilitychange', () => {
+                    if (global.document.hidden) {
+                        context.suspend();
+                    } else {
+                        context.resume();
+                    }
+                });
+            }
+            return context;
+        }
+
+        function applySettings() {
+            if (!context) return;
+            masterGain.gain.value = settings.muted ? 0 : 1;
+            effectsGain.gain.value = settings.effectsVolume;
+            musicGain.gain.value = settings.musicVolume;
+            updateMusic();
+        }
+
+        // One note with a short attack and an exponential release, into `destination`
+        function playNote(note, startTime, destination) {
+            const oscillator = context.createOscillator();
+            const envelope = context.createGain();
+            const start = startTime + note.at;
+            const end = start + note.duration;
+            oscillator.type = note.type;
+            oscillator.frequency.setValueAtTime(note.freq, start);
+            if (note.to) {
+                oscillator.frequency.exponentialRampToValueAtTime(note.to, end);
+            }
+            envelope.gain.setValueAtTime(0.0001, start);
+            envelope.gain.exponentialRampToValueAtTime(note.gain, start + 0.01);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+            oscillator.connect(envelope);
+            envelope.connect(destination);
+            oscillator.start(start);
+            oscillator.stop(end + 0.02);
+        }
+
+        // Music runs only while it can be heard
+        function updateMusic() {
+            const audible = !settings.muted && settings.musicVolume > 0 && context && context.state !== 'closed';
+            if (audible && !musicTimer) {
+                nextNoteTime = context.currentTime + 0.05;
+                musicTimer = setInterval(scheduleMusic, MUSIC_TICK_MS);
+            } else if (!audible && musicTimer) {
+                clearInterval(musicTimer);
+                musicTimer = null;
+            }
+        }
+
+        // Queue the notes due before the lookahead window ends (timers are too coarse to play them directly)
+        function scheduleMusic() {
+            if (nextNoteTime < context.currentTime) {
+                nextNoteTime = context.currentTime + 0.05; // Catch up after the page was suspended
+            }
+            while (nextNoteTime < context.currentTime + MUSIC_LOOKAHEAD) {
+                const chord = MUSIC_CHORDS[Math.floor(musicStep / MUSIC_PATTERN.length) % MUSIC_CHORDS.length];
+                const freq = chord[MUSIC_PATTERN[musicStep % MUSIC_PATTERN.length]];
+                playNote({ freq, at: 0, duration: MUSIC_STEP * 0.9, type: 'triangle', gain: 0.12 }, nextNoteTime, musicGain);
+                nextNoteTime += MUSIC_STEP;
+                musicStep = (musicStep + 1) % (MUSIC_PATTERN.length * MUSIC_CHORDS.length);
+            }
+        }
+
+        /**
+         * Start audio from a user gesture (browsers keep an AudioContext silent until one).
+         */
+        function unlock() {
+            const ctx = getContext();
+            if (ctx && ctx.state === 'suspended') {
+                ctx.resume();
+            }
+        }
+
+        /**
+         * Play a sound effect.
+         * @param {string} name - one of SOUND_NAMES
+         */
+        function play(name) {
+            const notes = SOUNDS[name];
+            if (!notes) {
+                throw new Error(`Unknown sound "${name}"`);
+            }
+            if (settings.muted || settings.effectsVolume === 0) return;
+            const ctx = getContext();
+            if (!ctx) return;
+            notes.forEach(note => playNote(note, ctx.currentTime, effectsGain));
+        }
+
+        function update(changes) {
+            Object.assign(settings, changes);
+            saveSettings(settings);
+            applySettings();
+        }
+
+        return {
+            play,
+            unlock,
+            getSettings: () => Object.assign({}, settings),
+            setMuted: muted => update({ muted: Boolean(muted) }),
+            setEffectsVolume: volume => update({ effectsVolume: clampVolume(volume, settings.effectsVolume) }),
+            setMusicVolume: volume => update({ musicVolume: clampVolume(volume, settings.musicVolume) })
+        };
+    }
+
+    const OverstackAudio = {
+        SOUND_NAMES,
+        DEFAULT_SETTINGS,
+        loadSettings,
+        createAudioManager
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackAudio;
+    } else {
+        global.OverstackAudio = OverstackAudio;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,138 @@
+// Block Graph
+// Which slots cover which, computed once per slot layout. A slot is blocked while any
+// occupied slot above it overlaps it, so clickability is a per-slot counter of occupied
+// blockers, updated as tiles leave (or return to) the board instead of rechecking geometry.
+
+(function (global) {
+    'use strict';
+
+    const graphCache = new WeakMap(); // slots array -> { [tileSize]: graph }
+
+    // Check if two rectangles overlap (any overlap, even just a corner or edge)
+    function rectanglesOverlap(rectA, rectB) {
+        const overlapX = rectA.x < rectB.x + rectB.w && rectA.x + rectA.w > rectB.x;
+        const overlapY = rectA.y < rectB.y + rectB.h && rectA.y + rectA.h > rectB.y;
+        return overlapX && overlapY;
+    }
+
+    /**
+     * Build the block graph of a slot layout. Slots are bucketed on a tileSize grid, so
+     * each slot is only compared with the slots in its own and the eight neighbouring cells.
+     * @param {Array<{px: number, py: number, z: number}>} slots
+     * @param {number} tileSize
+     * @returns {{ above: number[][], below: number[][] }}
+     *   above[i]: slots with higher z overlapping slot i (its blockers);
+     *   below[i]: slots that slot i blocks
+     */
+    function buildBlockGraph(slots, tileSize) {
+        const above = slots.map(() => []);
+        const below = slots.map(() => []);
+
+        const cellKey = (cx, cy) => `${cx},${cy}`;
+        const cells = new Map();
+        slots.forEach((slot, i) => {
+            const key = cellKey(Math.floor(slot.px / tileSize), Math.floor(slot.py / tileSize));
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        });
+
+        slots.forEach((slot, i) => {
+            const cx = Math.floor(slot.px / tileSize);
+            const cy = Math.floor(slot.py / tileSize);
+            const rect = { x: slot.px, y: slot.py, w: tileSize, h: tileSize };
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    (cells.get(cellKey(cx + dx, cy + dy)) || []).forEach(j => {
+                        const other = slots[j];
+                        if (other.z <= slot.z) return;
+                        if (rectanglesOverlap(rect, { x: other.px, y: other.py, w: tileSize, h: tileSize })) {
+                            above[i].push(j);
+                            below[j].push(i);
+                        }
+                    });
+                }
+            }
+        });
+
+        // Slot order, so results never depend on the bucket order
+        above.forEach(list => list.sort((a, b) => a - b));
+        below.forEach(list => list.sort((a, b) => a - b));
+        return { above, below };
+    }
+
+    /**
+     * The block graph of a slot layout, built on first use. Slot layouts are static for a
+     * level, so the graph is cached per slots array (do not mutate slot positions afterwards).
+     */
+    function getBlockGraph(slots, tileSize) {
+        let bySize = graphCache.get(slots);
+        if (!bySize) {
+            bySize = {};
+            graphCache.set(slots, bySize);
+        }
+        if (!bySize[tileSize]) {
+            bySize[tileSize] = buildBlockGraph(slots, tileSize);
+        }
+        return bySize[tileSize];
+    }
+
+    /**
+     * Occupied blockers per slot.
+     * @param {{ above: number[][] }} graph
+     * @param {number[]} board - one entry per slot, -1 for empty
+     * @returns {Int16Array}
+     */
+    function countBlockers(graph, board) {
+        const blockers = new Int16Array(board.length);
+        graph.above.forEach((list, i) => {
+            let count = 0;
+            for (const j of list) {
+                if (board[j] !== -1) count++;
+            }
+            blockers[i] = count;
+        });
+        return blockers;
+    }
+
+    // A tile left slotIdx: the slots it covered lose a blocker (updates `blockers` in place)
+    function releaseSlot(graph, blockers, slotIdx) {
+        for (const i of graph.below[slotIdx]) blockers[i]--;
+    }
+
+    // A tile entered slotIdx: the slots it covers gain a blocker (updates `blockers` in place)
+    function occupySlot(graph, blockers, slotIdx) {
+        for (const i of graph.below[slotIdx]) blockers[i]++;
+    }
+
+    /**
+     * Occupied slots with no occupied blocker, in slot order.
+     * @param {number[]} board - -1 for empty
+     * @param {Int16Array} blockers - countBlockers() result, kept up to date
+     * @returns {number[]}
+     */
+    function getClickableSlots(board, blockers) {
+        const clickable = [];
+        for (let i = 0; i < board.length; i++) {
+            if (board[i] !== -1 && blockers[i] === 0) clickable.push(i);
+        }
+        return clickable;
+    }
+
+    const OverstackBlockGraph = {
+        rectanglesOverlap,
+        buildBlockGraph,
+        getBlockGraph,
+        countBlockers,
+        releaseSlot,
+        occupySlot,
+        getClickableSlots
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackBlockGraph;
+    } else {
+        global.OverstackBlockGraph = OverstackBlockGraph;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
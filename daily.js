@@ -0,0 +1,241 @@
+// Daily Challenge
+// One generated board per calendar day (same date, same board for everyone), one attempt per day,
+// with stats, streaks and a shareable emoji summary of the moves
+//
+// Storage format (version 1, localStorage `overstack.daily`):
+//   version - DAILY_VERSION; other versions start fresh
+//   results - { [dateKey]: { outcome, reason, score, symbols, finishedAt } } finished attempts (reason: engine loseReason)
+//   attempt - { version, dateKey, icons, levelDoc, engine } the attempt in progress, or null; version is
+//             the engine state's OverstackSave.SAVE_VERSION (missing before it was kept, read as 1)
+//   stats   - { played, won, currentStreak, maxStreak, lastWonKey } (a streak counts days won in a row)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackEngine = isNode ? require('./engine.js') : global.OverstackEngine;
+    const OverstackReplay = isNode ? require('./replay.js') : global.OverstackReplay;
+    const OverstackSave = isNode ? require('./save.js') : global.OverstackSave;
+
+    const DAILY_VERSION = 1;
+    const STORAGE_KEY = 'overstack.daily';
+
+    // Generator params by weekday (index 0 = Sunday): gentle on Monday, hardest at the weekend, face-down on Saturday
+    const DAILY_SCHEDULE = [
+        { tileCount: 120, layers: 5, iconKinds: 10, targetDifficulty: { min: 45, max: 80 } },
+        { tileCount: 60, layers: 3, iconKinds: 5, targetDifficulty: { min: 0, max: 34 } },
+        { tileCount: 72, layers: 3, iconKinds: 6, targetDifficulty: { min: 0, max: 40 } },
+        { tileCount: 84, layers: 4, iconKinds: 7, targetDifficulty: { min: 20, max: 50 } },
+        { tileCount: 96, layers: 4, iconKinds: 8, targetDifficulty: { min: 30, max: 60 } },
+        { tileCount: 108, layers: 5, iconKinds: 9, targetDifficulty: { min: 35, max: 67 } },
+        // Saturday plays face-down: the generator rates it with the partial-information solver, which
+        // finds a line on a board this size every week (it does not on the larger weekend board)
+        { tileCount: 96, layers: 4, iconKinds: 8, targetDifficulty: { min: 30, max: 60 }, rules: { faceDown: true } }
+    ];
+    const DAILY_SOLVER_PARAMS = { tools: { remove: true, shuffle: true }, maxTools: 1 };
+
+    // Share grid symbols, one per move (tools use their button icons)
+    const SHARE_SYMBOLS = { triple: '🟩', pick: '⬜', undo: '🔄', redo: '🔁', remove: '↩️', shuffle: '🔀', swap: '🔃', magnet: '🧲', peek: '👀', hint: '💡', 'time-up': '⏰' };
+    const SHARE_ROW_LENGTH = 10;
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD (the daily board changes at local midnight).
+     * @param {Date} [date]
+     * @returns {string}
+     */
+    function getDateKey(date = new Date()) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Parse a date key at local noon, so adding days never trips over daylight saving
+    function parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day, 12);
+    }
+
+    function previousDateKey(dateKey) {
+        const date = parseDateKey(dateKey);
+        date.setDate(date.getDate() - 1);
+        return getDateKey(date);
+    }
+
+    // Seed of a day's board (layout, icons and the Shuffle tool all derive from it)
+    function getDailySeed(dateKey) {
+        return `daily-${dateKey}`;
+    }
+
+    /**
+     * Generator params for a day's board.
+     * @param {string} dateKey
+     * @returns {object} params for LevelGenerator.generateLevel
+     */
+    function getDailyParams(dateKey) {
+        const schedule = DAILY_SCHEDULE[parseDateKey(dateKey).getDay()];
+        return Object.assign({
+            id: `daily-${dateKey}`,
+            name: `Daily ${dateKey}`,
+            solverParams: DAILY_SOLVER_PARAMS
+        }, schedule);
+    }
+
+    function emptyData() {
+        return {
+            version: DAILY_VERSION,
+            results: {},
+            attempt: null,
+            stats: { played: 0, won: 0, currentStreak: 0, maxStreak: 0, lastWonKey: null }
+        };
+    }
+
+    function load() {
+        const data = OverstackSave.readStorage(STORAGE_KEY);
+        return data && data.version === DAILY_VERSION ? data : emptyData();
+    }
+
+    function store(data) {
+        OverstackSave.writeStorage(STORAGE_KEY, data, 'the daily challenge');
+    }
+
+    /**
+     * The finished attempt of a day.
+     * @returns {{ outcome: string, score: number, symbols: string[], finishedAt: number }|null}
+     */
+    function getResult(dateKey) {
+        return load().results[dateKey] || null;
+    }
+
+    // The day's attempt in progress, if any, upgraded to the current engine state format
+    function getAttempt(dateKey) {
+        const { attempt } = load();
+        if (!attempt || attempt.dateKey !== dateKey) return null;
+        return OverstackSave.migrate(Object.assign({ version: 1 }, attempt), getDailySeed(dateKey));
+    }
+
+    /**
+     * Save the attempt in progress (a newer day's attempt replaces an older one).
+     * @param {{ dateKey: string, icons: string[], levelDoc: object, engine: object }} attempt
+     */
+    function saveAttempt(attempt) {
+        const data = load();
+        if (data.results[attempt.dateKey]) return; // Already finished
+        data.attempt = Object.assign({ version: OverstackSave.SAVE_VERSION }, attempt);
+        store(data);
+    }
+
+    /**
+     * Record the day's only attempt and update the stats.
+     * @param {string} dateKey
+     * @param {{ outcome: 'won'|'lost', reason?: string, score: number, symbols: string[] }} result - reason: why a lost attempt was lost
+     * @returns {object} stats after recording (see getStats)
+     */
+    function recordResult(dateKey, result) {
+        const data = load();
+        if (!data.results[dateKey]) {
+            data.results[dateKey] = Object.assign({ finishedAt: Date.now() }, result);
+            const stats = data.stats;
+            stats.played++;
+            if (result.outcome === 'won') {
+                stats.won++;
+                stats.currentStreak = stats.lastWonKey === previousDateKey(dateKey) ? stats.currentStreak + 1 : 1;
+                stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+                stats.lastWonKey = dateKey;
+            } else {
+                stats.currentStreak = 0;
+            }
+        }
+        if (data.attempt && data.attempt.dateKey === dateKey) {
+            data.attempt = null;
+        }
+        store(data);
+        return getStats(dateKey);
+    }
+
+    /**
+     * Stats as of a day: a streak whose last win is older than yesterday is over.
+     * @param {string} [todayKey]
+     * @returns {{ played: number, won: number, winRate: number, currentStreak: number, maxStreak: number }}
+     */
+    function getStats(todayKey = getDateKey()) {
+        const stats = load().stats;
+        const alive = stats.lastWonKey === todayKey || stats.lastWonKey === previousDateKey(todayKey);
+        return {
+            played: stats.played,
+            won: stats.won,
+            winRate: stats.played > 0 ? Math.round(stats.won / stats.played * 100) : 0,
+            currentStreak: alive ? stats.currentStreak : 0,
+            maxStreak: stats.maxStreak
+        };
+    }
+
+    /**
+     * One share symbol per move, found by replaying the move log on a fresh engine
+     * (the log itself does not record which picks cleared a triple).
+     * @param {object} level - the day's level (slots and tiles as dealt)
+     * @param {Array} moves - engine.getMoveLog()
+     * @param {object} engineOptions - createEngine options the attempt was played with
+     * @returns {string[]}
+     */
+    function summarizeMoves(level, moves, engineOptions) {
+        const engine = OverstackEngine.createEngine(level, engineOptions);
+        const symbols = [];
+        engine.on('pick', ({ cleared }) => {
+            symbols.push(cleared.length > 0 ? SHARE_SYMBOLS.triple : SHARE_SYMBOLS.pick);
+        });
+        moves.forEach(move => {
+            if (move.type !== 'pick') {
+                symbols.push(SHARE_SYMBOLS[move.type]);
+            }
+            OverstackReplay.applyMove(engine, move);
+        });
+        return symbols;
+    }
+
+    /**
+     * Wordle-style result text to paste anywhere.
+     * @param {string} dateKey
+     * @param {{ outcome: string, score: number, symbols: string[] }} result
+     * @param {{ currentStreak: number }} stats
+     * @returns {string}
+     */
+    function createShareText(dateKey, result, stats) {
+        const rows = [];
+        for (let i = 0; i < result.symbols.length; i += SHARE_ROW_LENGTH) {
+            rows.push(result.symbols.slice(i, i + SHARE_ROW_LENGTH).join(''));
+        }
+        const streak = stats.currentStreak > 0 ? ` · 🔥 ${stats.currentStreak}` : '';
+        return [
+            `Overstack Daily ${dateKey} ${result.outcome === 'won' ? '✅' : '❌'}`,
+            `Score ${result.score.toLocaleString('en-US')}${streak}`,
+            ...rows
+        ].join('\n');
+    }
+
+    const OverstackDaily = {
+        DAILY_VERSION,
+        STORAGE_KEY,
+        DAILY_SCHEDULE,
+        SHARE_SYMBOLS,
+        getDateKey,
+        getDailySeed,
+        getDailyParams,
+        getResult,
+        getAttempt,
+        saveAttempt,
+        recordResult,
+        getStats,
+        summarizeMoves,
+        createShareText
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackDaily;
+    } else {
+        global.OverstackDaily = OverstackDaily;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,647 @@
+// Level Editor
+// Paint layer masks, set layer shifts and substacks, preview blocking, run the solver and
+// export a level document for levels.js (see the Level Design section of the README)
+
+const TILE_SIZE = 48; // Same as game.js
+const ALL_ICONS = ['🍎', '🍌', '🍇', '🍓', '🍒', '🍍', '🍉', '🍋', '🥕', '🌽', '🥑', '🍄', '🌻', '🌸', '🌵']; // Same pool as game.js
+const DEFAULT_GRID = 7;
+const DEFAULT_SOLVER = { maxTries: 20, beamWidth: 100, maxExpansions: 3000, maxDepth: 150, maxTools: 2 };
+const MASK_TILE = '#';
+const MASK_EMPTY = OverstackTileKinds.MASK_EMPTY;
+
+// Editor state
+let doc = null; // Level document being edited
+let activeLayer = 0; // Index into doc.main.layers
+let peelLayer = null; // Highest layer shown in the preview (null: all)
+let brush = MASK_TILE; // Mask character new tiles are painted with (a tile kind, see tile-kinds.js)
+let painting = null; // Mask character being painted while the pointer is down (MASK_EMPTY erases)
+let solverRun = null; // AbortController of the running solver check
+const solverClient = OverstackSolverClient.createSolverClient();
+
+// DOM elements
+const $ = (id) => document.getElementById(id);
+const maskGrid = $('maskGrid');
+const previewBoard = $('previewBoard');
+
+// Fresh single-layer level
+function createEmptyLevel() {
+    return {
+        version: LevelBuilder.LEVEL_FORMAT_VERSION,
+        id: 'new-level',
+        name: 'New Level',
+        layout: { origin: { x: 'center', y: 'center' } },
+        main: { layers: [{ mask: Array(DEFAULT_GRID).fill(MASK_EMPTY.repeat(DEFAULT_GRID)) }] },
+        substacks: [],
+        icons: { kinds: 3, copies: 3 }
+    };
+}
+
+// Load a document into the editor (a deep copy, so LEVELS stays untouched)
+function loadLevel(source) {
+    doc = JSON.parse(JSON.stringify(source));
+    doc.substacks = doc.substacks || [];
+    doc.layout = doc.layout || {};
+    delete doc.expect; // Recomputed on export
+    activeLayer = doc.main.layers.length - 1;
+    peelLayer = null;
+    renderAll();
+}
+
+// Mask dimensions of the active layer
+function getGridSize() {
+    const mask = doc.main.layers[activeLayer].mask;
+    return { width: mask[0].length, height: mask.length };
+}
+
+// Set one mask cell of a layer to a mask character
+function setCell(layer, xInt, yInt, char) {
+    const row = layer.mask[yInt];
+    layer.mask[yInt] = row.slice(0, xInt) + char + row.slice(xInt + 1);
+}
+
+// Tiles in a layer's mask, special tiles included
+function countTiles(layer) {
+    return layer.mask.join('').split('').filter(char => char !== MASK_EMPTY).length;
+}
+
+// Resize every layer's mask, keeping the top-left cells
+function resizeGrid(width, height) {
+    doc.main.layers.forEach(layer => {
+        const rows = [];
+        for (let yInt = 0; yInt < height; yInt++) {
+            const row = layer.mask[yInt] || '';
+            rows.push(row.slice(0, width).padEnd(width, MASK_EMPTY));
+        }
+        layer.mask = rows;
+    });
+}
+
+// Build slots for the preview; throws the builder's validation errors
+function buildPreviewSlots() {
+    return LevelBuilder.buildSlots(doc, {
+        boardWidth: previewBoard.offsetWidth,
+        boardHeight: previewBoard.offsetHeight,
+        tileSize: TILE_SIZE
+    });
+}
+
+// Redraw everything from `doc`
+function renderAll() {
+    renderFields();
+    renderLayerList();
+    renderMaskGrid();
+    renderSubstacks();
+    renderPreview();
+}
+
+// Form fields for the document and the active layer
+function renderFields() {
+    const layer = doc.main.layers[activeLayer];
+    const { width, height } = getGridSize();
+    const origin = doc.layout.origin || { x: 'center', y: 'center' };
+    const gap = doc.layout.gap || { x: 0, y: 0 };
+    const solver = doc.solver || DEFAULT_SOLVER;
+
+    $('levelId').value = doc.id;
+    $('levelName').value = doc.name || '';
+    $('gridWidth').value = width;
+    $('gridHeight').value = height;
+    $('shiftX').value = layer.shift ? layer.shift.sx : 0;
+    $('shiftY').value = layer.shift ? layer.shift.sy : 0;
+    $('tileBrush').value = brush;
+    $('unlockAfter').value = layer.unlockAfter || OverstackTileKinds.DEFAULT_UNLOCK_AFTER;
+    $('mirroredSplit').checked = !!layer.tileShiftX;
+    $('splitCenter').value = layer.tileShiftX ? layer.tileShiftX.center : Math.floor(width / 2);
+    $('splitAmount').value = layer.tileShiftX ? layer.tileShiftX.amount : 0.5;
+    $('originX').value = origin.x;
+    $('originY').value = origin.y;
+    $('gapX').value = gap.x;
+    $('gapY').value = gap.y;
+    $('iconKinds').value = doc.icons.kinds || ALL_ICONS.length;
+    $('iconCopies').value = doc.icons.copies;
+    renderRules();
+    $('solverMaxTries').value = solver.maxTries || 1;
+    $('solverBeamWidth').value = solver.beamWidth || DEFAULT_SOLVER.beamWidth;
+    $('solverMaxExpansions').value = solver.maxExpansions || DEFAULT_SOLVER.maxExpansions;
+    $('solverMaxDepth').value = solver.maxDepth || DEFAULT_SOLVER.maxDepth;
+    $('solverMaxTools').value = solver.maxTools || 0;
+    $('solverExact').checked = !!solver.exact;
+}
+
+// Rules preset select and a summary of the resolved rules
+function renderRules() {
+    const select = $('rulesPreset');
+    const presets = Object.keys(OverstackRules.RULE_PRESETS);
+    const custom = doc.rules !== undefined && !presets.includes(doc.rules);
+    select.innerHTML = presets.map(name => `<option value="${name}">${name}</option>`).join('') +
+        (custom ? '<option value="custom">custom (from JSON)</option>' : '');
+    select.value = custom ? 'custom' : (doc.rules || 'classic');
+
+    const rules = OverstackRules.resolveRules(doc.rules);
+    const tools = Object.keys(rules.tools).map(tool => `${tool} ${rules.tools[tool]}`).join(', ');
+    const objectives = [
+        rules.timeLimit > 0 ? `${rules.timeLimit}s` : null,
+        rules.moveLimit > 0 ? `${rules.moveLimit} moves` : null,
+        ...rules.goals.map(goal => `clear ${goal.count} ${goal.icon}`)
+    ].filter(Boolean);
+    $('rulesSummary').textContent = `Tray ${rules.traySize}, match ${rules.matchSize}, ${rules.lose}${rules.faceDown ? ', face-down' : ''}; ${tools}` +
+        (objectives.length > 0 ? `; ${objectives.join(', ')}` : '');
+}
+
+// Layer list, top layer first like the stack on the board
+function renderLayerList() {
+    const list = $('layerList');
+    list.innerHTML = '';
+    for (let z = doc.main.layers.length - 1; z >= 0; z--) {
+        const layer = doc.main.layers[z];
+        const count = countTiles(layer);
+        const item = document.createElement('li');
+        item.className = z === activeLayer ? 'active' : '';
+        item.textContent = `z${z} · ${count} tiles` + (layer.shift ? ` · shift ${layer.shift.sx}, ${layer.shift.sy}` : '');
+        item.addEventListener('click', () => {
+            activeLayer = z;
+            renderAll();
+        });
+        list.appendChild(item);
+    }
+}
+
+// Paintable grid of the active layer; the layer below shows through faintly
+function renderMaskGrid() {
+    const layers = doc.main.layers;
+    const layer = layers[activeLayer];
+    const below = layers[activeLayer - 1];
+    const { width, height } = getGridSize();
+
+    maskGrid.innerHTML = '';
+    maskGrid.style.gridTemplateColumns = `repeat(${width}, 28px)`;
+    for (let yInt = 0; yInt < height; yInt++) {
+        for (let xInt = 0; xInt < width; xInt++) {
+            const cell = document.createElement('div');
+            cell.className = 'mask-cell';
+            showCell(cell, layer.mask[yInt][xInt]);
+            if (below && below.mask[yInt] && below.mask[yInt][xInt] !== MASK_EMPTY) cell.classList.add('below');
+            if (layer.tileShiftX && xInt === layer.tileShiftX.center) cell.classList.add('split-center');
+            cell.dataset.x = xInt;
+            cell.dataset.y = yInt;
+            maskGrid.appendChild(cell);
+        }
+    }
+}
+
+// Mask cell look for a mask character: filled, with the letter of a special tile
+function showCell(cell, char) {
+    cell.classList.toggle('filled', char !== MASK_EMPTY);
+    cell.textContent = char === MASK_EMPTY || char === MASK_TILE ? '' : char;
+}
+
+// One row per substack anchor (the spots Levels 2 and 3 use)
+function renderSubstacks() {
+    const container = $('substackList');
+    container.innerHTML = '';
+    LevelGenerator.SUBSTACK_ANCHORS.forEach(anchor => {
+        const stack = doc.substacks.find(s => s.region === anchor.region);
+        const row = document.createElement('div');
+        row.className = 'editor-row';
+        row.innerHTML = `
+            <label><input type="checkbox" ${stack ? 'checked' : ''}> ${anchor.region}</label>
+            <label>depth <input type="number" min="1" value="${stack ? stack.depth : 6}" ${stack ? '' : 'disabled'}></label>
+        `;
+        const [toggle, depthInput] = row.querySelectorAll('input');
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                doc.substacks.push(Object.assign({}, anchor, { depth: Number(depthInput.value) || 1 }));
+            } else {
+                doc.substacks = doc.substacks.filter(s => s.region !== anchor.region);
+            }
+            renderAll();
+        });
+        depthInput.addEventListener('change', () => {
+            const current = doc.substacks.find(s => s.region === anchor.region);
+            current.depth = Math.max(1, Number(depthInput.value) || 1);
+            renderAll();
+        });
+        container.appendChild(row);
+    });
+}
+
+// Board preview: every slot as a tile labeled with its layer, blocked ones darkened
+function renderPreview() {
+    const errorBox = $('previewError');
+    previewBoard.innerHTML = '';
+    errorBox.textContent = '';
+
+    let slots;
+    try {
+        slots = buildPreviewSlots();
+    } catch (error) {
+        errorBox.textContent = error.message;
+        renderStats(null);
+        renderExport(null);
+        return;
+    }
+
+    // Peeling hides higher layers, to see what a cleared top uncovers
+    const topZ = slots.reduce((max, s) => Math.max(max, s.z), 0);
+    renderPeelOptions(topZ);
+    const shown = slots.map(s => peelLayer === null || s.z <= peelLayer);
+    const board = shown.map(visible => (visible ? 0 : -1));
+    const clickable = new Set(LevelBuilder.getClickableSlotIndices(board, slots, TILE_SIZE));
+
+    slots.forEach((slot, i) => {
+        if (!shown[i]) return;
+        const tileEl = document.createElement('div');
+        tileEl.className = 'tile editor-tile';
+        if (!clickable.has(i)) tileEl.classList.add('blocked');
+        if (slot.region === 'MAIN' && slot.z === activeLayer) tileEl.classList.add('active-layer');
+        if (slot.kind) tileEl.classList.add(`kind-${slot.kind}`);
+        tileEl.style.width = TILE_SIZE + 'px';
+        tileEl.style.height = TILE_SIZE + 'px';
+        tileEl.style.left = slot.px + 'px';
+        tileEl.style.top = slot.py + 'px';
+        tileEl.style.zIndex = slot.z;
+        tileEl.textContent = slot.z;
+        tileEl.title = slot.kind ? `${slot.slotId} (${slot.kind})` : slot.slotId;
+        previewBoard.appendChild(tileEl);
+    });
+
+    renderStats(slots, shown, clickable);
+    renderExport(slots);
+}
+
+// Layer choices for the peel select
+function renderPeelOptions(topZ) {
+    const select = $('peelSelect');
+    const options = ['<option value="">all</option>'];
+    for (let z = topZ; z >= 0; z--) {
+        options.push(`<option value="${z}" ${peelLayer === z ? 'selected' : ''}>z${z}</option>`);
+    }
+    select.innerHTML = options.join('');
+}
+
+// Tiles and clickable tiles per region and layer
+function renderStats(slots, shown, clickable) {
+    const table = $('layerStats');
+    if (!slots) {
+        table.innerHTML = '';
+        $('iconStatus').textContent = '';
+        return;
+    }
+
+    const rows = new Map(); // "MAIN z3" -> { tiles, clickable }
+    slots.forEach((slot, i) => {
+        if (!shown[i]) return;
+        const key = slot.region === 'MAIN' ? `MAIN z${slot.z}` : slot.region;
+        const row = rows.get(key) || { tiles: 0, clickable: 0 };
+        row.tiles++;
+        if (clickable.has(i)) row.clickable++;
+        rows.set(key, row);
+    });
+    table.innerHTML = '<tr><th></th><th>Tiles</th><th>Clickable</th></tr>' +
+        [...rows].map(([key, row]) => `<tr><td>${key}</td><td>${row.tiles}</td><td>${row.clickable}</td></tr>`).join('') +
+        `<tr class="total"><td>Total</td><td>${shown.filter(Boolean).length}</td><td>${clickable.size}</td></tr>`;
+
+    // The icon bag must match the slot count exactly (wildcards take no icon)
+    const bag = (doc.icons.kinds || ALL_ICONS.length) * doc.icons.copies;
+    const iconSlots = countIconSlots(slots);
+    const wildcards = slots.length - iconSlots;
+    const status = $('iconStatus');
+    status.textContent = `${iconSlots} tiles` + (wildcards > 0 ? ` + ${wildcards} wildcard${wildcards === 1 ? '' : 's'}` : '') +
+        `, icon bag ${bag}` + (bag === iconSlots ? ' ✓' : ' (must match)');
+    status.classList.toggle('error', bag !== iconSlots);
+}
+
+// Slots that take an icon from the bag
+function countIconSlots(slots) {
+    return slots.filter(slot => slot.kind !== 'wildcard').length;
+}
+
+// Export text: the document with expected counts filled in
+function renderExport(slots) {
+    $('jsonText').value = JSON.stringify(getExportDoc(slots), null, 2);
+}
+
+// The document as exported; `expect` pins the current counts so later edits can't silently change it
+function getExportDoc(slots) {
+    const exported = JSON.parse(JSON.stringify(doc));
+    if (exported.substacks.length === 0) delete exported.substacks;
+    if (slots) {
+        exported.expect = {
+            layerCounts: doc.main.layers.map(countTiles),
+            totalSlots: slots.length
+        };
+    }
+    return exported;
+}
+
+// Read a number field (empty or invalid falls back)
+function readNumber(id, fallback) {
+    const value = Number($(id).value);
+    return Number.isFinite(value) && $(id).value !== '' ? value : fallback;
+}
+
+// Origin field: 'center', 'center-top-layer' or a px offset
+function readOrigin(id) {
+    const value = $(id).value.trim();
+    return value === 'center' || value === 'center-top-layer' ? value : readNumber(id, 'center');
+}
+
+// Solver budget from the solver fields
+function readSolverBudget() {
+    const budget = { maxTries: readNumber('solverMaxTries', 1) };
+    if ($('solverExact').checked) {
+        budget.exact = true;
+        budget.maxNodes = (doc.solver && doc.solver.maxNodes) || 20000;
+    } else {
+        budget.beamWidth = readNumber('solverBeamWidth', DEFAULT_SOLVER.beamWidth);
+        budget.maxExpansions = readNumber('solverMaxExpansions', DEFAULT_SOLVER.maxExpansions);
+        budget.maxDepth = readNumber('solverMaxDepth', DEFAULT_SOLVER.maxDepth);
+        if (doc.solver && doc.solver.lookaheadDepth) {
+            budget.lookaheadDepth = doc.solver.lookaheadDepth; // No field; kept from the document
+        }
+    }
+    const maxTools = readNumber('solverMaxTools', 0);
+    if (maxTools > 0) budget.maxTools = maxTools;
+    return budget;
+}
+
+// Run the builder's solver check on the current document in the worker
+function runSolver() {
+    const status = $('solverStatus');
+    let slots;
+    try {
+        slots = buildPreviewSlots();
+    } catch (error) {
+        status.textContent = error.message;
+        return;
+    }
+
+    doc.solver = readSolverBudget();
+    renderExport(slots);
+    const run = new AbortController();
+    solverRun = run;
+    $('runSolverBtn').disabled = true;
+    $('cancelSolverBtn').disabled = false;
+    status.classList.remove('error');
+    status.textContent = 'Solving…';
+
+    const startedAt = Date.now();
+    solverClient.buildLevel(doc, {
+        boardWidth: previewBoard.offsetWidth,
+        boardHeight: previewBoard.offsetHeight,
+        tileSize: TILE_SIZE,
+        icons: ALL_ICONS,
+        seed: OverstackRng.randomSeed()
+    }, {
+        signal: run.signal,
+        onProgress: ({ tryNum, maxTries }) => {
+            status.textContent = `Checked deal ${tryNum} of up to ${maxTries}…`;
+        }
+    }).then(({ certification }) => {
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+        status.textContent = certification.solvable
+            ? `Solvable: deal ${certification.tries} had a winning line (${seconds} s)`
+            : `No winning line found in ${certification.tries} deals (${seconds} s)`;
+        status.classList.toggle('error', !certification.solvable);
+    }, (error) => {
+        status.textContent = error.name === 'AbortError' ? 'Cancelled' : `Solver failed: ${error.message}`;
+    }).finally(() => {
+        if (solverRun === run) solverRun = null;
+        $('runSolverBtn').disabled = false;
+        $('cancelSolverBtn').disabled = true;
+    });
+}
+
+// Save the export text as a .json file
+function downloadLevel() {
+    const blob = new Blob([$('jsonText').value], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${doc.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Load the document pasted into the export box
+function importLevel() {
+    try {
+        const imported = LevelBuilder.parseLevel($('jsonText').value);
+        loadLevel(imported);
+        $('previewError').textContent = '';
+    } catch (error) {
+        $('previewError').textContent = `Import failed: ${error.message}`;
+    }
+}
+
+// Start-from choices: an empty level or any of LEVELS
+function initLevelSelect() {
+    const select = $('levelSelect');
+    select.innerHTML = '<option value="">Empty level</option>' +
+        LEVELS.map((level, i) => `<option value="${i}">${level.name}</option>`).join('');
+    select.addEventListener('change', () => {
+        loadLevel(select.value === '' ? createEmptyLevel() : LEVELS[Number(select.value)]);
+    });
+}
+
+// Painting: press on a cell to paint it with the brush (or erase it when it already has that tile),
+// drag to paint the same value
+maskGrid.addEventListener('pointerdown', (e) => {
+    const cell = e.target.closest('.mask-cell');
+    if (!cell) return;
+    e.preventDefault();
+    const char = doc.main.layers[activeLayer].mask[Number(cell.dataset.y)][Number(cell.dataset.x)];
+    painting = char === brush ? MASK_EMPTY : brush;
+    paintCell(cell);
+});
+
+maskGrid.addEventListener('pointerover', (e) => {
+    const cell = e.target.closest('.mask-cell');
+    if (cell && painting !== null) paintCell(cell);
+});
+
+window.addEventListener('pointerup', () => {
+    if (painting === null) return;
+    painting = null;
+    renderAll();
+});
+
+// Paint one cell (the preview updates when the stroke ends)
+function paintCell(cell) {
+    setCell(doc.main.layers[activeLayer], Number(cell.dataset.x), Number(cell.dataset.y), painting);
+    showCell(cell, painting);
+}
+
+// Field listeners
+$('levelId').addEventListener('change', (e) => {
+    doc.id = e.target.value.trim() || 'new-level';
+    renderPreview();
+});
+
+$('levelName').addEventListener('change', (e) => {
+    doc.name = e.target.value;
+    renderPreview();
+});
+
+$('gridWidth').addEventListener('change', () => {
+    resizeGrid(Math.max(1, readNumber('gridWidth', DEFAULT_GRID)), getGridSize().height);
+    renderAll();
+});
+
+$('gridHeight').addEventListener('change', () => {
+    resizeGrid(getGridSize().width, Math.max(1, readNumber('gridHeight', DEFAULT_GRID)));
+    renderAll();
+});
+
+['shiftX', 'shiftY'].forEach(id => {
+    $(id).addEventListener('change', () => {
+        const layer = doc.main.layers[activeLayer];
+        const shift = { sx: readNumber('shiftX', 0), sy: readNumber('shiftY', 0) };
+        if (shift.sx === 0 && shift.sy === 0) {
+            delete layer.shift;
+        } else {
+            layer.shift = shift;
+        }
+        renderAll();
+    });
+});
+
+['mirroredSplit', 'splitCenter', 'splitAmount'].forEach(id => {
+    $(id).addEventListener('change', () => {
+        const layer = doc.main.layers[activeLayer];
+        if ($('mirroredSplit').checked) {
+            layer.tileShiftX = {
+                type: 'mirrored-split',
+                center: readNumber('splitCenter', Math.floor(getGridSize().width / 2)),
+                amount: readNumber('splitAmount', 0.5)
+            };
+        } else {
+            delete layer.tileShiftX;
+        }
+        renderAll();
+    });
+});
+
+['originX', 'originY', 'gapX', 'gapY'].forEach(id => {
+    $(id).addEventListener('change', () => {
+        doc.layout.origin = { x: readOrigin('originX'), y: readOrigin('originY') };
+        const gap = { x: readNumber('gapX', 0), y: readNumber('gapY', 0) };
+        if (gap.x === 0 && gap.y === 0) {
+            delete doc.layout.gap;
+        } else {
+            doc.layout.gap = gap;
+        }
+        renderAll();
+    });
+});
+
+['iconKinds', 'iconCopies'].forEach(id => {
+    $(id).addEventListener('change', () => {
+        doc.icons = {
+            kinds: Math.min(ALL_ICONS.length, readNumber('iconKinds', ALL_ICONS.length)),
+            copies: readNumber('iconCopies', 3)
+        };
+        renderPreview();
+    });
+});
+
+// Copies per icon that fill the current slots exactly (when the count allows it)
+$('fitIconsBtn').addEventListener('click', () => {
+    let slots;
+    try {
+        slots = buildPreviewSlots();
+    } catch (error) {
+        return;
+    }
+    const kinds = doc.icons.kinds || ALL_ICONS.length;
+    const { matchSize } = OverstackRules.resolveRules(doc.rules);
+    const iconSlots = countIconSlots(slots);
+    if (iconSlots % (kinds * matchSize) !== 0) {
+        $('iconStatus').textContent = `${iconSlots} tiles cannot be split into ${kinds} icons × a multiple of ${matchSize}`;
+        $('iconStatus').classList.add('error');
+        return;
+    }
+    doc.icons.copies = iconSlots / kinds;
+    renderAll();
+});
+
+$('addLayerBtn').addEventListener('click', () => {
+    const { width, height } = getGridSize();
+    doc.main.layers.push({ mask: Array(height).fill(MASK_EMPTY.repeat(width)) });
+    activeLayer = doc.main.layers.length - 1;
+    renderAll();
+});
+
+$('duplicateLayerBtn').addEventListener('click', () => {
+    const copy = JSON.parse(JSON.stringify(doc.main.layers[activeLayer]));
+    doc.main.layers.splice(activeLayer + 1, 0, copy);
+    activeLayer++;
+    renderAll();
+});
+
+$('deleteLayerBtn').addEventListener('click', () => {
+    if (doc.main.layers.length === 1) return; // A level needs at least one layer
+    doc.main.layers.splice(activeLayer, 1);
+    activeLayer = Math.min(activeLayer, doc.main.layers.length - 1);
+    renderAll();
+});
+
+$('tileBrush').addEventListener('change', (e) => {
+    brush = e.target.value;
+});
+
+$('unlockAfter').addEventListener('change', () => {
+    const layer = doc.main.layers[activeLayer];
+    const unlockAfter = Math.max(1, Math.round(readNumber('unlockAfter', OverstackTileKinds.DEFAULT_UNLOCK_AFTER)));
+    if (unlockAfter === OverstackTileKinds.DEFAULT_UNLOCK_AFTER) {
+        delete layer.unlockAfter;
+    } else {
+        layer.unlockAfter = unlockAfter;
+    }
+    renderPreview();
+});
+
+$('clearLayerBtn').addEventListener('click', () => {
+    const { width, height } = getGridSize();
+    doc.main.layers[activeLayer].mask = Array(height).fill(MASK_EMPTY.repeat(width));
+    renderAll();
+});
+
+$('rulesPreset').addEventListener('change', (e) => {
+    if (e.target.value === 'custom') return;
+    if (e.target.value === 'classic') {
+        delete doc.rules;
+    } else {
+        doc.rules = e.target.value;
+    }
+    renderAll();
+});
+
+$('peelSelect').addEventListener('change', (e) => {
+    peelLayer = e.target.value === '' ? null : Number(e.target.value);
+    renderPreview();
+});
+
+$('runSolverBtn').addEventListener('click', runSolver);
+
+$('cancelSolverBtn').addEventListener('click', () => {
+    if (solverRun) solverRun.abort();
+});
+
+$('downloadBtn').addEventListener('click', downloadLevel);
+
+$('copyBtn').addEventListener('click', () => {
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText($('jsonText').value);
+    }
+});
+
+$('importBtn').addEventListener('click', importLevel);
+
+// Initialize on load with the last hand-made level
+window.addEventListener('load', () => {
+    initLevelSelect();
+    $('levelSelect').value = String(LEVELS.length - 1);
+    loadLevel(LEVELS[LEVELS.length - 1]);
+});
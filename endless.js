@@ -0,0 +1,92 @@
+// Endless Mode
+// Generated boards that follow the last hand-made level, each one harder than the one before:
+// more tiles, more layers, more icon kinds (fewer copies each, so the tray fills faster) and a
+// higher difficulty target for the generator (see level-generator.js)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+
+    // Stage 1 is the first generated board; every stage steps each value up to its cap
+    const ENDLESS_RAMP = {
+        tiles: { start: 120, step: 12, max: 180 },
+        layers: { start: 4, step: 0.5, max: 6 },
+        iconKinds: { start: 8, step: 1, max: 12 },
+        difficulty: { start: 20, step: 8, max: 75 }, // Lower bound of the target; the window is 30 wide
+        difficultyWindow: 30,
+        maxCandidates: 4, // Layouts rated per board (each rating is a few solver runs)
+        solverParams: { tools: { remove: true, shuffle: true }, maxTools: 1 } // A winning line may need one tool
+    };
+
+    function ramp(value, stage) {
+        return Math.min(value.max, Math.floor(value.start + value.step * (stage - 1)));
+    }
+
+    /**
+     * Generator params for an endless stage.
+     * @param {number} stage - 1-based
+     * @returns {{ id: string, name: string, tileCount: number, layers: number, iconKinds: number,
+     *             targetDifficulty: { min: number, max: number }, maxCandidates: number, solverParams: object }}
+     *   params for LevelGenerator.generateLevel
+     */
+    function getStageParams(stage) {
+        const min = ramp(ENDLESS_RAMP.difficulty, stage);
+        return {
+            id: `endless-${stage}`,
+            name: `Endless ${stage}`,
+            tileCount: ramp(ENDLESS_RAMP.tiles, stage),
+            layers: ramp(ENDLESS_RAMP.layers, stage),
+            iconKinds: ramp(ENDLESS_RAMP.iconKinds, stage),
+            targetDifficulty: { min, max: Math.min(100, min + ENDLESS_RAMP.difficultyWindow) },
+            maxCandidates: ENDLESS_RAMP.maxCandidates,
+            solverParams: ENDLESS_RAMP.solverParams
+        };
+    }
+
+    // Seed the generator gets for a stage of a game
+    function getStageSeed(gameSeed, stage) {
+        return OverstackRng.deriveSeed(gameSeed, `endless-${stage}`);
+    }
+
+    /**
+     * Totals over the levels of a run, for the run summary.
+     * @returns {{ levels: number, triples: number, bestCombo: number, toolsUsed: number }}
+     */
+    function createRunStats() {
+        return { levels: 0, triples: 0, bestCombo: 0, toolsUsed: 0 };
+    }
+
+    /**
+     * Add a level's score (engine.getState().score) to the run totals.
+     * @param {object} stats - createRunStats() result (not modified)
+     * @param {object} score
+     * @param {boolean} cleared - whether the level was cleared
+     * @returns {object} new totals
+     */
+    function addLevelToRunStats(stats, score, cleared) {
+        return {
+            levels: stats.levels + (cleared ? 1 : 0),
+            triples: stats.triples + score.triples,
+            bestCombo: Math.max(stats.bestCombo, score.bestCombo),
+            toolsUsed: stats.toolsUsed + score.toolsUsed
+        };
+    }
+
+    const OverstackEndless = {
+        ENDLESS_RAMP,
+        getStageParams,
+        getStageSeed,
+        createRunStats,
+        addLevelToRunStats
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackEndless;
+    } else {
+        global.OverstackEndless = OverstackEndless;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
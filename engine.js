@@ -0,0 +1,851 @@
+// Game Engine
+// Headless Overstack rules: picking, tray resolution, tools and win/lose (no DOM)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackBlockGraph = isNode ? require('./block-graph.js') : global.OverstackBlockGraph;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+    const OverstackScoring = isNode ? require('./scoring.js') : global.OverstackScoring;
+    const OverstackRules = isNode ? require('./rules.js') : global.OverstackRules;
+    const OverstackTray = isNode ? require('./tray.js') : global.OverstackTray;
+    const OverstackTools = isNode ? require('./tools.js') : global.OverstackTools;
+    const OverstackTileKinds = isNode ? require('./tile-kinds.js') : global.OverstackTileKinds;
+    const beamSearchSolve = isNode ? require('./solver.js').beamSearchSolve : global.SolverBeamSearchSolve;
+
+    const DEFAULT_TILE_SIZE = 48;
+
+    // Removed slot IDs
+    const REMOVED_SLOT_IDS = ['removed0', 'removed1', 'removed2'];
+    const REMOVED_SLOT_Z = 10; // Removed slots at very high z so they're always on top and not blocked
+
+    // Narrow and deep: a hint needs one full winning line, not the best-scored prefix
+    const HINT_SOLVER_BUDGET = { beamWidth: 20, maxExpansions: 200000, maxDepth: 400 };
+
+    // Tray key: tiles match by icon, wildcards any icon
+    const iconOf = tile => (tile.kind === 'wildcard' ? OverstackTray.WILDCARD : tile.icon);
+
+    /**
+     * Create a game engine for one level.
+     * @param {{ tiles: Array<{id: number, icon: string, x: number, y: number, z: number, slotId: string, region?: string, kind?: string, unlockAfter?: number}>, slots?: object[], rules?: object }} level
+     *   Usually the result of LevelBuilder.buildLevel(); `kind` is a tile kind (see tile-kinds.js, default 'plain')
+     * @param {{ seed?: string|number, tileSize?: number, rules?: string|object, practice?: boolean, removedSlots?: Array<{slotId: string, x: number, y: number}>, hintBudget?: object, savedState?: object, now?: function(): number, scoreRules?: object }} options
+     *   seed is the level seed (Shuffle derives its permutation from it), rules a rules preset or overrides
+     *   (see rules.js; default: the level's rules, else classic), practice makes Undo unlimited and free, removedSlots gives
+     *   the board positions the Remove tool places tiles at, hintBudget the beam search parameters for hints,
+     *   savedState a serialize() result to resume from, now the clock for move log timestamps and scoring
+     *   (default Date.now), scoreRules overrides for OverstackScoring.SCORE_RULES
+     */
+    function createEngine(level, options = {}) {
+        const seed = options.seed !== undefined ? options.seed : (level.seed !== undefined ? level.seed : OverstackRng.randomSeed());
+        const tileSize = options.tileSize || DEFAULT_TILE_SIZE;
+        const rules = OverstackRules.resolveRules(options.rules || level.rules);
+        const practice = options.practice === true;
+        const removedSlots = options.removedSlots || REMOVED_SLOT_IDS.map((slotId, i) => ({
+            slotId,
+            x: i * tileSize,
+            y: -2 * tileSize // Off the board so they never overlap level tiles
+        }));
+
+        const tiles = level.tiles.map(t => {
+            const tile = {
+                id: t.id,
+                icon: t.icon,
+                x: t.x,
+                y: t.y,
+                z: t.z,
+                location: 'BOARD', // 'BOARD' | 'TRAY' | 'CLEARED'
+                slotId: t.slotId,
+                region: t.region,
+                kind: t.kind || 'plain'
+            };
+            if (tile.kind === 'locked') {
+                tile.unlockAfter = t.unlockAfter || OverstackTileKinds.DEFAULT_UNLOCK_AFTER;
+            } else if (tile.kind === 'frozen') {
+                tile.frozen = true; // Until the first click thaws it (Undo can freeze it again)
+            }
+            return tile;
+        });
+        const tilesById = new Map(tiles.map(t => [t.id, t]));
+
+        // Static slot layout for the solver (tiles move between these slots, the slots never move)
+        const slots = level.slots || level.tiles.map(t => ({ slotId: t.slotId, px: t.x, py: t.y, z: t.z }));
+        const slotIndex = new Map(slots.map((s, i) => [s.slotId, i]));
+        const iconIndex = new Map();
+        tiles.forEach(t => {
+            if (t.kind !== 'wildcard' && !iconIndex.has(t.icon)) iconIndex.set(t.icon, iconIndex.size);
+        });
+        // Slots a bomb in each level slot clears (null on levels without bombs)
+        const bombNeighbors = tiles.some(t => t.kind === 'bomb')
+            ? OverstackTileKinds.getNeighbors(slots, tileSize)
+            : null;
+
+        let tray = [];
+        let gameOver = false;
+        let outcome = null; // null | 'won' | 'lost'
+        let loseReason = null; // Why a lost level was lost: one of OverstackRules.LOSE_REASONS
+        // Moves Undo can take back (picks and tools with an undo step), each with the tiles and tray
+        // it changed as they were before: { type, ...move, tilesBefore, trayBefore, scoreBefore, nextSeedBefore?,
+        // spent? } (spent: false for a tool use that kept its charge)
+        const undoHistory = [];
+        const redoMoves = []; // Moves Undo took back, last one first out: { type, ...move }
+        let picksMade = 0; // Picks toward the move limit, redone ones included; Undo does not give them back
+        const toolCharges = Object.assign({}, rules.tools); // Uses left per tool
+        let nextShuffleSeed = OverstackRng.deriveSeed(seed, 'shuffle');
+        const listeners = {};
+
+        // Move log: every pick and tool use, for replays (see replay.js)
+        const now = options.now || Date.now;
+        let startedAt = now();
+        const moveLog = [];
+
+        function logMove(move) {
+            moveLog.push(Object.assign(move, { t: now() - startedAt }));
+        }
+
+        const scoreKeeper = OverstackScoring.createScoreKeeper(options.scoreRules);
+
+        // Board position of a slot (level slots and removed slots)
+        const slotPositions = new Map(slots.map(s => [s.slotId, { x: s.px, y: s.py, z: s.z }]));
+        removedSlots.forEach(s => slotPositions.set(s.slotId, { x: s.x, y: s.y, z: REMOVED_SLOT_Z }));
+
+        // Blocking: level slots then removed slots in one static block graph, with a count of
+        // occupied blockers per slot that picks, undos and Remove keep up to date
+        const blockSlots = slots.map(s => ({ px: s.px, py: s.py, z: s.z }))
+            .concat(removedSlots.map(s => ({ px: s.x, py: s.y, z: REMOVED_SLOT_Z })));
+        const blockSlotIndex = new Map(slots.map((s, i) => [s.slotId, i]));
+        removedSlots.forEach((s, i) => blockSlotIndex.set(s.slotId, slots.length + i));
+        const blockGraph = OverstackBlockGraph.getBlockGraph(blockSlots, tileSize);
+        let blockers = null;
+
+        // Recount every slot's blockers from the tiles on the board
+        function countBlockers() {
+            const occupancy = blockSlots.map(() => -1);
+            boardTiles().forEach(t => {
+                occupancy[blockSlotIndex.get(t.slotId)] = t.id;
+            });
+            blockers = OverstackBlockGraph.countBlockers(blockGraph, occupancy);
+        }
+
+        function emit(event, payload) {
+            (listeners[event] || []).slice().forEach(handler => handler(payload));
+        }
+
+        function isInRemovedSlot(tile) {
+            return REMOVED_SLOT_IDS.includes(tile.slotId);
+        }
+
+        function boardTiles() {
+            return tiles.filter(t => t.location === 'BOARD');
+        }
+
+        // Blocked if any board tile with higher z overlaps it (even just a corner)
+        function isTileBlocked(tile) {
+            if (tile.location !== 'BOARD') return false;
+
+            // Tiles in removed slots are always free (not blocked)
+            if (isInRemovedSlot(tile)) return false;
+
+            return blockers[blockSlotIndex.get(tile.slotId)] > 0;
+        }
+
+        // A locked tile opens once the level has cleared its `unlockAfter` matches
+        function isTileLocked(tile) {
+            return tile.kind === 'locked' && scoreKeeper.getScore().triples < tile.unlockAfter;
+        }
+
+        function removedSlotsOccupied() {
+            return tiles.some(t => t.location === 'BOARD' && isInRemovedSlot(t));
+        }
+
+        // Board tiles Shuffle may move, in slot order (the order the solver models)
+        function shuffleCandidates() {
+            return tiles
+                .filter(t => t.location === 'BOARD' && !isInRemovedSlot(t))
+                .sort((a, b) => slotIndex.get(a.slotId) - slotIndex.get(b.slotId));
+        }
+
+        function checkOutcome() {
+            if (OverstackRules.isTrayLost(rules, tray.length)) {
+                lose(rules.lose);
+            } else if (rules.goals.length > 0 ? goalsMet() : boardTiles().length === 0) {
+                // Tiles wildcards and bombs left without a match stay in the tray (see tile-kinds.js)
+                gameOver = true;
+                outcome = 'won';
+                scoreKeeper.addTimeBonus(now() - startedAt, tiles.length);
+                emit('win', {});
+            } else if (boardTiles().length === 0) {
+                lose('goals-missed');
+            } else if (rules.moveLimit > 0 && picksMade >= rules.moveLimit) {
+                lose('out-of-moves');
+            }
+        }
+
+        function lose(reason) {
+            gameOver = true;
+            outcome = 'lost';
+            loseReason = reason;
+            emit('lose', { reason });
+        }
+
+        function clearedCount(icon) {
+            return tiles.filter(t => t.location === 'CLEARED' && t.icon === icon && t.kind !== 'wildcard').length;
+        }
+
+        function goalsMet() {
+            return rules.goals.every(goal => clearedCount(goal.icon) >= goal.count);
+        }
+
+        // Ms left before the time limit runs out (negative once it has), null without a limit
+        function getTimeLeft() {
+            return rules.timeLimit > 0 ? rules.timeLimit * 1000 - (now() - startedAt) : null;
+        }
+
+        // No move is allowed once the time is up, even before checkTime ends the level
+        function isPlayable() {
+            const timeLeft = getTimeLeft();
+            return !gameOver && (timeLeft === null || timeLeft > 0);
+        }
+
+        /**
+         * End the level as lost when its time limit has run out. The game calls this on a timer;
+         * moves call it first, so none is made after the time is up.
+         * @returns {boolean} whether it ended the level
+         */
+        function checkTime() {
+            const timeLeft = getTimeLeft();
+            return timeLeft !== null && timeLeft <= 0 && timeUp();
+        }
+
+        /**
+         * End a timed level as lost now, whatever the clock says (checkTime, and replays of a
+         * level that timed out).
+         * @returns {boolean} false without a time limit or once the game is over
+         */
+        function timeUp() {
+            if (gameOver || getTimeLeft() === null) return false;
+            logMove({ type: 'time-up' });
+            lose('time-up');
+            emit('change', {});
+            return true;
+        }
+
+        function canPick(tileId) {
+            const tile = tilesById.get(tileId);
+            return isPlayable() && !!tile && tile.location === 'BOARD' && !isTileBlocked(tile) && !isTileLocked(tile);
+        }
+
+        const SNAPSHOT_KEYS = ['tilesBefore', 'trayBefore', 'scoreBefore', 'nextSeedBefore'];
+
+        // Where a tile is, and whether it is still frozen (frozen tiles only)
+        function tileEntry(tile) {
+            const entry = { id: tile.id, location: tile.location, slotId: tile.slotId };
+            if (tile.frozen !== undefined) {
+                entry.frozen = tile.frozen;
+            }
+            return entry;
+        }
+
+        // What Undo needs to put `changedTiles` (not yet changed), the tray and the score back
+        function snapshotMove(changedTiles) {
+            return {
+                tilesBefore: changedTiles.map(tileEntry),
+                trayBefore: tray.map(t => t.id),
+                scoreBefore: scoreKeeper.snapshot()
+            };
+        }
+
+        // Put tiles, tray and Shuffle seed back as a history entry saved them (the score is Undo's job)
+        function restoreMove(move) {
+            move.tilesBefore.forEach(saved => {
+                const tile = tilesById.get(saved.id);
+                tile.location = saved.location;
+                tile.slotId = saved.slotId;
+                Object.assign(tile, slotPositions.get(saved.slotId));
+                if (saved.frozen !== undefined) {
+                    tile.frozen = saved.frozen;
+                }
+            });
+            tray = move.trayBefore.map(id => tilesById.get(id));
+            if (move.nextSeedBefore !== undefined) {
+                nextShuffleSeed = move.nextSeedBefore;
+            }
+        }
+
+        // Clear a tray match: the tiles leave the game and the triples score
+        function clearTiles(clearedTiles) {
+            clearedTiles.forEach(clearedTile => {
+                clearedTile.location = 'CLEARED';
+            });
+            scoreKeeper.addTriples(clearedTiles.length / rules.matchSize, now() - startedAt);
+            return clearedTiles.map(clearedTile => clearedTile.id);
+        }
+
+        // Pick without checks or events (pick and redo); only tray tiles can clear with it.
+        // A frozen tile thaws and stays put; a bomb picked from its level slot clears its neighbours
+        function applyPick(tile) {
+            picksMade++;
+            const changedTiles = tile.frozen ? [tile] : [tile, ...bombBlast(tile), ...tray];
+            undoHistory.push(Object.assign({ type: 'pick', tileId: tile.id }, snapshotMove(changedTiles)));
+            return takeTile(tile);
+        }
+
+        // Take a board tile the way a pick does, without the undo entry (pick and Magnet): a frozen
+        // tile only thaws, any other goes to the tray, a bomb clearing its neighbours first
+        function takeTile(tile) {
+            if (tile.frozen) {
+                tile.frozen = false;
+                return { tileId: tile.id, cleared: [], thawed: true };
+            }
+
+            const blasted = bombBlast(tile);
+            blasted.forEach(neighbor => {
+                neighbor.location = 'CLEARED';
+                OverstackBlockGraph.releaseSlot(blockGraph, blockers, blockSlotIndex.get(neighbor.slotId));
+            });
+            const result = { tileId: tile.id, cleared: pullToTray(tile) };
+            if (blasted.length > 0) {
+                result.blasted = blasted.map(neighbor => neighbor.id);
+            }
+            return result;
+        }
+
+        // Tiles a bomb in `tile` clears when taken; none for other tiles or a bomb in a removed slot
+        function bombBlast(tile) {
+            return tile.kind === 'bomb' && !isInRemovedSlot(tile) ? blastedTiles(tile) : [];
+        }
+
+        // Board tiles a bomb in `tile`'s slot clears, covered ones included
+        function blastedTiles(tile) {
+            const bySlotId = new Map(boardTiles().map(t => [t.slotId, t]));
+            return bombNeighbors[slotIndex.get(tile.slotId)]
+                .map(i => bySlotId.get(slots[i].slotId))
+                .filter(neighbor => neighbor !== undefined);
+        }
+
+        // Move a board tile into the tray; returns the ids of the tiles it cleared
+        function pullToTray(tile) {
+            tile.location = 'TRAY';
+            OverstackBlockGraph.releaseSlot(blockGraph, blockers, blockSlotIndex.get(tile.slotId));
+            const result = OverstackTray.addToTray(tray, tile, rules.matchSize, iconOf);
+            tray = result.tray;
+            return clearTiles(result.cleared);
+        }
+
+        /**
+         * Move a clickable board tile into the tray and resolve triples (see applyPick for frozen tiles and bombs).
+         * @returns {{ tileId: number, cleared: number[], thawed?: boolean, blasted?: number[] } | null}
+         *   null when the pick is not allowed
+         */
+        function pick(tileId) {
+            if (checkTime() || !canPick(tileId)) return null;
+            redoMoves.length = 0; // A new move starts a new line; the undone moves are gone
+            const result = applyPick(tilesById.get(tileId));
+
+            logMove({ type: 'pick', tileId });
+            emit('pick', result);
+            if (result.cleared.length > 0) {
+                emit('triple', { tileIds: result.cleared });
+            }
+            checkOutcome();
+            emit('change', {});
+
+            return result;
+        }
+
+        function canUndo() {
+            return undoHistory.length > 0 && isPlayable() && (practice || toolCharges.undo > 0);
+        }
+
+        /**
+         * Tool: Undo - take back the last pick or tool use (Peek and Hint excepted): its tiles and the
+         * tray go back to how they were (tiles a match cleared included) and the tool's charge, if it spent one, is returned.
+         * Each step spends an Undo charge, except in practice mode.
+         * @returns {boolean}
+         */
+        function undo() {
+            if (checkTime() || !canUndo()) return false;
+            if (!practice) {
+                toolCharges.undo--;
+            }
+
+            const lastMove = undoHistory.pop();
+            const tool = lastMove.type === 'pick' ? null : OverstackTools.getTool(lastMove.type);
+            if (tool) {
+                tool.undo(toolContext, lastMove);
+                if (lastMove.spent !== false) {
+                    toolCharges[tool.name] += tool.cost;
+                }
+            } else {
+                restoreMove(lastMove);
+            }
+            countBlockers();
+
+            // Triples the move cleared no longer count; the undo itself costs points
+            if (lastMove.scoreBefore) {
+                scoreKeeper.rewindTriples(lastMove.scoreBefore);
+            }
+            if (!practice) {
+                scoreKeeper.addToolUse('undo');
+            }
+
+            const undone = redoEntry(lastMove);
+            redoMoves.push(undone);
+            logMove({ type: 'undo' });
+            emit('undo', Object.assign({}, undone));
+            emit('change', {});
+            return true;
+        }
+
+        // What Redo needs to play an undone move again: the history entry without its snapshot
+        function redoEntry(move) {
+            const entry = {};
+            Object.keys(move).filter(key => !SNAPSHOT_KEYS.includes(key) && key !== 'spent').forEach(key => {
+                entry[key] = move[key];
+            });
+            return entry;
+        }
+
+        function canRedo() {
+            return redoMoves.length > 0 && isPlayable();
+        }
+
+        /**
+         * Redo - play the last undone move again (free; a tool spends its charge again).
+         * Any new move clears the moves there are to redo.
+         * @returns {{ type: string, tileId?: number, tileIds?: number[], cleared?: number[], thawed?: boolean, blasted?: number[], seed?: string|number } | null}
+         *   the pick or the tool's result
+         */
+        function redo() {
+            if (checkTime() || !canRedo()) return null;
+            const move = redoMoves.pop();
+
+            let result;
+            if (move.type === 'pick') {
+                result = Object.assign({ type: 'pick' }, applyPick(tilesById.get(move.tileId)));
+            } else {
+                result = Object.assign({ type: move.type }, applyTool(OverstackTools.getTool(move.type), move).details);
+            }
+
+            logMove({ type: 'redo' });
+            emit('redo', result);
+            if (result.cleared && result.cleared.length > 0) {
+                emit('triple', { tileIds: result.cleared });
+            }
+            checkOutcome();
+            emit('change', {});
+            return result;
+        }
+
+        /**
+         * Whether a tool (see tools.js) can be used now: the game is on, a charge is left and the tool
+         * is available. `args` may leave out what a player has not chosen yet (a Swap's tiles).
+         * @param {string} name
+         * @param {object} [args]
+         */
+        function canUseTool(name, args = {}) {
+            const tool = OverstackTools.getTool(name);
+            return !!tool && isPlayable() && toolCharges[name] >= tool.cost && tool.isAvailable(toolContext, args);
+        }
+
+        // Run a tool without checks or events (useTool and redo): spend its charge and points and put
+        // it on the undo history. Returns its `move` and `details`, the result without `move` and `spent`
+        function applyTool(tool, args) {
+            // A tool may change any tile still in play, so Undo keeps all of them
+            const snapshot = tool.undo ? snapshotMove(tiles.filter(t => t.location !== 'CLEARED')) : null;
+            if (snapshot) {
+                snapshot.nextSeedBefore = nextShuffleSeed;
+            }
+            const result = tool.execute(toolContext, args);
+            if (result.spent !== false) {
+                toolCharges[tool.name] -= tool.cost;
+                scoreKeeper.addToolUse(tool.name);
+            }
+            if (snapshot) {
+                countBlockers();
+                undoHistory.push(Object.assign({ type: tool.name }, result.move, snapshot, result.spent === false ? { spent: false } : {}));
+            }
+
+            const details = {};
+            Object.keys(result).filter(key => key !== 'move' && key !== 'spent').forEach(key => {
+                details[key] = result[key];
+            });
+            return { move: result.move, details };
+        }
+
+        /**
+         * Use a tool (see tools.js), e.g. useTool('swap', { tileIds: [3, 8] }).
+         * Emits an event named after the tool with its result.
+         * @param {string} name
+         * @param {object} [args] - what the tool needs: seed for Shuffle (optional), tileIds for Swap,
+         *   found for Hint (optional, see hint()), or the tileId and tool a recorded Hint showed
+         * @returns {object|null} the tool's result (e.g. { tileIds } for Remove, { tileId, cleared } for Magnet),
+         *   null when it can't be used
+         */
+        function useTool(name, args = {}) {
+            if (checkTime() || !canUseTool(name, args)) return null;
+            const tool = OverstackTools.getTool(name);
+            if (tool.undo) {
+                redoMoves.length = 0; // Like a pick, an undoable tool starts a new line
+            }
+            const { move, details } = applyTool(tool, args);
+
+            logMove(Object.assign({ type: name }, move));
+            emit(name, details);
+            if (details.cleared && details.cleared.length > 0) {
+                emit('triple', { tileIds: details.cleared });
+            }
+            // Peek and Hint only show something; the position is unchanged
+            if (tool.undo) {
+                checkOutcome();
+                emit('change', {});
+            }
+            return details;
+        }
+
+        function canRemove() {
+            return canUseTool('remove');
+        }
+
+        // Tool: Remove - move the first three tray tiles to the removed slots
+        function remove() {
+            return useTool('remove') !== null;
+        }
+
+        function canShuffle() {
+            return canUseTool('shuffle');
+        }
+
+        /**
+         * Tool: Shuffle - permute the positions of the remaining board tiles
+         * (tiles in removed slots stay put). The same seed always gives the same permutation.
+         * @param {string|number} [shuffleSeed] - Defaults to the level's next shuffle seed, which the solver models
+         */
+        function shuffle(shuffleSeed) {
+            return useTool('shuffle', shuffleSeed === undefined ? {} : { seed: shuffleSeed }) !== null;
+        }
+
+        // Shuffle's step: a redone Shuffle uses the same seed, so it deals the same permutation,
+        // and Undo puts back the seed chain
+        function shuffleBoard(shuffleSeed) {
+            const candidates = shuffleCandidates();
+            nextShuffleSeed = OverstackRules.nextShuffleSeed(shuffleSeed);
+
+            const positions = candidates.map(t => ({ slotId: t.slotId, x: t.x, y: t.y, z: t.z }));
+            OverstackRng.createRng(shuffleSeed).shuffle(positions);
+
+            // Reassign positions to tiles (tiles themselves are not modified, only their positions)
+            candidates.forEach((tile, i) => {
+                Object.assign(tile, positions[i]);
+            });
+        }
+
+        // Remove's step: take the first `count` tray tiles off the tray (matches left behind clear)
+        function takeFromTray(count) {
+            const result = OverstackTray.takeFront(tray, count, rules.matchSize, iconOf);
+            tray = result.tray;
+            return { taken: result.taken, cleared: clearTiles(result.cleared) };
+        }
+
+        function placeInRemovedSlot(tile, index) {
+            tile.location = 'BOARD';
+            tile.slotId = removedSlots[index].slotId;
+            tile.x = removedSlots[index].x;
+            tile.y = removedSlots[index].y;
+            tile.z = REMOVED_SLOT_Z;
+        }
+
+        // Put a board tile in another slot; the blockers are recounted once the tool is done
+        function moveOnBoard(tile, slotId) {
+            tile.slotId = slotId;
+            Object.assign(tile, slotPositions.get(slotId));
+        }
+
+        // Solver tray item of a tile: its icon index, or WILDCARD
+        function solverItem(tile) {
+            return tile.kind === 'wildcard' ? OverstackTray.WILDCARD : iconIndex.get(tile.icon);
+        }
+
+        // Solver board cell of a tile (OverstackTileKinds.encodeCell): a thawed tile is plain
+        function solverCell(tile) {
+            const kind = tile.kind === 'frozen' && !tile.frozen ? 'plain' : tile.kind;
+            return OverstackTileKinds.encodeCell(iconIndex.get(tile.icon), kind, tile.unlockAfter);
+        }
+
+        /**
+         * Current position in the solver's terms: `board` holds a cell per level slot (-1 for empty,
+         * else an icon index with the tile's kind, see OverstackTileKinds.encodeCell), `removed` a tray
+         * item per removed slot, `tools` the charges still in hand and `matches` the matches cleared.
+         * `tileIds` and `removedTileIds` map those positions back to tiles. `blockGraph` is the level
+         * slots' block graph for the solver's `blockGraph` param; `getClickableSlots` the equivalent
+         * callback; `neighbors` the solver's `neighbors` param (null without bombs).
+         */
+        function getSolverState() {
+            const bySlotId = new Map(boardTiles().map(t => [t.slotId, t]));
+            const tileAt = slotId => (bySlotId.has(slotId) ? bySlotId.get(slotId).id : null);
+
+            const tileIds = slots.map(s => tileAt(s.slotId));
+            const removedTileIds = REMOVED_SLOT_IDS.map(tileAt);
+            const solverGraph = OverstackBlockGraph.getBlockGraph(slots, tileSize);
+
+            return {
+                board: tileIds.map(id => (id === null ? -1 : solverCell(tilesById.get(id)))),
+                tray: tray.map(solverItem),
+                removed: removedTileIds.map(id => (id === null ? -1 : solverItem(tilesById.get(id)))),
+                tools: { remove: toolCharges.remove, shuffle: toolCharges.shuffle },
+                shuffleSeed: nextShuffleSeed,
+                matches: scoreKeeper.getScore().triples,
+                rules,
+                tileIds,
+                removedTileIds,
+                neighbors: bombNeighbors,
+                blockGraph: solverGraph,
+                getClickableSlots: (solverBoard) => OverstackBlockGraph.getClickableSlots(
+                    solverBoard,
+                    OverstackBlockGraph.countBlockers(solverGraph, solverBoard)
+                )
+            };
+        }
+
+        function canHint() {
+            return canUseTool('hint');
+        }
+
+        /**
+         * Tool: Hint - search for a winning line from the current position, tools included.
+         * A charge is only spent when a line is found.
+         * @param {object} [found] - the solver's result for getHintRequest() in this position (e.g. from
+         *   solverClient.solve(), off the main thread); without it the engine runs the search itself
+         * @returns {{ tileId: number|null, tool: string|null, stats: object } | null}
+         *   tileId is the tile to pick next, or tool the tool to use next; both null when
+         *   no line was found within budget
+         */
+        function hint(found) {
+            return useTool('hint', found ? { found } : {});
+        }
+
+        /**
+         * The hint search for the current position as solverClient.solve() arguments, so it can run
+         * in the solver worker; pass its result to hint() before the position changes.
+         * @returns {{ board: number[], slots: object[], tileSize: number, params: object }}
+         */
+        function getHintRequest() {
+            const state = getSolverState();
+            return { board: state.board, slots, tileSize, params: hintParams(state) };
+        }
+
+        // Solver params of a hint search from `state` (getSolverState()), all plain data
+        function hintParams(state) {
+            return Object.assign({}, HINT_SOLVER_BUDGET, options.hintBudget, {
+                initialTray: state.tray,
+                initialRemoved: state.removed,
+                tools: state.tools,
+                shuffleSeed: state.shuffleSeed,
+                initialMatches: state.matches,
+                rules,
+                neighbors: state.neighbors
+            });
+        }
+
+        // Hint's step: the first move of a winning line, if the solver finds (or found) one within budget
+        function searchHint(found) {
+            const state = getSolverState();
+            const result = found ||
+                beamSearchSolve(state.board, null, Object.assign(hintParams(state), { blockGraph: state.blockGraph }));
+            if (!result.solvable) {
+                return { tileId: null, tool: null, stats: result.stats };
+            }
+
+            const move = result.winningMoves[0];
+            let tileId = null;
+            let tool = null;
+            if (typeof move === 'number') {
+                tileId = state.tileIds[move];
+            } else if (move.type === 'removed') {
+                tileId = state.removedTileIds[move.index];
+            } else {
+                tool = move.type;
+            }
+            return { tileId, tool, stats: result.stats };
+        }
+
+        // What tools see of the engine (see tools.js)
+        const toolContext = {
+            rules,
+            getTile: id => tilesById.get(id),
+            getTray: () => [...tray],
+            boardTiles,
+            isBlocked: isTileBlocked,
+            isLocked: isTileLocked,
+            isInRemovedSlot,
+            removedSlotsOccupied,
+            shuffleCandidates,
+            getShuffleSeed: () => nextShuffleSeed,
+            shuffleBoard,
+            takeFromTray,
+            placeInRemovedSlot,
+            moveOnBoard,
+            takeTile,
+            restoreMove,
+            searchHint
+        };
+
+        /**
+         * Every pick and tool use so far: { type: 'pick' | 'undo' | 'redo' | 'time-up' | <tool name>, t, ... }
+         * with t in ms since the level started, tileId for picks, hints and magnets, seed for shuffles,
+         * tileIds for swaps. A timed level that ran out ends with a 'time-up' entry.
+         */
+        function getMoveLog() {
+            return moveLog.map(move => Object.assign({}, move));
+        }
+
+        /**
+         * Plain JSON of everything a move can change, for saving a game in progress.
+         * Positions are stored as slot ids, so a save restores correctly at any board size.
+         */
+        function serialize() {
+            return {
+                tiles: tiles.map(tileEntry),
+                tray: tray.map(t => t.id),
+                undoHistory: JSON.parse(JSON.stringify(undoHistory)),
+                redoMoves: redoMoves.map(move => Object.assign({}, move)),
+                toolCharges: Object.assign({}, toolCharges),
+                nextShuffleSeed,
+                gameOver,
+                outcome,
+                loseReason,
+                picksMade,
+                elapsed: now() - startedAt, // Play time, not the start time: the clock stops while the game is closed
+                moveLog: getMoveLog(),
+                score: scoreKeeper.snapshot()
+            };
+        }
+
+        // Apply a serialize() result (tile icons come from the level, positions from the slots).
+        // Only the current format: OverstackSave.migrate() upgrades older saves first
+        function restore(saved) {
+            saved.tiles.forEach(s => {
+                const tile = tilesById.get(s.id);
+                const position = slotPositions.get(s.slotId);
+                if (!tile || !position) {
+                    throw new Error(`Saved state does not match the level (tile ${s.id}, slot ${s.slotId})`);
+                }
+                tile.location = s.location;
+                tile.slotId = s.slotId;
+                Object.assign(tile, position);
+                if (s.frozen !== undefined) {
+                    tile.frozen = s.frozen;
+                }
+            });
+            tray = saved.tray.map(id => tilesById.get(id));
+            saved.undoHistory.forEach(move => undoHistory.push(JSON.parse(JSON.stringify(move))));
+            saved.redoMoves.forEach(move => redoMoves.push(Object.assign({}, move)));
+            picksMade = saved.picksMade;
+            Object.assign(toolCharges, saved.toolCharges);
+            nextShuffleSeed = saved.nextShuffleSeed;
+            gameOver = saved.gameOver;
+            outcome = saved.outcome;
+            loseReason = saved.loseReason;
+            startedAt = now() - saved.elapsed; // Play time resumes where the save left it
+            saved.moveLog.forEach(move => moveLog.push(Object.assign({}, move)));
+            scoreKeeper.restore(saved.score);
+        }
+
+        if (options.savedState) {
+            restore(options.savedState);
+        }
+        countBlockers();
+
+        /**
+         * Snapshot of the current state. Safe to keep: later moves don't mutate it.
+         */
+        function getState() {
+            return {
+                tiles: tiles.map(t => Object.assign({}, t, { blocked: isTileBlocked(t), locked: isTileLocked(t) })),
+                tray: tray.map(t => ({ id: t.id, icon: t.icon, kind: t.kind })),
+                rules,
+                gameOver,
+                outcome,
+                loseReason,
+                objectives: getObjectives(),
+                moveCount: undoHistory.length,
+                redoCount: redoMoves.length,
+                practice,
+                toolCharges: Object.assign({}, toolCharges),
+                score: scoreKeeper.getScore()
+            };
+        }
+
+        /**
+         * Progress on the rules' objectives: timeLeft in ms and movesLeft (null without a limit),
+         * and per goal the tiles of its icon cleared so far.
+         * @returns {{ timeLeft: number|null, movesLeft: number|null, goals: Array<{icon: string, count: number, cleared: number}> }}
+         */
+        function getObjectives() {
+            const timeLeft = getTimeLeft();
+            return {
+                timeLeft: timeLeft === null ? null : Math.max(0, timeLeft),
+                movesLeft: rules.moveLimit > 0 ? Math.max(0, rules.moveLimit - picksMade) : null,
+                goals: rules.goals.map(goal => ({ icon: goal.icon, count: goal.count, cleared: Math.min(goal.count, clearedCount(goal.icon)) }))
+            };
+        }
+
+        /**
+         * Subscribe to an engine event: 'pick', 'triple', 'undo', 'redo', 'win', 'lose', 'change',
+         * or a tool's name ('remove', 'shuffle', 'swap', 'magnet', 'peek', 'hint').
+         * @returns {function} unsubscribe
+         */
+        function on(event, handler) {
+            (listeners[event] = listeners[event] || []).push(handler);
+            return () => {
+                listeners[event] = listeners[event].filter(h => h !== handler);
+            };
+        }
+
+        return {
+            pick,
+            undo,
+            redo,
+            remove,
+            shuffle,
+            hint,
+            useTool,
+            checkTime,
+            timeUp,
+            canPick,
+            canUndo,
+            canRedo,
+            canRemove,
+            canShuffle,
+            canHint,
+            getHintRequest,
+            canUseTool,
+            isBlocked: (tileId) => {
+                const tile = tilesById.get(tileId);
+                return !!tile && isTileBlocked(tile);
+            },
+            getClickableTileIds: () => boardTiles().filter(t => !isTileBlocked(t) && !isTileLocked(t)).map(t => t.id),
+            getState,
+            getSolverState,
+            getObjectives,
+            serialize,
+            getMoveLog,
+            getStartedAt: () => startedAt,
+            on
+        };
+    }
+
+    const OverstackEngine = {
+        REMOVED_SLOT_IDS,
+        createEngine
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackEngine;
+    } else {
+        global.OverstackEngine = OverstackEngine;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -5,40 +5,103 @@ const TRAY_TILE_SIZE = 64; // Tray tile size
 const TRAY_ICON_SIZE = 32; // Icon font size for tray tiles
 const GAP_X = 18;
 const GAP_Y = 18;
-const TRAY_SIZE = 7;
 const REMOVED_SLOT_GAP = 12;
 const REMOVED_SLOT_SIZE = TILE_SIZE; // Removed slots match tile size
 
-// Aliases for backward compatibility and clarity
-const TILE_W = TILE_SIZE;
-const TILE_H = TILE_SIZE;
-const TILE_W_L2 = TILE_SIZE;
-const TILE_H_L2 = TILE_SIZE;
-const STEP_X_L2 = TILE_SIZE;
-const STEP_Y_L2 = TILE_SIZE;
+// Animation durations (ms)
+const FLIGHT_MS = 220; // Tile flying between the board and the tray
+const CLEAR_MS = 200; // Matched tiles popping out of the tray
+const SLIDE_MS = 150; // Tray tiles sliding to their new slots
+const SHUFFLE_MS = 320; // Board tiles moving to their shuffled slots
+const REVEAL_MS = 260; // Face-down tiles turning over once they are uncovered
+const THAW_MS = 240; // A frozen tile cracking on its first click
+const PEEK_MS = 3000; // How long Peek shows the covered tiles
+const LEVEL_END_DELAY = 400; // Pause after the last move before the level end dialog
+const OBJECTIVES_TICK_MS = 250; // How often a timed level checks and shows its clock
+const LOW_TIME_MS = 10000; // The clock turns red with less time than this left
+const LOW_MOVES = 5; // The moves left turn red at this many
+
+// Why a level was lost (engine 'lose' reasons), for the game over and daily result dialogs
+const LOSE_MESSAGES = {
+    'tray-full': 'Your tray is full!',
+    'tray-overflow': 'Your tray overflowed!',
+    'time-up': 'Time ran out!',
+    'out-of-moves': 'You ran out of moves!',
+    'goals-missed': 'The board was cleared before the goals were met.'
+};
 
 // Icons
 const ALL_ICONS = ['🍎', '🍌', '🍇', '🍓', '🍒', '🍍', '🍉', '🍋', '🥕', '🌽', '🥑', '🍄', '🌻', '🌸', '🌵'];
+const ICON_NAMES = {
+    '🍎': 'apple', '🍌': 'banana', '🍇': 'grapes', '🍓': 'strawberry', '🍒': 'cherries',
+    '🍍': 'pineapple', '🍉': 'watermelon', '🍋': 'lemon', '🥕': 'carrot', '🌽': 'corn',
+    '🥑': 'avocado', '🍄': 'mushroom', '🌻': 'sunflower', '🌸': 'blossom', '🌵': 'cactus',
+    [OverstackTileKinds.WILDCARD_ICON]: 'wildcard'
+}; // Spoken names for screen readers
+
+// Keyboard play: arrow key -> direction on the board
+const ARROW_DIRECTIONS = {
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowRight: { dx: 1, dy: 0 },
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 }
+};
 
 // Removed slot IDs
-const REMOVED_SLOT_IDS = ['removed0', 'removed1', 'removed2'];
+const REMOVED_SLOT_IDS = OverstackEngine.REMOVED_SLOT_IDS;
 
-// Game state
-let tiles = []; // Array of tile objects: {id, icon, x, y, z, location: 'BOARD'|'TRAY'|'CLEARED', slotId, element}
-let tray = []; // Array of tile objects in tray (not just icons)
-let gameOver = false;
-let currentLevel = 1;
-let undoHistory = []; // Array of move history entries
-let toolsUsed = { undo: false, remove: false, shuffle: false }; // Track tool usage (one-time use)
+// Game state (rules live in the headless engine; this file only renders it)
+let engine = null; // OverstackEngine instance for the current level
+let currentLevel = 1; // 1-based index into LEVELS (levels.js); past the last one it counts endless stages
+let levelDoc = null; // Document of the level being played (from LEVELS, or generated in endless mode)
+let levelSlots = null; // Slots of the current level, built from its level document
+let gameSeed = null; // Seed of the current game; every level, shuffle and replay derives from it
+let levelSeed = null; // Seed of the current level (derived from gameSeed and the level id)
+let pendingUrlSeed = new URLSearchParams(window.location.search).get('seed'); // ?seed= for the first game
+const tileElements = new Map(); // Tile id -> board DOM element
+const solverClient = OverstackSolverClient.createSolverClient(); // Level generation runs in a Web Worker
+const audio = OverstackAudio.createAudioManager(); // Sound effects and music (see audio.js)
+let levelGeneration = null; // AbortController of the level being generated
+let hintSearch = null; // AbortController of the hint search running in the solver worker
+let levelIcons = null; // Icon per tile id as dealt, kept for the saved game
+let resumeSave = null; // Saved game to restore instead of dealing the next level (see save.js)
+let replayPlayer = null; // Replay being viewed (replay mode, see replay.js); the board is read-only
+let replayTimer = null; // Playback timer while a replay is playing
+const REPLAY_MIN_GAP = 150; // ms between moves during playback (recorded gaps are clamped)
+const REPLAY_MAX_GAP = 1500;
+let runScore = 0; // Points from the levels cleared so far in this run
+let runStats = OverstackEndless.createRunStats(); // Totals for the run summary
+let dailyKey = null; // Date of the daily challenge being played (see daily.js), null in a normal game
+let practiceMode = false; // Practice game: unlimited free Undo, no high scores
+let focusTileId = null; // The one tile in the tab order (roving tabindex); arrow keys move it
+let inputLocked = false; // A move is being animated; picks and tools wait until it is done
+let moveAnimation = Promise.resolve(); // Settles when the current move animation ends
+let animationGeneration = 0; // Bumped by initGame, so animations of a torn-down board stop there
+let modalCount = 0; // Ids for modal titles (aria-labelledby)
+let swapSelection = null; // Swap in progress: { tileId } of the first tile chosen (null until one is)
+let swapping = false; // Swap was pressed; the next two board tiles clicked trade places
+let peekTimer = null; // Ends the current Peek
+let objectivesTimer = null; // Ticks the clock of a timed level (rules.timeLimit)
+const faceDownTileIds = new Set(); // Tiles shown face down (rules.faceDown); updateBlocking() turns over the uncovered ones
 
 // DOM elements
 const gameBoard = document.getElementById('gameBoard');
 const trayElement = document.getElementById('tray');
 const newGameBtn = document.getElementById('newGameBtn');
+const dailyBtn = document.getElementById('dailyBtn');
+const practiceBtn = document.getElementById('practiceBtn');
+const exportReplayBtn = document.getElementById('exportReplayBtn');
+const openReplayBtn = document.getElementById('openReplayBtn');
+const replayFileInput = document.getElementById('replayFileInput');
+const announcer = document.getElementById('announcer');
+const muteBtn = document.getElementById('muteBtn');
+const effectsVolumeInput = document.getElementById('effectsVolume');
+const musicVolumeInput = document.getElementById('musicVolume');
 let toolPanel = null;
 let undoBtn = null;
-let removeBtn = null;
-let shuffleBtn = null;
+let redoBtn = null;
+const toolButtons = new Map(); // Tool name -> button, in the order of OverstackTools.TOOLS
+let toolsTooltip = null;
 let debugWindow = null;
 
 // Initialize game
@@ -49,24 +112,72 @@ function initGame(resetLevel = true) {
         existingModal.remove();
     }
     
-    tiles = [];
-    tray = [];
-    undoHistory = [];
-    toolsUsed = { undo: false, remove: false, shuffle: false };
-    gameOver = false;
+    // Leave replay mode
+    if (replayPlayer) {
+        closeReplay();
+    }
+    
+    // Drop a level that is still being generated, and a hint for the old board
+    if (levelGeneration) {
+        levelGeneration.abort();
+        levelGeneration = null;
+    }
+    if (hintSearch) {
+        hintSearch.abort();
+        hintSearch = null;
+    }
+    
     // Only reset to Level 1 when starting a new game (not when advancing levels)
     if (resetLevel) {
+        dailyKey = null;
         currentLevel = 1;
+        runScore = 0;
+        runStats = OverstackEndless.createRunStats();
+        startNewSeed();
     }
+    stopObjectivesTimer();
+    engine = null;
     gameBoard.innerHTML = '';
     trayElement.innerHTML = '';
-    
-    // Add level caption
+    tileElements.clear();
+    faceDownTileIds.clear();
+    focusTileId = null;
+    resetAnimations();
+    endSwap();
+    endPeek();
+    
+    // Add level caption (with the streak of endless boards cleared)
     const levelCaption = document.createElement('div');
     levelCaption.className = 'level-caption';
-    levelCaption.textContent = `Level ${currentLevel}`;
+    levelCaption.textContent = dailyKey ? `Daily Challenge · ${dailyKey}` : getLevelInfo(currentLevel).name;
+    if (!dailyKey && isEndlessLevel()) {
+        levelCaption.textContent += ` · 🔥 Streak ${getEndlessStage() - 1}`;
+    }
+    if (practiceMode) {
+        levelCaption.textContent += ' · Practice';
+    }
     gameBoard.appendChild(levelCaption);
     
+    // Add seed caption so a board can be shared or reported
+    const seedCaption = document.createElement('div');
+    seedCaption.className = 'seed-caption';
+    seedCaption.textContent = `Seed: ${gameSeed}`;
+    seedCaption.title = dailyKey
+        ? 'Everyone plays the same board today'
+        : 'Open the game with ?seed=' + gameSeed + ' to play this exact board again';
+    gameBoard.appendChild(seedCaption);
+    
+    // Add score caption (run total including the level in progress)
+    const scoreCaption = document.createElement('div');
+    scoreCaption.className = 'score-caption';
+    gameBoard.appendChild(scoreCaption);
+    updateScoreCaption();
+    
+    // Add objectives caption (time, moves and goals left; empty on levels without objectives)
+    const objectivesCaption = document.createElement('div');
+    objectivesCaption.className = 'objectives-caption';
+    gameBoard.appendChild(objectivesCaption);
+    
     // Create tool panel
     createToolPanel();
     
@@ -84,23 +195,64 @@ function initGame(resetLevel = true) {
     // Create skip button for testing
     createSkipButton();
     
-    // Build level
-    if (currentLevel === 1) {
-        buildLevel1();
-    } else if (currentLevel === 2) {
-        buildLevel2();
-    } else if (currentLevel === 3) {
-        buildLevel3();
-    } else {
-        throw "Level not implemented";
-    }
-    
     renderTray();
-    updateBlocking();
     updateToolButtonStates();
-    updateDebugWindow();
+    
+    // Build level (asynchronously; tools stay disabled until it is ready)
+    buildLevel();
+}
+
+// Id and name of level `n` (1-based); levels after the last hand-made one are endless stages
+function getLevelInfo(n) {
+    return n <= LEVELS.length ? LEVELS[n - 1] : OverstackEndless.getStageParams(n - LEVELS.length);
+}
+
+// Whether the current level is a generated endless board
+function isEndlessLevel() {
+    return !dailyKey && currentLevel > LEVELS.length;
+}
+
+// Whether the current level is generated (daily or endless) rather than one of LEVELS
+function isGeneratedLevel() {
+    return !!dailyKey || isEndlessLevel();
+}
+
+// Generator params of a generated level, or null for a level from LEVELS
+function getGenerateParams() {
+    if (dailyKey) return OverstackDaily.getDailyParams(dailyKey);
+    if (isEndlessLevel()) return OverstackEndless.getStageParams(getEndlessStage());
+    return null;
+}
+
+// 1-based endless stage of the current level (its streak is the stage before it)
+function getEndlessStage() {
+    return currentLevel - LEVELS.length;
+}
+
+// Pick the seed for a new game: ?seed= on first load, otherwise a fresh random one
+function startNewSeed() {
+    setGameSeed(pendingUrlSeed || OverstackRng.randomSeed());
+    pendingUrlSeed = null;
+}
+
+// Set the game seed and keep the address bar shareable
+function setGameSeed(seed) {
+    gameSeed = seed;
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', gameSeed);
+    window.history.replaceState(null, '', url);
 }
 
+// Tools with their own handler (animation and announcement); any other tool in the registry uses handleTool
+const TOOL_HANDLERS = {
+    remove: handleRemove,
+    shuffle: handleShuffle,
+    swap: handleSwap,
+    magnet: handleMagnet,
+    peek: handlePeek,
+    hint: handleHint
+};
+
 // Create tool panel
 function createToolPanel() {
     toolPanel = document.createElement('div');
@@ -119,38 +271,60 @@ function createToolPanel() {
     toolsHelpIcon.className = 'help-icon';
     toolsHelpIcon.title = 'Tools Instructions';
     
-    const toolsTooltip = document.createElement('span');
+    toolsTooltip = document.createElement('span');
     toolsTooltip.className = 'help-tooltip';
-    toolsTooltip.innerHTML = '<strong>Undo:</strong>\nUndo your last move.\n\n<strong>Remove:</strong>\nMove the first three tiles in the tray back to the board to free up space.\n\n<strong>Shuffle:</strong>\nShuffle the remaining tiles on the board.\n\nEach tool can only be used <strong>once</strong>. Use them wisely to get out of tight situations and keep making matches.';
+    toolsTooltip.innerHTML = getToolsHelp(getRules());
     
     toolsHelpIcon.appendChild(document.createTextNode('?'));
     toolsHelpIcon.appendChild(toolsTooltip);
     toolsHeader.appendChild(toolsLabel);
     toolsHeader.appendChild(toolsHelpIcon);
     
-    undoBtn = document.createElement('button');
-    undoBtn.className = 'tool-btn';
-    undoBtn.textContent = 'Undo';
-    undoBtn.addEventListener('click', handleUndo);
-    
-    removeBtn = document.createElement('button');
-    removeBtn.className = 'tool-btn';
-    removeBtn.textContent = 'Remove';
-    removeBtn.addEventListener('click', handleRemove);
-    
-    shuffleBtn = document.createElement('button');
-    shuffleBtn.className = 'tool-btn';
-    shuffleBtn.textContent = 'Shuffle';
-    shuffleBtn.addEventListener('click', handleShuffle);
+    undoBtn = createToolButton('Undo', 'U', handleUndo);
+    redoBtn = createToolButton('Redo', 'Y', handleRedo);
     
     toolPanel.appendChild(toolsHeader);
     toolPanel.appendChild(undoBtn);
-    toolPanel.appendChild(removeBtn);
-    toolPanel.appendChild(shuffleBtn);
+    toolPanel.appendChild(redoBtn);
+    
+    // One button per tool in the registry (see tools.js)
+    toolButtons.clear();
+    OverstackTools.TOOLS.forEach(tool => {
+        const handler = TOOL_HANDLERS[tool.name] || (() => handleTool(tool.name));
+        const button = createToolButton(tool.label, tool.shortcut, handler);
+        toolButtons.set(tool.name, button);
+        toolPanel.appendChild(button);
+    });
     
     gameBoard.appendChild(toolPanel);
 }
 
+// Tool button with its keyboard shortcut
+function createToolButton(label, shortcut, onClick) {
+    const button = document.createElement('button');
+    button.className = 'tool-btn';
+    button.textContent = label;
+    button.title = `${label} (${shortcut})`;
+    button.setAttribute('aria-keyshortcuts', shortcut);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Tools help for a rule set (tool charges differ between rule variants)
+function getToolsHelp(rules) {
+    const uses = (n) => (n === 1 ? '<strong>once</strong>' : `<strong>${n}</strong> times`);
+    const undoUses = practiceMode ? '<strong>without limit</strong> (practice game)' : uses(rules.tools.undo);
+    const allowed = [`Undo ${undoUses}`].concat(OverstackTools.TOOLS.map(tool => `${tool.label} ${uses(rules.tools[tool.name])}`));
+    return '<strong>Undo (U):</strong>\nTake back your last move: a pick or a tool (not Peek or Hint). Each use goes one more move back, and an undone tool can be used again.\n\n<strong>Redo (Y):</strong>\nPlay an undone move again. A new move drops the moves you could redo.\n\n' +
+        OverstackTools.TOOLS.map(tool => `<strong>${tool.label} (${tool.shortcut}):</strong>\n${tool.description}\n\n`).join('') +
+        `This level allows ${allowed.slice(0, -1).join(', ')} and ${allowed[allowed.length - 1]}. Use them wisely to get out of tight situations and keep making matches.`;
+}
+
+// Rules of the level being played (the classic rules while a level is generating)
+function getRules() {
+    return engine ? engine.getState().rules : OverstackRules.resolveRules();
+}
+
 // Create debug window for Level 2 and Level 3
 function createDebugWindow() {
     if (debugWindow) {
@@ -179,18 +353,18 @@ function createSkipButton() {
         existingSkipBtn.remove();
     }
     
-    // Only show skip button if not on the last level
-    if (currentLevel < 3) {
-        const skipBtn = document.createElement('button');
-        skipBtn.id = 'skipBtn';
-        skipBtn.className = 'skip-btn';
-        skipBtn.textContent = `Skip to Level ${currentLevel + 1}`;
-        skipBtn.addEventListener('click', () => {
-            currentLevel++;
-            initGame(false); // Don't reset level, we're advancing
-        });
-        gameBoard.appendChild(skipBtn);
-    }
+    // The daily challenge has no next level, and endless boards only count towards the streak
+    // when cleared, so skipping one would inflate it; Skip leads from the last level into endless mode
+    if (isGeneratedLevel()) return;
+    const skipBtn = document.createElement('button');
+    skipBtn.id = 'skipBtn';
+    skipBtn.className = 'skip-btn';
+    skipBtn.textContent = `Skip to ${getLevelInfo(currentLevel + 1).name}`;
+    skipBtn.addEventListener('click', () => {
+        currentLevel++;
+        initGame(false); // Don't reset level, we're advancing
+    });
+    gameBoard.appendChild(skipBtn);
 }
 
 // Count icons in a tile array (helper function)
@@ -209,7 +383,8 @@ function countIcons(tileArray) {
 
 // Update debug window with current icon counts
 function updateDebugWindow() {
-    if ((currentLevel !== 2 && currentLevel !== 3) || !debugWindow) return;
+    if (currentLevel === 1 || !debugWindow || !engine) return;
+    const { tiles, tray } = engine.getState();
     
     // Count icons on board (excluding removed slots)
     const boardTiles = tiles.filter(t => 
@@ -221,7 +396,7 @@ function updateDebugWindow() {
     const trayCounts = countIcons(tray);
     
     // Build HTML
-    let html = `<div class="debug-header">Icon Counts (Level ${currentLevel})</div>`;
+    let html = `<div class="debug-header">Icon Counts (${getLevelInfo(currentLevel).name})</div>`;
     html += '<div class="debug-section">';
     html += '<div class="debug-subheader">Board</div>';
     html += '<div class="debug-grid">';
@@ -275,1505 +450,1184 @@ function createRemovedSlots() {
     });
 }
 
-// Build Level 1
-function buildLevel1() {
-    // Grid dimensions
-    const gridW = 3 * TILE_W + 2 * GAP_X;
-    const gridH = 3 * TILE_H + 2 * GAP_Y;
-    const layoutW = gridW;
-    const layoutH = gridH + TILE_H / 4;
-    
-    // Board dimensions
-    const BOARD_W = gameBoard.offsetWidth;
-    const BOARD_H = gameBoard.offsetHeight;
-    
-    // Center the layout
-    const originX = (BOARD_W - layoutW) / 2;
-    const originY = (BOARD_H - layoutH) / 2;
-    
-    // Pick 3 random icons
-    const selectedIcons = [];
-    const iconPool = [...ALL_ICONS];
-    for (let i = 0; i < 3; i++) {
-        const randomIndex = Math.floor(Math.random() * iconPool.length);
-        selectedIcons.push(iconPool[randomIndex]);
-        iconPool.splice(randomIndex, 1);
+// Build the current level from its level document (the solver runs in a worker)
+async function buildLevel() {
+    const generateParams = getGenerateParams();
+    let doc = generateParams ? null : LEVELS[currentLevel - 1]; // Generated boards get their document from the generator
+    if (dailyKey) {
+        levelSeed = OverstackDaily.getDailySeed(dailyKey);
+    } else if (generateParams) {
+        levelSeed = OverstackEndless.getStageSeed(gameSeed, getEndlessStage());
+    } else {
+        levelSeed = OverstackRng.deriveSeed(gameSeed, doc.id);
     }
-    
-    // Create array with 6 copies of each icon (18 total)
-    const iconList = [];
-    selectedIcons.forEach(icon => {
-        for (let i = 0; i < 6; i++) {
-            iconList.push(icon);
-        }
-    });
-    
-    // Shuffle
-    shuffleArray(iconList);
-    
-    // Create bottom layer (z = 0)
-    let iconIndex = 0;
-    for (let row = 0; row < 3; row++) {
-        for (let col = 0; col < 3; col++) {
-            const px = originX + col * (TILE_W + GAP_X);
-            const py = originY + row * (TILE_H + GAP_Y);
-            const slotId = `level1_bottom_${row}_${col}`;
-            
-            const tile = {
-                id: tiles.length,
-                icon: iconList[iconIndex++],
-                x: px,
-                y: py,
-                z: 0,
-                location: 'BOARD',
-                slotId: slotId,
-                element: null
-            };
-            tiles.push(tile);
+    const buildOptions = getBuildOptions(levelSeed);
+    
+    // Saved game (or daily attempt): same deal and progress, no solver needed
+    if (resumeSave) {
+        const save = resumeSave;
+        resumeSave = null;
+        try {
+            const savedDoc = generateParams ? save.levelDoc : doc;
+            startLevel(savedDoc, LevelBuilder.buildLevelWithIcons(savedDoc, buildOptions, save.icons), save.engine);
+            return;
+        } catch (error) {
+            console.warn('Saved game does not fit this level, dealing a new one:', error.message);
+            if (!dailyKey) {
+                OverstackSave.clear();
+            }
         }
     }
     
-    // Create top layer (z = 1)
-    for (let row = 0; row < 3; row++) {
-        for (let col = 0; col < 3; col++) {
-            const px = originX + col * (TILE_W + GAP_X);
-            const py = originY + row * (TILE_H + GAP_Y) + TILE_H / 4;
-            const slotId = `level1_top_${row}_${col}`;
-            
-            const tile = {
-                id: tiles.length,
-                icon: iconList[iconIndex++],
-                x: px,
-                y: py,
-                z: 1,
-                location: 'BOARD',
-                slotId: slotId,
-                element: null
-            };
-            tiles.push(tile);
+    const generation = new AbortController();
+    levelGeneration = generation;
+    showGeneratingOverlay(generateParams ? generateParams.name : doc.name);
+    
+    let level;
+    try {
+        const control = { signal: generation.signal, onProgress: updateGeneratingOverlay };
+        if (generateParams) {
+            const generated = await solverClient.generateLevel(generateParams, buildOptions, control);
+            doc = generated.doc;
+            level = generated.level;
+        } else {
+            level = await solverClient.buildLevel(doc, buildOptions, control);
         }
+    } catch (error) {
+        if (error.name === 'AbortError') return; // A newer initGame() took over
+        console.error('Level generation failed:', error);
+        hideGeneratingOverlay();
+        showToast('Could not generate the level, try New Game');
+        return;
+    }
+    if (generation.signal.aborted) return;
+    levelGeneration = null;
+    hideGeneratingOverlay();
+    if (level.certification && !level.certification.solvable) {
+        console.warn(`${doc.name}: no winning line found in ${level.certification.tries} deals, playing the last one`);
     }
     
-    // Render tiles
-    renderAllTiles();
+    startLevel(doc, level);
 }
 
-// Store Level 2 slots globally for solver access
-let level2Slots = null;
+// Level builder options for the rendered board
+function getBuildOptions(seed) {
+    return {
+        boardWidth: gameBoard.offsetWidth,
+        boardHeight: gameBoard.offsetHeight,
+        tileSize: TILE_SIZE,
+        icons: ALL_ICONS,
+        seed
+    };
+}
 
-// Store Level 3 slots globally for solver access
-let level3Slots = null;
+// Engine options for the rendered board (removed slot positions depend on its size)
+function getEngineOptions() {
+    const { removedRowX, removedRowY } = getRemovedSlotPositions();
+    return {
+        seed: levelSeed,
+        tileSize: TILE_SIZE,
+        practice: practiceMode,
+        removedSlots: REMOVED_SLOT_IDS.map((slotId, i) => ({
+            slotId,
+            x: removedRowX + i * (REMOVED_SLOT_SIZE + REMOVED_SLOT_GAP),
+            y: removedRowY
+        }))
+    };
+}
 
-// Build Level 2
-function buildLevel2() {
-    // Build slots
-    level2Slots = buildLevel2Slots();
-    
-    // Build tiles from slots
-    buildLevel2Tiles(level2Slots);
+// Create the engine for a built level and render it (savedState resumes a saved game)
+function startLevel(doc, level, savedState) {
+    levelDoc = doc;
+    levelSlots = level.slots;
+    engine = OverstackEngine.createEngine(level, Object.assign(getEngineOptions(), { savedState }));
+    levelIcons = level.tiles.map(t => t.icon);
+    
+    engine.on('change', () => {
+        clearHintHighlight();
+        endSwap();
+        endPeek();
+        renderTray();
+        updateDebugWindow();
+        updateScoreCaption();
+        updateObjectivesCaption();
+        saveGame();
+    });
+    // Hint and Peek change only their charge and the score
+    ['hint', 'peek'].forEach(event => engine.on(event, () => {
+        updateScoreCaption();
+        saveGame();
+    }));
+    engine.on('win', handleLevelCleared);
+    engine.on('lose', () => {
+        stopObjectivesTimer();
+        afterMoveAnimation(() => audio.play('gameOver'));
+        if (dailyKey) {
+            finishDaily();
+            return;
+        }
+        OverstackSave.clear(); // Nothing left to resume
+        
+        // The run ends here; the level's points so far count towards it
+        const { score } = engine.getState();
+        runStats = OverstackEndless.addLevelToRunStats(runStats, score, false);
+        const runResult = recordRun(runScore + score.total);
+        
+        // Show modal once the last tile landed, so user can see it
+        afterMoveAnimation(() => {
+            showGameOverModal(runResult);
+        });
+    });
     
     // Render tiles
+    toolsTooltip.innerHTML = getToolsHelp(getRules());
     renderAllTiles();
+    renderTray();
+    updateBlocking();
+    updateToolButtonStates();
+    updateDebugWindow();
+    updateScoreCaption();
+    updateObjectivesCaption();
+    saveGame();
+    if (getRules().timeLimit > 0 && !engine.getState().gameOver) {
+        objectivesTimer = setInterval(tickObjectives, OBJECTIVES_TICK_MS);
+    }
 }
 
-// Build Level 2 slots
-function buildLevel2Slots() {
-    const slots = [];
-    
-    // Board dimensions for centering
-    const BOARD_W = gameBoard.offsetWidth;
-    const BOARD_H = gameBoard.offsetHeight;
-    
-    // Calculate origin to center MAIN stack based on top layer (z5) bounding box
-    // Top layer (z5) has shift {sx: 0.0, sy: 0.5} - X=0 for stable centering
-    // Find the actual pixel bounds of top layer tiles
-    const topLayerMask = [
-        "##.#.##",
-        "#..#..#",
-        "..###..",
-        "#..#..#",
-        "..###..",
-        "#..#..#",
-        "##.#.##"
-    ];
-    const topLayerShift = {sx: 0.0, sy: 0.5}; // Top layer uses shiftX=0 for stable centering
-    
-    // Find min and max x positions in top layer
-    let minX = Infinity;
-    let maxX = -Infinity;
-    for (let yInt = 0; yInt < 7; yInt++) {
-        const row = topLayerMask[yInt];
-        for (let xInt = 0; xInt < 7; xInt++) {
-            if (row[xInt] === '#') {
-                const x = xInt + topLayerShift.sx;
-                minX = Math.min(minX, x);
-                maxX = Math.max(maxX, x);
-            }
-        }
-    }
-    
-    // Calculate pixel width of top layer (from left edge of leftmost tile to right edge of rightmost tile)
-    // Left edge: originX + minX * STEP_X_L2
-    // Right edge: originX + maxX * STEP_X_L2 + TILE_W_L2
-    // Width: (maxX - minX) * STEP_X_L2 + TILE_W_L2
-    const topLayerPixelWidth = (maxX - minX) * STEP_X_L2 + TILE_W_L2;
-    
-    // Center the top layer in the board
-    // We want: (BOARD_W - topLayerPixelWidth) / 2 = originX + minX * STEP_X_L2
-    // So: originX = (BOARD_W - topLayerPixelWidth) / 2 - minX * STEP_X_L2
-    const originX = (BOARD_W - topLayerPixelWidth) / 2 - minX * STEP_X_L2;
-    const originY = 80; // Top margin (increased to avoid caption overlap and move board down)
-    
-    // Calculate top layer center in grid coordinates for positioning substacks
-    const topLayerCenterX = (minX + maxX) / 2;
-    
-    // MAIN STACK - Fixed 6-layer woven blueprint (132 slots total)
-    // Layer shifts: per-layer fractional offsets (only 0 or ±0.5, no 0.25)
-    // Top layer (z=5) has shiftX=0 to match bottom layer for stable centering
-    // Mostly Y shifts, only two layers have X shifts (z=3 and z=4)
-    const layerShift = [
-        {sx: 0.0, sy: 0.0},   // z0 - bottom layer, no offset
-        {sx: 0.0, sy: 0.5},   // z1 - Y shift only
-        {sx: 0.0, sy: -0.5},  // z2 - Y shift only (negative)
-        {sx: 0.5, sy: 0.0},   // z3 - X shift only
-        {sx: -0.5, sy: 0.0},  // z4 - X shift only (negative)
-        {sx: 0.0, sy: 0.5},   // z5 - top layer, Y shift only, X=0 for stable centering
-    ];
-    
-    // Layer masks: '#' = tile, '.' = empty (7×7 grid, y=0..6 top to bottom)
-    const layerMasks = [
-        // z0
-        [
-            "..###..",
-            ".#####.",
-            "#######",
-            "#######",
-            "#######",
-            ".#####.",
-            "..###.."
-        ],
-        // z1
-        [
-            "...#...",
-            "..###..",
-            ".#####.",
-            "#######",
-            ".#####.",
-            "..###..",
-            "...#..."
-        ],
-        // z2 (was 13 → now 21, +8)
-        [
-            "..###..",
-            "..###..",
-            ".#.#.#.",
-            ".##.#..",
-            ".#.#.#.",
-            "..###..",
-            "..###.."
-        ],
-        // z3 (was 8 → now 12, +4)
-        [
-            ".......",
-            "..###..",
-            "..#.#..",
-            ".#...#.",
-            "..#.#..",
-            "..###..",
-            "......."
-        ],
-        // z4 (was 8 → now 12, +4)
-        [
-            ".......",
-            "..#.#..",
-            "..###..",
-            ".#...#.",
-            "..###..",
-            "..#.#..",
-            "......."
-        ],
-        // z5
-        [
-            "##.#.##",
-            "#..#..#",
-            "..###..",
-            "#..#..#",
-            "..###..",
-            "#..#..#",
-            "##.#.##"
-        ]
-    ];
-    
-    // Generate MAIN slots from masks
-    // Use integer grid coordinates (xInt, yInt) with layer shifts applied
-    const mainSlotCounts = [0, 0, 0, 0, 0, 0];
-    for (let z = 0; z < 6; z++) {
-        const mask = layerMasks[z];
-        const shift = layerShift[z];
-        for (let yInt = 0; yInt < 7; yInt++) {
-            const row = mask[yInt];
-            for (let xInt = 0; xInt < 7; xInt++) {
-                if (row[xInt] === '#') {
-                    // Apply layer shift to integer grid coordinates
-                    const x = xInt + shift.sx;
-                    const y = yInt + shift.sy;
-            slots.push({
-                slotId: `main_${z}_${xInt}_${yInt}`,
-                x: x,  // Float: xInt + fractional shift
-                y: y,  // Float: yInt + fractional shift
-                z: z,
-                region: 'MAIN'
-            });
-                    mainSlotCounts[z]++;
-                }
-            }
-        }
-    }
-    
-    // Print layer counts and verify
-    const totalMain = mainSlotCounts.reduce((sum, count) => sum + count, 0);
-    console.log('Level 2 MAIN stack layer counts:');
-    for (let z = 0; z < 6; z++) {
-        console.log(`  z${z}: ${mainSlotCounts[z]} tiles`);
-    }
-    console.log(`  TOTAL MAIN: ${totalMain} tiles`);
-    
-    if (totalMain !== 132) {
-        console.error(`MAIN stack count mismatch: expected 132, got ${totalMain}`);
+// Timed level: end it once the time is up (the engine checks on moves too) and show the clock
+function tickObjectives() {
+    if (!engine || replayPlayer) return;
+    engine.checkTime();
+    updateObjectivesCaption();
+}
+
+function stopObjectivesTimer() {
+    clearInterval(objectivesTimer);
+    objectivesTimer = null;
+}
+
+// Save the level in progress (finished levels are saved by handleLevelCleared)
+function saveGame() {
+    if (!engine) return;
+    const state = engine.serialize();
+    if (state.gameOver) return;
+    
+    // The daily attempt is kept apart, so the regular saved game survives it
+    if (dailyKey) {
+        OverstackDaily.saveAttempt({ dateKey: dailyKey, icons: levelIcons, levelDoc, engine: state });
+        return;
     }
     
-    if (mainSlotCounts[5] < 20) {
-        console.error(`Top layer (z5) has ${mainSlotCounts[5]} tiles, but >=20 required`);
-    } else {
-        console.log(`Top layer (z5) has ${mainSlotCounts[5]} tiles (>=20 required) ✓`);
-    }
-    
-    // Position substacks relative to top layer center, maintaining current distances
-    // Current positions relative to center: SUB_LEFT at -1, SUB_RIGHT at 7, SUB_LEFT_SIDE at -1.0
-    // SUB_RIGHT_SIDE positioned at x=7.0 (right next to grid)
-    // Calculate distances from center to maintain them
-    const subLeftDistance = -1 - topLayerCenterX;      // Distance from center to SUB_LEFT
-    const subRightDistance = 7 - topLayerCenterX;      // Distance from center to SUB_RIGHT
-    const subLeftSideDistance = -1.0 - topLayerCenterX; // Distance from center to SUB_LEFT_SIDE (right next to grid)
-    // SUB_RIGHT_SIDE will be positioned at x=7.0 (right next to grid)
-    
-    // SUB_LEFT (bottom): positioned relative to top layer center, moved a bit lower
-    // Main grid goes from y=0 to y=6, place at y=7.5 (slightly lower)
-    for (let z = 0; z <= 11; z++) {
-        slots.push({
-            slotId: `sub_left_${z}`,
-            x: topLayerCenterX + subLeftDistance,
-            y: 7.5,
-            z: z,
-            region: 'SUB_LEFT'
-        });
-    }
+    OverstackSave.write({
+        gameSeed,
+        currentLevel,
+        levelId: levelDoc.id,
+        levelDoc: isEndlessLevel() ? levelDoc : null,
+        runScore,
+        runStats,
+        practice: practiceMode,
+        icons: levelIcons,
+        engine: state
+    });
+}
+
+// Whether a saved game can still be continued with the current level list
+function isResumable(save) {
+    const info = save.currentLevel >= 1 ? getLevelInfo(save.currentLevel) : null;
+    const generated = save.currentLevel > LEVELS.length;
+    return !!info && info.id === save.levelId && !(save.engine && save.engine.gameOver) &&
+        !(generated && save.engine && !save.levelDoc); // A dealt endless board needs its document
+}
+
+// Continue a saved game
+function resumeGame(save) {
+    dailyKey = null;
+    setGameSeed(save.gameSeed);
+    currentLevel = save.currentLevel;
+    runScore = save.runScore || 0;
+    runStats = save.runStats || OverstackEndless.createRunStats();
+    practiceMode = save.practice === true;
+    resumeSave = save.engine ? save : null; // No engine state: the level was not dealt yet
+    initGame(false);
+}
+
+// Ask whether to continue the saved game or start a new one
+function showResumeModal(save) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal-content">
+            <h2>👋 Welcome Back!</h2>
+            <p>You have a game in progress on ${getLevelInfo(save.currentLevel).name}.</p>
+            <div class="modal-buttons">
+                <button class="continue-btn">Continue</button>
+                <button class="secondary-btn">New Game</button>
+            </div>
+        </div>
+    `;
     
-    // SUB_RIGHT (bottom): positioned relative to top layer center, moved a bit lower
-    for (let z = 0; z <= 11; z++) {
-        slots.push({
-            slotId: `sub_right_${z}`,
-            x: topLayerCenterX + subRightDistance,
-            y: 7.5,
-            z: z,
-            region: 'SUB_RIGHT'
-        });
-    }
+    overlay.querySelector('.continue-btn').addEventListener('click', () => {
+        overlay.remove();
+        resumeGame(save);
+    });
+    overlay.querySelector('.secondary-btn').addEventListener('click', () => {
+        overlay.remove();
+        OverstackSave.clear();
+        initGame();
+    });
     
-    // SUB_LEFT_SIDE (left of MAIN): positioned relative to top layer center
-    // Position vertically centered relative to MAIN, slightly left to avoid blocking
-    const mainCenterY = 3; // Approximate center of MAIN stack
-    for (let z = 0; z <= 11; z++) {
-        slots.push({
-            slotId: `sub_left_side_${z}`,
-            x: topLayerCenterX + subLeftSideDistance,
-            y: mainCenterY,
-            z: z,
-            region: 'SUB_LEFT_SIDE'
-        });
-    }
+    openModal(overlay);
+}
+
+// Show the "generating level" state over the empty board
+function showGeneratingOverlay(levelName) {
+    hideGeneratingOverlay();
     
-    // SUB_RIGHT_SIDE (right of MAIN): positioned at x=7.0 (right next to grid)
-    // Main grid ends at x=6, so x=7.0 places it right next to the grid
-    for (let z = 0; z <= 11; z++) {
-        slots.push({
-            slotId: `sub_right_side_${z}`,
-            x: 7.0,
-            y: mainCenterY,
-            z: z,
-            region: 'SUB_RIGHT_SIDE'
-        });
+    const overlay = document.createElement('div');
+    overlay.className = 'generating-overlay';
+    overlay.setAttribute('role', 'status');
+    overlay.innerHTML = `
+        <div class="generating-title">Generating ${levelName}…</div>
+        <div class="generating-progress"></div>
+    `;
+    gameBoard.appendChild(overlay);
+}
+
+// Solver progress: one report per deal checked (or per layout rated, for endless boards)
+function updateGeneratingOverlay(progress) {
+    const progressEl = gameBoard.querySelector('.generating-progress');
+    if (progressEl) {
+        progressEl.textContent = progress.candidate
+            ? `Rated layout ${progress.candidate} of up to ${progress.maxCandidates}`
+            : `Checking deal ${progress.tryNum} of up to ${progress.maxTries}`;
     }
-    
-    // Assert total slots = 180
-    if (slots.length !== 180) {
-        console.error(`Level 2 slot count mismatch: expected 180, got ${slots.length}`);
+}
+
+// Remove the "generating level" state
+function hideGeneratingOverlay() {
+    const overlay = gameBoard.querySelector('.generating-overlay');
+    if (overlay) {
+        overlay.remove();
     }
-    
-    // Calculate pixel positions for all slots using exact tile-size steps
-    slots.forEach(slot => {
-        let px = originX + slot.x * STEP_X_L2;
-        let py = originY + slot.y * STEP_Y_L2;
-        
-        // Add spread-out card effect for bottom sub stacks (horizontal spread)
-        if (slot.region === 'SUB_LEFT' || slot.region === 'SUB_RIGHT') {
-            // Offset x slightly based on z-index to create fan effect
-            // Higher z (top tiles) have more offset
-            const spreadOffset = slot.z * 2; // 2px per layer
-            if (slot.region === 'SUB_LEFT') {
-                px += spreadOffset; // Spread to the right
-            } else {
-                px -= spreadOffset; // Spread to the left
-            }
-        }
+}
+
+// Update blocking status for all tiles. With face-down tiles (rules.faceDown) blocked tiles hide
+// their icon, and tiles that were face down turn over once they become clickable
+function updateBlocking() {
+    const revealed = [];
+    const { tiles, rules } = engine.getState(); // Read once: getState() copies every tile
+    tiles.forEach(tile => {
+        const tileEl = tileElements.get(tile.id);
+        if (!tileEl || tile.location !== 'BOARD') return;
         
-        // Add spread-out card effect for side sub stacks (vertical spread)
-        if (slot.region === 'SUB_LEFT_SIDE' || slot.region === 'SUB_RIGHT_SIDE') {
-            // Offset y slightly based on z-index to create vertical fan effect
-            // Higher z (top tiles) have more offset
-            const spreadOffset = slot.z * 2; // 2px per layer
-            py += spreadOffset; // Spread downward
+        if (tile.blocked) {
+            tileEl.classList.add('blocked');
+        } else {
+            tileEl.classList.remove('blocked');
         }
+        const faceDown = isFaceDown(tile, rules);
+        tileEl.classList.toggle('locked', tile.locked && !faceDown);
+        tileEl.classList.toggle('frozen', !!tile.frozen && !faceDown);
         
-        slot.px = px;
-        slot.py = py;
-    });
-    
-    // Assert no same-layer overlaps in MAIN stack
-    const mainSlots = slots.filter(s => s.region === 'MAIN');
-    for (let z = 0; z < 6; z++) {
-        const layerSlots = mainSlots.filter(s => s.z === z);
-        const tileRects = layerSlots.map(slot => ({
-            x: slot.px,
-            y: slot.py,
-            w: TILE_W_L2,
-            h: TILE_H_L2,
-            slotId: slot.slotId
-        }));
-        
-        // Check all pairs in this layer for overlap
-        for (let i = 0; i < tileRects.length; i++) {
-            for (let j = i + 1; j < tileRects.length; j++) {
-                const A = tileRects[i];
-                const B = tileRects[j];
-                
-                const overlapX = Math.min(A.x + A.w, B.x + B.w) - Math.max(A.x, B.x);
-                const overlapY = Math.min(A.y + A.h, B.y + B.h) - Math.max(A.y, B.y);
-                
-                if (overlapX > 0 && overlapY > 0) {
-                    console.error(`Same-layer overlap detected in z${z}: ${A.slotId} and ${B.slotId}`);
-                    console.error(`  A: (${A.x}, ${A.y}) size ${A.w}×${A.h}`);
-                    console.error(`  B: (${B.x}, ${B.y}) size ${B.w}×${B.h}`);
-                    console.error(`  Overlap: ${overlapX}×${overlapY}`);
-                    throw new Error(`Same-layer overlap in MAIN stack layer z${z}`);
-                }
-            }
+        if (!tileEl.classList.contains('peeked')) {
+            showTileFace(tileEl, faceDown ? null : tile);
         }
-    }
-    console.log('✓ No same-layer overlaps detected in MAIN stack');
-    
-    // Centering sanity check: verify top and bottom layers have same X shift
-    const bottomLayerShift = layerShift[0];
-    const topLayerShiftCheck = layerShift[5];
-    if (bottomLayerShift.sx !== topLayerShiftCheck.sx) {
-        console.warn(`Centering warning: Bottom layer shiftX (${bottomLayerShift.sx}) != Top layer shiftX (${topLayerShiftCheck.sx})`);
-    } else {
-        console.log(`✓ Centering stable: Top and bottom layers both have shiftX = ${topLayerShiftCheck.sx}`);
-    }
-    
-    // Verify no 0.25 offsets exist in layer shifts
-    for (let z = 0; z < 6; z++) {
-        const shift = layerShift[z];
-        if (Math.abs(shift.sx) === 0.25 || Math.abs(shift.sy) === 0.25) {
-            console.error(`Layer z${z} has 0.25 offset: sx=${shift.sx}, sy=${shift.sy}`);
-            throw new Error(`Level 2 layer shift must use only 0 or ±0.5, no 0.25 offsets`);
+        if (faceDown) {
+            faceDownTileIds.add(tile.id);
+        } else if (faceDownTileIds.delete(tile.id)) {
+            revealed.push(tileEl);
         }
+        tileEl.setAttribute('aria-disabled', String(tile.blocked || tile.locked));
+        tileEl.setAttribute('aria-label', describeTile(tile, rules));
+    });
+    revealed.forEach(tileEl => animateElement(tileEl, [
+        { transform: 'rotateY(90deg)' },
+        { transform: 'none' }
+    ], REVEAL_MS));
+    updateRovingTile();
+}
+
+// Whether a board tile lies face down: blocked tiles do under rules.faceDown (removed slots are never blocked)
+function isFaceDown(tile, rules) {
+    return rules.faceDown && tile.blocked;
+}
+
+// Show a board tile's face (its icon and kind), or its back for null (the icon and kind are left
+// out of the page, not just hidden)
+function showTileFace(tileEl, tile) {
+    tileEl.classList.toggle('face-down', tile === null);
+    tileEl.textContent = tile === null ? '' : tile.icon;
+    OverstackTileKinds.KINDS.filter(kind => kind !== 'plain').forEach(kind => {
+        tileEl.classList.toggle(`kind-${kind}`, tile !== null && tile.kind === kind);
+    });
+}
+
+// Spoken name of an icon
+function getIconName(icon) {
+    return ICON_NAMES[icon] || icon;
+}
+
+// Screen reader label of a board tile: icon, where it lies and whether it can be picked
+function describeTile(tile, rules) {
+    const place = REMOVED_SLOT_IDS.includes(tile.slotId) ? 'removed slot' : `layer ${tile.z + 1}`;
+    const faceDown = isFaceDown(tile, rules);
+    const name = faceDown ? 'face-down tile' : describeKind(tile) + getIconName(tile.icon);
+    const locked = tile.locked && !faceDown
+        ? `, locked until ${tile.unlockAfter} ${tile.unlockAfter === 1 ? 'match' : 'matches'}`
+        : '';
+    return `${name}, ${place}${tile.blocked ? ', blocked' : ''}${locked}`;
+}
+
+// Spoken kind of a special tile, put before its icon name (see tile-kinds.js)
+function describeKind(tile) {
+    if (tile.frozen) return 'frozen ';
+    if (tile.kind === 'bomb') return 'bomb ';
+    return '';
+}
+
+// Tray spaces left before one more tile could lose
+function getTraySpaceLeft() {
+    const { tray, rules } = engine.getState();
+    const capacity = rules.lose === 'tray-full' ? rules.traySize - 1 : rules.traySize; // Tiles it holds safely
+    return capacity - tray.length;
+}
+
+// Tray fill level for announcements, with a warning when one more tile could lose
+function describeTray() {
+    const { tray, rules } = engine.getState();
+    const left = getTraySpaceLeft();
+    const warning = left === 1 ? ', one space left' : (left === 0 ? ', no space left' : '');
+    return `Tray ${tray.length} of ${rules.traySize}${warning}.`;
+}
+
+// Read a message out through the live region (screen readers only)
+function announce(message) {
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message; // Set after clearing, so a repeated message is read again
+    }, 50);
+}
+
+// Clickable board tiles with an element, in reading order (top to bottom, left to right)
+function getClickableBoardTiles() {
+    const clickable = new Set(swapping ? getSwappableTileIds() : engine.getClickableTileIds());
+    return engine.getState().tiles
+        .filter(tile => clickable.has(tile.id) && tileElements.has(tile.id))
+        .sort((a, b) => (a.y - b.y) || (a.x - b.x));
+}
+
+// Tiles Swap can move: every board tile outside the removed slots, covered ones too
+function getSwappableTileIds() {
+    return engine.getState().tiles
+        .filter(tile => tile.location === 'BOARD' && !REMOVED_SLOT_IDS.includes(tile.slotId))
+        .map(tile => tile.id);
+}
+
+// Keep one clickable tile in the tab order: the current one while it stays clickable, else the one nearest to it
+function updateRovingTile() {
+    const clickable = getClickableBoardTiles();
+    const current = engine.getState().tiles.find(tile => tile.id === focusTileId);
+    let target = clickable.find(tile => tile.id === focusTileId) || clickable[0] || null;
+    if (current && target && target.id !== current.id) {
+        const distance = tile => Math.hypot(tile.x - current.x, tile.y - current.y);
+        target = clickable.reduce((best, tile) => (distance(tile) < distance(best) ? tile : best));
     }
-    console.log('✓ All layer shifts use only 0 or ±0.5 offsets');
-    
-    // Compute bounding box of MAIN tiles in pixels for visual centering check
-    const mainSlotsWithPixels = slots.filter(s => s.region === 'MAIN');
-    if (mainSlotsWithPixels.length > 0) {
-        let minPX = Infinity, maxPX = -Infinity;
-        let minPY = Infinity, maxPY = -Infinity;
-        mainSlotsWithPixels.forEach(slot => {
-            minPX = Math.min(minPX, slot.px);
-            maxPX = Math.max(maxPX, slot.px + TILE_W_L2);
-            minPY = Math.min(minPY, slot.py);
-            maxPY = Math.max(maxPY, slot.py + TILE_H_L2);
-        });
-        const mainBoundingWidth = maxPX - minPX;
-        const mainBoundingHeight = maxPY - minPY;
-        const mainCenterPX = minPX + mainBoundingWidth / 2;
-        const boardCenterX = BOARD_W / 2;
-        const centerOffset = Math.abs(mainCenterPX - boardCenterX);
-        
-        console.log(`Main stack bounding box: ${mainBoundingWidth.toFixed(1)}×${mainBoundingHeight.toFixed(1)}px`);
-        console.log(`Main center: ${mainCenterPX.toFixed(1)}px, Board center: ${boardCenterX.toFixed(1)}px`);
-        if (centerOffset > 5) {
-            console.warn(`Centering offset: ${centerOffset.toFixed(1)}px (should be < 5px for proper centering)`);
-        } else {
-            console.log(`✓ Main stack centered within ${centerOffset.toFixed(1)}px`);
-        }
+    focusTileId = target ? target.id : null;
+    tileElements.forEach((tileEl, id) => {
+        tileEl.tabIndex = id === focusTileId ? 0 : -1;
+    });
+}
+
+// Move the keyboard focus to a tile (it becomes the roving tile)
+function focusTile(tileId) {
+    focusTileId = tileId;
+    tileElements.forEach((tileEl, id) => {
+        tileEl.tabIndex = id === tileId ? 0 : -1;
+    });
+    tileElements.get(tileId).focus();
+}
+
+// Whether the keyboard focus is on a board tile (a re-render then moves it to the roving tile)
+function isTileFocused() {
+    return !!document.activeElement && document.activeElement.classList.contains('tile');
+}
+
+// Bring the focus back to the board after the focused tile was picked or re-rendered
+function restoreTileFocus(hadFocus) {
+    if (hadFocus && focusTileId !== null) {
+        focusTile(focusTileId);
     }
-    
-    return slots;
 }
 
-// Build Level 2 tiles from slots with solvability checking
-function buildLevel2Tiles(slots) {
-    const MAX_TRIES = 50;
-    let bestAssignment = null;
-    let solvable = false;
+// Arrow keys: go to the nearest clickable tile in that direction, preferring tiles in line with
+// the current one. Without a focused tile the roving tile takes the focus first
+function moveTileFocus(direction) {
+    const clickable = getClickableBoardTiles();
+    const current = clickable.find(tile => tile.id === focusTileId);
+    if (!current || !isTileFocused()) {
+        if (focusTileId !== null) focusTile(focusTileId);
+        return;
+    }
     
-    // Create icon bag: 15 icons × 12 each = 180
-    const iconBag = [];
-    ALL_ICONS.forEach(icon => {
-        for (let i = 0; i < 12; i++) {
-            iconBag.push(icon);
+    let best = null;
+    let bestScore = Infinity;
+    clickable.forEach(tile => {
+        const along = (tile.x - current.x) * direction.dx + (tile.y - current.y) * direction.dy;
+        if (along <= 0) return;
+        const across = Math.abs((tile.x - current.x) * direction.dy + (tile.y - current.y) * direction.dx);
+        const score = along + 2 * across;
+        if (score < bestScore) {
+            best = tile;
+            bestScore = score;
         }
     });
+    if (best) {
+        focusTile(best.id);
+    }
+}
+
+// Keyboard play: arrows move between clickable tiles, Enter or Space picks, letters use the tools
+function handleKeyDown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (document.querySelector('.modal-overlay')) return; // The dialog has the keyboard
+    if (e.target.closest('input, textarea, select')) return;
+    if (!engine || replayPlayer) return;
+    
+    const direction = ARROW_DIRECTIONS[e.key];
+    if (direction) {
+        e.preventDefault();
+        moveTileFocus(direction);
+        return;
+    }
     
-    // Try to find a solvable assignment
-    for (let tryNum = 0; tryNum < MAX_TRIES; tryNum++) {
-        // Shuffle icon bag
-        shuffleArray(iconBag);
-        
-        // Create board assignment array (slot index -> icon index)
-        const boardAssignment = new Array(slots.length).fill(-1);
-        slots.forEach((slot, index) => {
-            const iconIndex = ALL_ICONS.indexOf(iconBag[index]);
-            boardAssignment[index] = iconIndex;
-        });
-        
-        // Check solvability
-        const result = isSolvable(
-            boardAssignment,
-            (board) => getClickableSlotIndices(board, slots),
-            { beamWidth: 100, maxExpansions: 3000, maxDepth: 150 }
-        );
-        
-        if (result.solvable) {
-            bestAssignment = [...iconBag];
-            solvable = true;
-            console.log(`Level 2: Found solvable assignment on try ${tryNum + 1}`, result.stats);
-            break;
-        }
-        
-        bestAssignment = [...iconBag]; // Keep last assignment as fallback
+    const tileEl = e.target.closest('.tile');
+    if (tileEl && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        handleTileClick(Number(tileEl.dataset.tileId));
+        return;
     }
     
-    if (!solvable) {
-        console.warn('Level 2: Could not find solvable assignment after', MAX_TRIES, 'tries. Using last assignment.');
+    if (e.key === 'Escape' && swapping) {
+        e.preventDefault();
+        endSwap();
+        announce('Swap cancelled.');
+        return;
     }
     
-    // Assign icons to slots
-    slots.forEach((slot, index) => {
-        const tile = {
-            id: tiles.length,
-            icon: bestAssignment[index],
-            x: slot.px,
-            y: slot.py,
-            z: slot.z,
-            location: 'BOARD',
-            slotId: slot.slotId,
-            region: slot.region, // Store region for styling
-            element: null
-        };
-        tiles.push(tile);
+    const shortcuts = { u: undoBtn, y: redoBtn };
+    toolButtons.forEach((button, name) => {
+        shortcuts[OverstackTools.getTool(name).shortcut.toLowerCase()] = button;
     });
+    const toolBtn = shortcuts[e.key.toLowerCase()];
+    if (toolBtn && !toolBtn.disabled) {
+        e.preventDefault();
+        toolBtn.click();
+    }
 }
 
-// Build Level 3
-function buildLevel3() {
-    // Build slots
-    level3Slots = buildLevel3Slots();
-    
-    // Build tiles from slots
-    buildLevel3Tiles(level3Slots);
-    
-    // Render tiles
-    renderAllTiles();
-}
-
-// Build Level 3 slots
-function buildLevel3Slots() {
-    const slots = [];
-    
-    // Board dimensions for centering
-    const BOARD_W = gameBoard.offsetWidth;
-    const BOARD_H = gameBoard.offsetHeight;
-    
-    // Calculate origin to center MAIN stack based on top layer (z11) bounding box
-    // Top layer (z11) has shift {sx: 0.0, sy: 0.0} - X=0 for stable centering
-    const topLayerMask = [
-        ".......",
-        "#######",
-        "#######",
-        ".......",
-        "..###..",
-        "..###..",
-        "......."
-    ];
-    const topLayerShift = {sx: 0.0, sy: 0.0}; // Top layer uses shiftX=0 for stable centering
-    
-    // Find min and max x positions in top layer
-    let minX = Infinity;
-    let maxX = -Infinity;
-    for (let yInt = 0; yInt < 7; yInt++) {
-        const row = topLayerMask[yInt];
-        for (let xInt = 0; xInt < 7; xInt++) {
-            if (row[xInt] === '#') {
-                const x = xInt + topLayerShift.sx;
-                minX = Math.min(minX, x);
-                maxX = Math.max(maxX, x);
-            }
+// Handle tile click
+async function handleTileClick(tileId) {
+    if (swapping) {
+        handleSwapTile(tileId);
+        return;
+    }
+    if (replayPlayer || inputLocked || !engine.canPick(tileId)) return; // Replays are read-only
+    const tileEl = tileElements.get(tileId);
+    const { tiles, tray: trayBefore } = engine.getState();
+    const { icon, kind } = tiles.find(t => t.id === tileId);
+    const tile = { id: tileId, icon, kind };
+    const hadFocus = document.activeElement === tileEl;
+    const fromRect = tileEl.getBoundingClientRect();
+    const trayRects = getTraySlotRects();
+    
+    const lock = lockInput();
+    const result = engine.pick(tileId);
+    audio.play('pick');
+    
+    if (result.thawed) {
+        // A frozen tile only thaws; it stays on the board for the next click
+        announce(`${getIconName(tile.icon)} thawed. Pick it again to move it to the tray.`);
+        updateBlocking();
+        updateToolButtonStates();
+        restoreTileFocus(hadFocus);
+        try {
+            await animateThaw(tileEl);
+        } finally {
+            lock.unlock();
         }
+        return;
     }
     
-    // Calculate pixel width of top layer
-    const topLayerPixelWidth = (maxX - minX) * STEP_X_L2 + TILE_W_L2;
-    
-    // Center the top layer in the board
-    const originX = (BOARD_W - topLayerPixelWidth) / 2 - minX * STEP_X_L2;
-    const originY = 80; // Top margin
-    
-    // Calculate top layer center in grid coordinates for positioning substacks
-    const topLayerCenterX = (minX + maxX) / 2;
-    
-    // MAIN STACK - 12-layer blueprint (206 slots total)
-    // Layer shifts: NO X offsets in layerShift; per-tile X offsets for z1, z3, z5, z7, z9 via tileShiftX_L3
-    const layerShift = [
-        {sx: 0.0, sy: 0.0},   // z0 - bottom layer, no offset
-        {sx: 0.0, sy: -1.0},  // z1 - Y shift only (negative), per-tile X offset applied
-        {sx: 0.0, sy: -0.5},  // z2 - Y shift only (negative)
-        {sx: 0.0, sy: 0.0},   // z3 - no layer shift, per-tile X offset applied
-        {sx: 0.0, sy: 0.5},   // z4 - Y shift only
-        {sx: 0.0, sy: 1.0},   // z5 - Y shift only, per-tile X offset applied
-        {sx: 0.0, sy: 0.0},   // z6 - no offset
-        {sx: 0.0, sy: -1.0},  // z7 - Y shift only (negative), per-tile X offset applied
-        {sx: 0.0, sy: -0.5},  // z8 - Y shift only (negative)
-        {sx: 0.0, sy: 0.0},   // z9 - no layer shift, per-tile X offset applied
-        {sx: 0.0, sy: 0.5},   // z10 - Y shift only
-        {sx: 0.0, sy: 0.0},   // z11 - top layer, no offset, X=0 for stable centering
-    ];
+    const { matchSize } = getRules();
+    const blasted = result.blasted || [];
+    announce((result.cleared.length > 0 ? `Matched ${matchSize} ${getIconName(tile.icon)}. ` : `${getIconName(tile.icon)} to the tray. `) +
+        (blasted.length > 0 ? `Bomb cleared ${blasted.length} ${blasted.length === 1 ? 'tile' : 'tiles'}. ` : '') + describeTray());
     
-    // Per-tile X offset function for mirrored split (z1, z3, z5, z7, z9)
-    function tileShiftX_L3(z, xInt) {
-        if (![1, 3, 5, 7, 9].includes(z)) return 0;
-        if (xInt === 3) {
-            console.error(`Split-shift layer z${z} must have empty center column, but xInt=3 found`);
-            throw new Error(`Split-shift layer z${z} must have empty center column`);
+    // The tile leaves the board at once (a copy flies to the tray), so the board is up to date while it flies
+    tileEl.style.display = 'none';
+    updateBlocking();
+    updateToolButtonStates();
+    updateDebugWindow();
+    restoreTileFocus(hadFocus);
+    
+    try {
+        await Promise.all([
+            animatePick(tile, fromRect, trayBefore, trayRects, result.cleared, lock.isCurrent),
+            animateBlast(blasted)
+        ]);
+        if (lock.isCurrent() && result.cleared.length === 0 && getTraySpaceLeft() === 1) {
+            audio.play('warning');
         }
-        return xInt < 3 ? +0.5 : -0.5;
-    }
-    
-    // Layer masks: '#' = tile, '.' = empty (7×7 grid, y=0..6 top to bottom)
-    // z1, z3, z5, z7, z9 use mirrored split X offset (center column empty, not palindromes)
-    // Other layers must be palindromes (left-right symmetry)
-    const layerMasks = [
-        // z0 (18 tiles)
-        [
-            ".......",
-            "...#...",
-            ".#...#.",
-            "..###..",
-            ".#####.",
-            "#######",
-            "......."
-        ],
-        // z1 (16 tiles) - center column empty (mirrored split X offset)
-        [
-            ".......",
-            "..#.#..",
-            "##...##",
-            "###.###",
-            "##...##",
-            ".......",
-            "......."
-        ],
-        // z2 (18 tiles)
-        [
-            ".......",
-            "..#.#..",
-            "##...##",
-            ".#####.",
-            "#######",
-            ".......",
-            "......."
-        ],
-        // z3 (16 tiles) - center column empty (mirrored split X offset)
-        [
-            ".......",
-            ".......",
-            "..#.#..",
-            "##...##",
-            "###.###",
-            "##...##",
-            "......."
-        ],
-        // z4 (18 tiles)
-        [
-            ".......",
-            "...#...",
-            "..###..",
-            ".#####.",
-            "##...##",
-            ".#####.",
-            "......."
-        ],
-        // z5 (16 tiles) - center column empty (mirrored split X offset)
-        [
-            ".......",
-            ".......",
-            "..#.#..",
-            "##...##",
-            "###.###",
-            "##...##",
-            "......."
-        ],
-        // z6 (18 tiles)
-        [
-            ".......",
-            "..###..",
-            ".#####.",
-            "#######",
-            "..###..",
-            ".......",
-            "......."
-        ],
-        // z7 (16 tiles) - center column empty (mirrored split X offset)
-        [
-            ".......",
-            "..#.#..",
-            "###.###",
-            ".......",
-            "###.###",
-            "..#.#..",
-            "......."
-        ],
-        // z8 (18 tiles)
-        [
-            ".......",
-            "##...##",
-            ".#####.",
-            "..###..",
-            ".#####.",
-            "...#...",
-            "......."
-        ],
-        // z9 (16 tiles) - center column empty (mirrored split X offset)
-        [
-            ".......",
-            "..#.#..",
-            "##...##",
-            "##...##",
-            "###.###",
-            ".......",
-            "......."
-        ],
-        // z10 (16 tiles)
-        [
-            ".......",
-            "...#...",
-            "..###..",
-            ".#####.",
-            "#######",
-            ".......",
-            "......."
-        ],
-        // z11 TOP (20 tiles) - UNCHANGED
-        [
-            ".......",
-            "#######",
-            "#######",
-            ".......",
-            "..###..",
-            "..###..",
-            "......."
-        ]
-    ];
+    } finally {
+        lock.unlock();
+    }
+}
+
+// Render tray (one slot per tray space in the level's rules, plus the tile that overflowed it).
+// `tray` defaults to the engine's; animations pass the tray as it looks mid-move, with the slot of
+// `incomingTileId` kept empty until its tile landed. Slot elements are reused, so tiles can slide
+function renderTray(tray = engine ? engine.getState().tray : [], incomingTileId = null) {
+    const { traySize } = getRules();
+    const slotCount = Math.max(traySize, tray.length);
+    const trayLength = engine ? engine.getState().tray.length : 0; // Screen readers get the tray after the move
+    trayElement.setAttribute('aria-label', `Tray, ${trayLength} of ${traySize} tiles`);
+    
+    while (trayElement.children.length > slotCount) {
+        trayElement.lastChild.remove();
+    }
+    while (trayElement.children.length < slotCount) {
+        const slot = document.createElement('div');
+        slot.setAttribute('role', 'listitem');
+        trayElement.appendChild(slot);
+    }
     
-    // Generate MAIN slots from masks
-    const mainSlotCounts = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-    for (let z = 0; z < 12; z++) {
-        const mask = layerMasks[z];
-        const shift = layerShift[z];
+    [...trayElement.children].forEach((slot, i) => {
+        cancelAnimations(slot);
+        slot.className = 'tray-slot';
         
-        // Verify palindrome symmetry (z1, z3, z5, z7, z9 have mirrored split, so not palindromes)
-        if (![1, 3, 5, 7, 9].includes(z)) {
-            for (let yInt = 0; yInt < 7; yInt++) {
-                const row = mask[yInt];
-                for (let xInt = 0; xInt < 7; xInt++) {
-                    if (row[xInt] !== row[6 - xInt]) {
-                        console.error(`Layer z${z}, row ${yInt} is not a palindrome: ${row}`);
-                        throw new Error(`Level 3 layer z${z} row ${yInt} must be a palindrome`);
-                    }
-                }
+        if (i < tray.length) {
+            slot.textContent = tray[i].icon;
+            slot.dataset.tileId = tray[i].id;
+            slot.setAttribute('aria-label', getIconName(tray[i].icon));
+            slot.classList.toggle('kind-wildcard', tray[i].kind === 'wildcard');
+            if (tray[i].id === incomingTileId) {
+                slot.classList.add('incoming');
             }
+        } else {
+            slot.textContent = '';
+            delete slot.dataset.tileId;
+            slot.classList.add('empty');
+            slot.setAttribute('aria-label', 'empty');
         }
-        
-        // Assert center column (xInt == 3) is empty for z1, z3, z5, z7, z9
-        if ([1, 3, 5, 7, 9].includes(z)) {
-            for (let yInt = 0; yInt < 7; yInt++) {
-                if (mask[yInt][3] === '#') {
-                    console.error(`Layer z${z}, row ${yInt} has tile in center column (xInt=3)`);
-                    throw new Error(`Level 3 layer z${z} must have empty center column (xInt=3)`);
-                }
-            }
+        if (i >= traySize) {
+            slot.classList.add('overflow');
+            slot.setAttribute('aria-label', `${slot.getAttribute('aria-label')}, over the limit`);
         }
-        
-        for (let yInt = 0; yInt < 7; yInt++) {
-            const row = mask[yInt];
-            for (let xInt = 0; xInt < 7; xInt++) {
-                if (row[xInt] === '#') {
-                    // Apply per-tile X offset for mirrored split layers (z1, z3, z5, z7, z9)
-                    const tileXOffset = tileShiftX_L3(z, xInt);
-                    // Apply layer shift Y offset
-                    const x = xInt + tileXOffset;  // xInt + per-tile X offset
-                    const y = yInt + shift.sy;      // yInt + layer Y shift
-                    slots.push({
-                        slotId: `main_${z}_${xInt}_${yInt}`,
-                        x: x,  // Float: xInt + per-tile X offset
-                        y: y,  // Float: yInt + layer Y shift
-                        z: z,
-                        region: 'MAIN'
-                    });
-                    mainSlotCounts[z]++;
-                }
-            }
-        }
-    }
-    
-    // Print layer counts and verify
-    const totalMain = mainSlotCounts.reduce((sum, count) => sum + count, 0);
-    console.log('Level 3 MAIN stack layer counts:');
-    for (let z = 0; z < 12; z++) {
-        console.log(`  z${z}: ${mainSlotCounts[z]} tiles`);
-    }
-    console.log(`  TOTAL MAIN: ${totalMain} tiles`);
-    
-    // Assert layer counts
-    const expectedCounts = [18, 16, 18, 16, 18, 16, 18, 16, 18, 16, 16, 20];
-    for (let z = 0; z < 12; z++) {
-        if (mainSlotCounts[z] !== expectedCounts[z]) {
-            console.error(`Layer z${z} count mismatch: expected ${expectedCounts[z]}, got ${mainSlotCounts[z]}`);
-            throw new Error(`Level 3 layer z${z} count mismatch`);
-        }
-    }
-    
-    if (totalMain !== 206) {
-        console.error(`MAIN stack count mismatch: expected 206, got ${totalMain}`);
-        throw new Error(`Level 3 MAIN stack count mismatch`);
-    }
-    
-    if (mainSlotCounts[11] < 20) {
-        console.error(`Top layer (z11) has ${mainSlotCounts[11]} tiles, but >=20 required`);
-        throw new Error(`Level 3 top layer must have >=20 tiles`);
-    } else {
-        console.log(`Top layer (z11) has ${mainSlotCounts[11]} tiles (>=20 required) ✓`);
-    }
-    
-    // Verify each layer has <= 20 tiles
-    for (let z = 0; z < 12; z++) {
-        if (mainSlotCounts[z] > 20) {
-            console.error(`Layer z${z} has ${mainSlotCounts[z]} tiles, but <=20 required`);
-            throw new Error(`Level 3 layer z${z} must have <=20 tiles`);
-        }
-    }
-    console.log('✓ All layers have <=20 tiles');
-    
-    // Position substacks relative to top layer center, maintaining same positions as Level 2
-    const subLeftDistance = -1 - topLayerCenterX;
-    const subRightDistance = 7 - topLayerCenterX;
-    const subLeftSideDistance = -1.0 - topLayerCenterX; // right next to grid
-    const mainCenterY = 3;
-    
-    // SUB_LEFT (bottom): 16 tiles (z=0..15)
-    for (let z = 0; z <= 15; z++) {
-        slots.push({
-            slotId: `sub_left_${z}`,
-            x: topLayerCenterX + subLeftDistance,
-            y: 7.5,
-            z: z,
-            region: 'SUB_LEFT'
-        });
-    }
-    
-    // SUB_RIGHT (bottom): 16 tiles (z=0..15)
-    for (let z = 0; z <= 15; z++) {
-        slots.push({
-            slotId: `sub_right_${z}`,
-            x: topLayerCenterX + subRightDistance,
-            y: 7.5,
-            z: z,
-            region: 'SUB_RIGHT'
-        });
-    }
-    
-    // SUB_LEFT_SIDE (left of MAIN): 16 tiles (z=0..15)
-    for (let z = 0; z <= 15; z++) {
-        slots.push({
-            slotId: `sub_left_side_${z}`,
-            x: topLayerCenterX + subLeftSideDistance,
-            y: mainCenterY,
-            z: z,
-            region: 'SUB_LEFT_SIDE'
-        });
-    }
-    
-    // SUB_RIGHT_SIDE (right of MAIN): 16 tiles (z=0..15)
-    // Positioned at x=7.0 (right next to grid)
-    for (let z = 0; z <= 15; z++) {
-        slots.push({
-            slotId: `sub_right_side_${z}`,
-            x: 7.0,
-            y: mainCenterY,
-            z: z,
-            region: 'SUB_RIGHT_SIDE'
-        });
-    }
-    
-    // Assert total slots = 270 (206 MAIN + 64 substacks)
-    const totalSubstacks = 4 * 16; // 64
-    if (slots.length !== 270) {
-        console.error(`Level 3 slot count mismatch: expected 270, got ${slots.length}`);
-        throw new Error(`Level 3 slot count mismatch`);
-    }
-    console.log(`✓ Level 3 total slots: ${totalMain} MAIN + ${totalSubstacks} substacks = ${slots.length}`);
-    
-    // Calculate pixel positions for all slots using exact tile-size steps
-    slots.forEach(slot => {
-        let px = originX + slot.x * STEP_X_L2;
-        let py = originY + slot.y * STEP_Y_L2;
-        
-        // Add spread-out card effect for bottom sub stacks (horizontal spread)
-        if (slot.region === 'SUB_LEFT' || slot.region === 'SUB_RIGHT') {
-            const spreadOffset = slot.z * 2; // 2px per layer
-            if (slot.region === 'SUB_LEFT') {
-                px += spreadOffset; // Spread to the right
-            } else {
-                px -= spreadOffset; // Spread to the left
-            }
-        }
-        
-        // Add spread-out card effect for side sub stacks (vertical spread)
-        if (slot.region === 'SUB_LEFT_SIDE' || slot.region === 'SUB_RIGHT_SIDE') {
-            const spreadOffset = slot.z * 2; // 2px per layer
-            py += spreadOffset; // Spread downward
-        }
-        
-        slot.px = px;
-        slot.py = py;
     });
-    
-    // Assert no same-layer overlaps in MAIN stack
-    const mainSlots = slots.filter(s => s.region === 'MAIN');
-    for (let z = 0; z < 12; z++) {
-        const layerSlots = mainSlots.filter(s => s.z === z);
-        const tileRects = layerSlots.map(slot => ({
-            x: slot.px,
-            y: slot.py,
-            w: TILE_W_L2,
-            h: TILE_H_L2,
-            slotId: slot.slotId
-        }));
-        
-        // Check all pairs in this layer for overlap
-        for (let i = 0; i < tileRects.length; i++) {
-            for (let j = i + 1; j < tileRects.length; j++) {
-                const A = tileRects[i];
-                const B = tileRects[j];
-                
-                const overlapX = Math.min(A.x + A.w, B.x + B.w) - Math.max(A.x, B.x);
-                const overlapY = Math.min(A.y + A.h, B.y + B.h) - Math.max(A.y, B.y);
-                
-                if (overlapX > 0 && overlapY > 0) {
-                    console.error(`Same-layer overlap detected in z${z}: ${A.slotId} and ${B.slotId}`);
-                    console.error(`  A: (${A.x}, ${A.y}) size ${A.w}×${A.h}`);
-                    console.error(`  B: (${B.x}, ${B.y}) size ${B.w}×${B.h}`);
-                    console.error(`  Overlap: ${overlapX}×${overlapY}`);
-                    throw new Error(`Same-layer overlap in MAIN stack layer z${z}`);
-                }
-            }
-        }
-    }
-    console.log('✓ No same-layer overlaps detected in MAIN stack');
-    
-    // Centering sanity check: verify top and bottom layers have same X shift (both should be 0)
-    const bottomLayerShift = layerShift[0];
-    const topLayerShiftCheck = layerShift[11];
-    if (bottomLayerShift.sx !== topLayerShiftCheck.sx) {
-        console.warn(`Centering warning: Bottom layer shiftX (${bottomLayerShift.sx}) != Top layer shiftX (${topLayerShiftCheck.sx})`);
-    } else {
-        console.log(`✓ Centering stable: Top and bottom layers both have shiftX = ${topLayerShiftCheck.sx}`);
-    }
-    
-    // Verify layer-level X offsets: all must be 0 (per-tile X offsets applied separately for z1, z3, z5, z7, z9)
-    let hasLayerXOffset = false;
-    for (let z = 0; z < 12; z++) {
-        if (layerShift[z].sx !== 0) {
-            console.error(`Layer z${z} has layer-level X offset: sx=${layerShift[z].sx} (should be 0)`);
-            hasLayerXOffset = true;
-        }
-    }
-    if (hasLayerXOffset) {
-        throw new Error(`Level 3 layer-level X offsets must all be 0 (per-tile offsets used for z1, z3, z5, z7, z9)`);
-    }
-    console.log('✓ All layer-level X offsets are 0 (per-tile offsets used for z1, z3, z5, z7, z9)');
-    
-    // Verify center column is empty for mirrored split layers
-    for (let z of [1, 3, 5, 7, 9]) {
-        const mask = layerMasks[z];
-        for (let yInt = 0; yInt < 7; yInt++) {
-            if (mask[yInt][3] === '#') {
-                console.error(`Layer z${z}, row ${yInt} has tile in center column (xInt=3)`);
-                throw new Error(`Level 3 layer z${z} must have empty center column for mirrored split`);
-            }
-        }
-    }
-    console.log('✓ Center column empty for z1, z3, z5, z7, z9 (mirrored split layers)');
-    
-    // Verify Y offsets are within [-1, +1]
-    for (let z = 0; z < 12; z++) {
-        const sy = layerShift[z].sy;
-        if (Math.abs(sy) > 1.0) {
-            console.error(`Layer z${z} has Y offset outside [-1, +1]: sy=${sy}`);
-            throw new Error(`Level 3 Y offsets must be within [-1, +1]`);
-        }
+}
+
+// Whether moves are animated (not when the browser cannot, or the player asked for reduced motion)
+function isMotionEnabled() {
+    const reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return !reduced && typeof document.body.animate === 'function';
+}
+
+// Play keyframes on an element; resolves when they finished (at once with motion off)
+function animateElement(element, keyframes, duration, fill = 'none') {
+    if (!element || !isMotionEnabled()) return Promise.resolve();
+    return element.animate(keyframes, { duration, easing: 'ease-in-out', fill }).finished
+        .catch(() => {}); // Cancelled by a re-render
+}
+
+// Stop the animations of an element that is about to show something else
+function cancelAnimations(element) {
+    if (element.getAnimations) {
+        element.getAnimations().forEach(animation => animation.cancel());
     }
-    console.log('✓ All Y offsets are within [-1, +1]');
-    
-    return slots;
 }
 
-// Build Level 3 tiles from slots with solvability checking
-function buildLevel3Tiles(slots) {
-    const MAX_TRIES = 50;
-    let bestAssignment = null;
-    let solvable = false;
-    
-    // Create icon bag: 15 icons × 18 each = 270
-    const iconBag = [];
-    ALL_ICONS.forEach(icon => {
-        for (let i = 0; i < 18; i++) {
-            iconBag.push(icon);
-        }
+// Lock input while a move is animated. isCurrent() turns false once initGame tore the board down,
+// unlock() releases the lock (and whatever waits in afterMoveAnimation)
+function lockInput() {
+    const generation = animationGeneration;
+    let release;
+    moveAnimation = new Promise(resolve => {
+        release = resolve;
     });
-    
-    // Try to find a solvable assignment
-    for (let tryNum = 0; tryNum < MAX_TRIES; tryNum++) {
-        // Shuffle icon bag
-        shuffleArray(iconBag);
-        
-        // Create board assignment array (slot index -> icon index)
-        const boardAssignment = new Array(slots.length).fill(-1);
-        slots.forEach((slot, index) => {
-            const iconIndex = ALL_ICONS.indexOf(iconBag[index]);
-            boardAssignment[index] = iconIndex;
-        });
-        
-        // Check solvability
-        const result = isSolvable(
-            boardAssignment,
-            (board) => getClickableSlotIndices(board, slots),
-            { beamWidth: 100, maxExpansions: 3000, maxDepth: 150 }
-        );
-        
-        if (result.solvable) {
-            bestAssignment = [...iconBag];
-            solvable = true;
-            console.log(`Level 3: Found solvable assignment on try ${tryNum + 1}`, result.stats);
-            break;
+    inputLocked = true;
+    gameBoard.classList.add('animating');
+    return {
+        isCurrent: () => generation === animationGeneration,
+        unlock: () => {
+            release();
+            if (generation !== animationGeneration) return;
+            inputLocked = false;
+            gameBoard.classList.remove('animating');
         }
-        
-        bestAssignment = [...iconBag]; // Keep last assignment as fallback
-    }
-    
-    if (!solvable) {
-        console.warn('Level 3: Could not find solvable assignment after', MAX_TRIES, 'tries. Using last assignment.');
-    }
-    
-    // Assign icons to slots
-    slots.forEach((slot, index) => {
-        const tile = {
-            id: tiles.length,
-            icon: bestAssignment[index],
-            x: slot.px,
-            y: slot.py,
-            z: slot.z,
-            location: 'BOARD',
-            slotId: slot.slotId,
-            region: slot.region, // Store region for styling
-            element: null
-        };
-        tiles.push(tile);
+    };
+}
+
+// Run `callback` after the current move animation and a short pause, unless a new board replaced this one
+function afterMoveAnimation(callback) {
+    const generation = animationGeneration;
+    moveAnimation.then(() => {
+        setTimeout(() => {
+            if (generation === animationGeneration) callback();
+        }, LEVEL_END_DELAY);
     });
-    
-    // Log initial reachable tile count
-    const boardTiles = tiles.filter(t => t.location === 'BOARD');
-    const tileW = TILE_W_L2;
-    const tileH = TILE_H_L2;
-    
-    let reachableCount = 0;
-    let z6ReachableCount = 0;
-    
-    boardTiles.forEach(tile => {
-        const tileRect = {
-            x: tile.x,
-            y: tile.y,
-            w: tileW,
-            h: tileH
-        };
-        
-        let isBlocked = false;
-        for (let otherTile of boardTiles) {
-            if (otherTile.id === tile.id) continue;
-            if (otherTile.z <= tile.z) continue;
-            
-            const otherRect = {
-                x: otherTile.x,
-                y: otherTile.y,
-                w: tileW,
-                h: tileH
-            };
-            
-            if (rectanglesOverlap(tileRect, otherRect)) {
-                isBlocked = true;
-                break;
-            }
-        }
-        
-        if (!isBlocked) {
-            reachableCount++;
-            if (tile.z === 6) {
-                z6ReachableCount++;
-            }
+}
+
+// Drop the animations of the old board (initGame)
+function resetAnimations() {
+    animationGeneration++;
+    inputLocked = false;
+    moveAnimation = Promise.resolve();
+    gameBoard.classList.remove('animating');
+    document.querySelectorAll('.tile-flight').forEach(flight => flight.remove());
+}
+
+// Screen rects of the tray tiles by tile id
+function getTraySlotRects() {
+    const rects = new Map();
+    [...trayElement.children].forEach(slot => {
+        if (slot.dataset.tileId) {
+            rects.set(Number(slot.dataset.tileId), slot.getBoundingClientRect());
         }
     });
-    
-    console.log(`Level 3 initial reachable tiles: ${reachableCount} total`);
-    console.log(`Level 3 z6 (top layer) reachable tiles: ${z6ReachableCount} (should be >= 20)`);
-    if (z6ReachableCount < 20) {
-        console.warn(`Warning: z6 has only ${z6ReachableCount} reachable tiles, but >=20 required`);
-    }
+    return rects;
 }
 
-// Get clickable slot indices for solver (uses existing blocking logic)
-function getClickableSlotIndices(boardAssignment, slots) {
-    // Use level-specific slots
-    if (!slots) {
-        if (currentLevel === 2) {
-            slots = level2Slots;
-        } else if (currentLevel === 3) {
-            slots = level3Slots;
-        } else {
-            slots = level2Slots; // Default fallback
-        }
+// Tray slot showing a tile
+function getTraySlot(tileId) {
+    return [...trayElement.children].find(slot => Number(slot.dataset.tileId) === tileId);
+}
+
+// Slide the tray tiles from where they were (`before`, getTraySlotRects) to their new slots
+function slideTrayTiles(before) {
+    const slides = [...trayElement.children].map(slot => {
+        const from = before.get(Number(slot.dataset.tileId));
+        if (!from) return null;
+        const dx = from.left - slot.getBoundingClientRect().left;
+        if (dx === 0) return null;
+        return animateElement(slot, [{ transform: `translateX(${dx}px)` }, { transform: 'none' }], SLIDE_MS);
+    });
+    return Promise.all(slides);
+}
+
+// Fly a copy of a tile from one screen rect to another (above everything, so it can leave the board)
+function flyTile(icon, fromRect, toRect) {
+    if (!isMotionEnabled()) return Promise.resolve();
+    const flight = document.createElement('div');
+    flight.className = 'tile tile-flight';
+    flight.textContent = icon;
+    flight.style.left = fromRect.left + 'px';
+    flight.style.top = fromRect.top + 'px';
+    flight.style.width = fromRect.width + 'px';
+    flight.style.height = fromRect.height + 'px';
+    flight.style.fontSize = TILE_ICON_SIZE + 'px';
+    document.body.appendChild(flight);
+    
+    const dx = toRect.left - fromRect.left;
+    const dy = toRect.top - fromRect.top;
+    const scale = toRect.width / fromRect.width;
+    return animateElement(flight, [
+        { transform: 'none' },
+        { transform: `translate(${dx}px, ${dy}px) scale(${scale})` }
+    ], FLIGHT_MS, 'forwards').then(() => flight.remove());
+}
+
+// Pick: the tile flies to its grouped slot (tiles after it slide aside), then a completed match pops
+// out and the rest of the tray closes up
+async function animatePick(tile, fromRect, trayBefore, trayRects, cleared, isCurrent) {
+    renderTray(OverstackTray.insertGrouped(trayBefore, tile, trayKey), tile.id);
+    const slot = getTraySlot(tile.id);
+    await Promise.all([
+        flyTile(tile.icon, fromRect, slot.getBoundingClientRect()),
+        slideTrayTiles(trayRects)
+    ]);
+    if (!isCurrent()) return;
+    slot.classList.remove('incoming');
+    audio.play('insert');
+    
+    if (cleared.length > 0) {
+        audio.play('match');
+        await Promise.all(cleared.map(id => animateElement(getTraySlot(id), [
+            { transform: 'scale(1)', opacity: 1 },
+            { transform: 'scale(1.2)', opacity: 1, offset: 0.4 },
+            { transform: 'scale(0.3)', opacity: 0 }
+        ], CLEAR_MS, 'forwards')));
+        if (!isCurrent()) return;
     }
-    if (!slots) return [];
     
-    // Create temporary tiles from board assignment for blocking check
-    const tempTiles = [];
-    boardAssignment.forEach((iconIndex, slotIdx) => {
-        if (iconIndex === -1) return; // Empty slot
-        
-        const slot = slots[slotIdx];
-        if (!slot) return;
-        
-        tempTiles.push({
-            id: slotIdx,
-            icon: ALL_ICONS[iconIndex],
-            x: slot.px,
-            y: slot.py,
-            z: slot.z,
-            location: 'BOARD',
-            slotId: slot.slotId,
-            element: null
+    const beforeClose = getTraySlotRects();
+    renderTray();
+    await slideTrayTiles(beforeClose);
+}
+
+// Tray key of a tray tile, as the engine matches it (wildcards match any icon)
+function trayKey(tile) {
+    return tile.kind === 'wildcard' ? OverstackTray.WILDCARD : tile.icon;
+}
+
+// First click on a frozen tile: the ice cracks with a shake
+function animateThaw(tileEl) {
+    return animateElement(tileEl, [
+        { transform: 'none' },
+        { transform: 'rotate(-6deg) scale(1.05)', offset: 0.25 },
+        { transform: 'rotate(6deg) scale(1.05)', offset: 0.5 },
+        { transform: 'rotate(-3deg)', offset: 0.75 },
+        { transform: 'none' }
+    ], THAW_MS);
+}
+
+// Bomb: the tiles it cleared burst where they lay, then leave the board
+function animateBlast(tileIds) {
+    if (tileIds.length > 0) {
+        audio.play('match');
+    }
+    return Promise.all(tileIds.map(id => {
+        const tileEl = tileElements.get(id);
+        return animateElement(tileEl, [
+            { transform: 'scale(1)', opacity: 1 },
+            { transform: 'scale(1.3)', opacity: 0.8, offset: 0.4 },
+            { transform: 'scale(0.2)', opacity: 0 }
+        ], CLEAR_MS, 'forwards').then(() => {
+            tileEl.style.display = 'none';
         });
+    }));
+}
+
+// Undo and Remove: tiles that went from the tray back to the board fly there from their tray slots
+// (`before`, getTraySlotRects from before the move), and the tray closes up
+async function animateReturns(before, isCurrent) {
+    const flights = [];
+    tileElements.forEach((tileEl, id) => {
+        const from = before.get(id);
+        if (!from) return;
+        tileEl.style.visibility = 'hidden';
+        flights.push(flyTile(tileEl.textContent, from, tileEl.getBoundingClientRect()).then(() => {
+            tileEl.style.visibility = '';
+        }));
     });
-    
-    // Use existing blocking logic
-    const boardTiles = tempTiles.filter(t => t.location === 'BOARD');
-    const clickableSlots = [];
-    
-        boardTiles.forEach(tile => {
-        // Check if blocked using existing logic
-        // Use Level 2/3 tile sizes (both use TILE_W_L2/TILE_H_L2)
-        const tileRect = {
-            x: tile.x,
-            y: tile.y,
-            w: TILE_W_L2,
-            h: TILE_H_L2
-        };
-        
-        let isBlocked = false;
-        for (let otherTile of boardTiles) {
-            if (otherTile.id === tile.id) continue;
-            if (otherTile.z <= tile.z) continue;
-            
-            const otherRect = {
-                x: otherTile.x,
-                y: otherTile.y,
-                w: TILE_W_L2,
-                h: TILE_H_L2
-            };
-            
-            if (rectanglesOverlap(tileRect, otherRect)) {
-                isBlocked = true;
-                break;
-            }
-        }
-        
-        if (!isBlocked) {
-            clickableSlots.push(tile.id);
+    await Promise.all([...flights, slideTrayTiles(before)]);
+}
+
+// Where the tiles are before an Undo or Redo: board tile rects, tray slot rects and board positions
+function getMoveStartRects() {
+    const boardRects = new Map();
+    tileElements.forEach((tileEl, id) => {
+        if (tileEl.style.display !== 'none') {
+            boardRects.set(id, tileEl.getBoundingClientRect());
         }
     });
-    
-    return clickableSlots;
+    const positions = new Map(engine.getState().tiles
+        .filter(tile => tile.location === 'BOARD')
+        .map(tile => [tile.id, { x: tile.x, y: tile.y }]));
+    return { boardRects, trayRects: getTraySlotRects(), positions };
 }
 
-// Shuffle array
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
+// Undo and Redo: any move can be taken back, so tiles fly back from the tray, shuffled tiles move back,
+// board tiles (a taken back Remove) fly into the tray and matched tiles pop back in
+async function animateHistoryStep(before, isCurrent) {
+    const arrivals = [...trayElement.children].map(slot => {
+        const id = Number(slot.dataset.tileId);
+        if (!slot.dataset.tileId || before.trayRects.has(id)) return null;
+        const from = before.boardRects.get(id);
+        if (!from) {
+            return animateElement(slot, [
+                { transform: 'scale(0.3)', opacity: 0 },
+                { transform: 'scale(1)', opacity: 1 }
+            ], CLEAR_MS);
+        }
+        slot.classList.add('incoming');
+        return flyTile(slot.textContent, from, slot.getBoundingClientRect()).then(() => {
+            if (isCurrent()) slot.classList.remove('incoming');
+        });
+    });
+    await Promise.all([...arrivals, animateReturns(before.trayRects, isCurrent), animateShuffle(before.positions)]);
 }
 
-// Check if two rectangles overlap (any overlap, even just a corner or edge)
-function rectanglesOverlap(rectA, rectB) {
-    // Two rectangles overlap if they intersect in both x and y dimensions
-    // Using <= and >= to include edge touches as overlaps
-    const overlapX = rectA.x < rectB.x + rectB.w && rectA.x + rectA.w > rectB.x;
-    const overlapY = rectA.y < rectB.y + rectB.h && rectA.y + rectA.h > rectB.y;
-    return overlapX && overlapY;
+// Shuffle: every board tile moves from its old position (`before`, tile id -> { x, y }) to its new slot
+function animateShuffle(before) {
+    const moves = [];
+    tileElements.forEach((tileEl, id) => {
+        const from = before.get(id);
+        if (!from) return;
+        const dx = from.x - parseFloat(tileEl.style.left);
+        const dy = from.y - parseFloat(tileEl.style.top);
+        if (dx === 0 && dy === 0) return;
+        moves.push(animateElement(tileEl, [
+            { transform: `translate(${dx}px, ${dy}px)` },
+            { transform: 'none' }
+        ], SHUFFLE_MS));
+    });
+    return Promise.all(moves);
 }
 
-// Update blocking status for all tiles
-function updateBlocking() {
-    const boardTiles = tiles.filter(t => t.location === 'BOARD');
+// Tool: Undo (takes back a pick, Remove or Shuffle)
+async function handleUndo() {
+    if (inputLocked || !engine.canUndo()) return;
+    const hadFocus = isTileFocused();
+    const before = getMoveStartRects();
+    const lock = lockInput();
+    engine.undo();
+    audio.play('tool');
     
-    // Get tile dimensions based on level
-    const tileW = (currentLevel === 2 || currentLevel === 3) ? TILE_W_L2 : TILE_W;
-    const tileH = (currentLevel === 2 || currentLevel === 3) ? TILE_H_L2 : TILE_H;
+    // Re-render everything
+    renderAllTiles();
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
+    announce(`Move undone. ${describeTray()}`);
     
-    boardTiles.forEach(tile => {
-        if (!tile.element) return;
-        
-        // Tiles in removed slots are always free (not blocked)
-        if (REMOVED_SLOT_IDS.includes(tile.slotId)) {
-            tile.element.classList.remove('blocked');
-            return;
-        }
-        
-        // Tile positions are already in pixel coordinates (from slot.px/py)
-        const tileRect = {
-            x: tile.x,
-            y: tile.y,
-            w: tileW,
-            h: tileH
-        };
-        
-        // Check if any tile with higher z overlaps this tile (even just a corner)
-        let isBlocked = false;
-        for (let otherTile of boardTiles) {
-            if (otherTile.id === tile.id) continue;
-            if (otherTile.z <= tile.z) continue;
-            
-        const otherRect = {
-            x: otherTile.x,
-            y: otherTile.y,
-            w: tileW,
-            h: tileH
-        };
-            
-            // Check if other tile overlaps this tile (any overlap counts)
-            if (rectanglesOverlap(tileRect, otherRect)) {
-                isBlocked = true;
-                break;
-            }
-        }
-        
-        if (isBlocked) {
-            tile.element.classList.add('blocked');
+    try {
+        await animateHistoryStep(before, lock.isCurrent);
+    } finally {
+        lock.unlock();
+    }
+}
+
+// Redo: play the last undone move again
+async function handleRedo() {
+    if (inputLocked || !engine.canRedo()) return;
+    const hadFocus = isTileFocused();
+    const before = getMoveStartRects();
+    const trayBefore = engine.getState().tray;
+    const lock = lockInput();
+    const result = engine.redo();
+    audio.play('tool');
+    
+    // Re-render everything
+    renderAllTiles();
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
+    announce(`Move redone. ${describeTray()}`);
+    
+    try {
+        if (result.thawed) {
+            await animateThaw(tileElements.get(result.tileId));
+        } else if (result.type === 'pick' || result.type === 'magnet') {
+            const tile = engine.getState().tiles.find(t => t.id === result.tileId);
+            await animatePick({ id: tile.id, icon: tile.icon, kind: tile.kind }, before.boardRects.get(tile.id), trayBefore,
+                before.trayRects, result.cleared, lock.isCurrent);
         } else {
-            tile.element.classList.remove('blocked');
+            await animateHistoryStep(before, lock.isCurrent);
         }
-    });
+    } finally {
+        lock.unlock();
+    }
 }
 
-// Handle tile click
-function handleTileClick(tileId) {
-    if (gameOver) return;
-    
-    const tile = tiles.find(t => t.id === tileId);
-    if (!tile || tile.location !== 'BOARD') return;
-    
-    // Check if blocked
-    const tileEl = tile.element;
-    if (tileEl.classList.contains('blocked')) return;
-    
-    // Save state for undo
-    const traySnapshotBefore = tray.map(t => ({ id: t.id, icon: t.icon }));
+// Tool: Remove
+async function handleRemove() {
+    if (inputLocked || !engine.canRemove()) return;
+    const hadFocus = isTileFocused();
+    const trayRects = getTraySlotRects();
+    const lock = lockInput();
+    engine.remove();
+    audio.play('tool');
     
-    // Move tile to tray
-    tile.location = 'TRAY';
-    addToTray(tile);
+    // Re-render
+    renderAllTiles();
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
+    announce(`Three tiles moved to the removed slots. ${describeTray()}`);
     
-    // Save state after triple resolution
-    const traySnapshotAfter = tray.map(t => ({ id: t.id, icon: t.icon }));
+    try {
+        await animateReturns(trayRects, lock.isCurrent);
+    } finally {
+        lock.unlock();
+    }
+}
+
+// Tool: Shuffle
+async function handleShuffle() {
+    if (inputLocked || !engine.canShuffle()) return;
+    const hadFocus = isTileFocused();
+    const positions = new Map(engine.getState().tiles.map(tile => [tile.id, { x: tile.x, y: tile.y }]));
+    const lock = lockInput();
+    engine.shuffle();
+    audio.play('tool');
     
-    // Find tiles that were cleared during this move
-    // These are tiles that were in tray before but not after
-    const clearedTiles = tiles.filter(t => 
-        t.location === 'CLEARED' && 
-        traySnapshotBefore.some(tt => tt.id === t.id) &&
-        !traySnapshotAfter.some(tt => tt.id === t.id)
-    );
+    // Re-render
+    renderAllTiles();
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
+    announce('Board shuffled.');
     
-    // Record undo history
-    undoHistory.push({
-        tileId: tile.id,
-        fromSlotId: tile.slotId,
-        fromX: tile.x,
-        fromY: tile.y,
-        fromZ: tile.z,
-        traySnapshotBefore: JSON.parse(JSON.stringify(traySnapshotBefore)), // Deep copy
-        traySnapshotAfter: JSON.parse(JSON.stringify(traySnapshotAfter)), // Deep copy
-        clearedTilesDuringMove: clearedTiles.map(t => t.id)
-    });
+    try {
+        await animateShuffle(positions);
+    } finally {
+        lock.unlock();
+    }
+}
+
+// Tool: Hint - the search runs in the solver worker, so the board stays playable; a move made
+// meanwhile makes its result stale, and it is dropped without spending a charge
+async function handleHint() {
+    if (inputLocked || hintSearch || !engine.canHint()) return;
+    const search = new AbortController();
+    const request = engine.getHintRequest();
+    const movesBefore = engine.getMoveLog().length;
+    hintSearch = search;
+    updateToolButtonStates();
+    announce('Looking for a hint…');
+    
+    let found;
+    try {
+        found = await solverClient.solve(request.board, request.slots, request.tileSize, request.params, { signal: search.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') return; // A new board took over
+        console.error('Hint search failed:', error);
+        found = null;
+    } finally {
+        if (hintSearch === search) hintSearch = null;
+    }
+    if (!found || engine.getMoveLog().length !== movesBefore) {
+        if (!found) showToast('Could not look for a hint, try again');
+        updateToolButtonStates();
+        return;
+    }
     
-    // Hide tile element (it's now in tray)
-    tileEl.style.transition = 'opacity 0.05s ease';
-    tileEl.style.opacity = '0';
-    setTimeout(() => {
-        tileEl.style.display = 'none';
-        updateBlocking();
-        checkWinCondition();
+    const result = engine.hint(found);
+    if (!result) {
         updateToolButtonStates();
-        updateDebugWindow();
-    }, 50);
+        return;
+    }
+    audio.play('tool');
+    
+    clearHintHighlight();
+    if (result.tileId !== null) {
+        const tileEl = tileElements.get(result.tileId);
+        tileEl.classList.add('hint');
+        announce(`Hint: ${tileEl.getAttribute('aria-label')}.`);
+    } else if (result.tool !== null) {
+        toolButtons.get(result.tool).classList.add('hint');
+        announce(`Hint: use ${OverstackTools.getTool(result.tool).label}.`);
+    } else {
+        showToast('No winning line found from here');
+    }
+    updateToolButtonStates();
 }
 
-// Add tile to tray
-function addToTray(tile) {
-    // Find the last position where this icon exists
-    let insertIndex = -1;
-    for (let i = tray.length - 1; i >= 0; i--) {
-        if (tray[i].icon === tile.icon) {
-            insertIndex = i;
-            break;
-        }
+// Remove the hint highlight (any move makes it stale)
+function clearHintHighlight() {
+    tileElements.forEach(tileEl => tileEl.classList.remove('hint'));
+    toolButtons.forEach(button => button.classList.remove('hint'));
+}
+
+// Tool: Swap - the button starts choosing two board tiles (covered ones too), pressing it again cancels
+function handleSwap() {
+    if (inputLocked) return;
+    if (swapping) {
+        endSwap();
+        announce('Swap cancelled.');
+        return;
     }
+    if (!engine.canUseTool('swap')) return;
+    swapping = true;
+    swapSelection = null;
+    gameBoard.classList.add('swapping');
+    toolButtons.get('swap').setAttribute('aria-pressed', 'true');
+    updateRovingTile();
+    announce('Swap: choose the first tile, or press Escape to cancel.');
+}
+
+// A board tile chosen while swapping: the first is selected (again to unselect), the second swaps
+async function handleSwapTile(tileId) {
+    if (replayPlayer || inputLocked) return;
+    const { tiles, rules } = engine.getState();
+    const tile = tiles.find(t => t.id === tileId);
+    if (!tile || tile.location !== 'BOARD' || REMOVED_SLOT_IDS.includes(tile.slotId)) return;
+    const tileEl = tileElements.get(tileId);
     
-    // If icon exists, insert right after the last occurrence
-    // Otherwise, add to the rightmost position
-    if (insertIndex !== -1) {
-        tray.splice(insertIndex + 1, 0, tile);
-    } else {
-        tray.push(tile);
+    if (!swapSelection) {
+        swapSelection = { tileId };
+        tileEl.classList.add('swap-selected');
+        announce(`${isFaceDown(tile, rules) ? 'Face-down tile' : getIconName(tile.icon)} chosen. Choose a tile to swap it with.`);
+        return;
+    }
+    if (swapSelection.tileId === tileId) {
+        swapSelection = null;
+        tileEl.classList.remove('swap-selected');
+        announce('Swap: choose the first tile.');
+        return;
     }
     
-    // Resolve triple matches
-    const result = resolveTrayTriples(tray);
-    tray = result.tray;
+    const tileIds = [swapSelection.tileId, tileId];
+    if (!engine.canUseTool('swap', { tileIds })) {
+        showToast('Choose a tile with a different icon');
+        return;
+    }
+    const hadFocus = isTileFocused();
+    const positions = new Map(engine.getState().tiles.map(t => [t.id, { x: t.x, y: t.y }]));
+    const lock = lockInput();
+    endSwap();
+    engine.useTool('swap', { tileIds });
+    audio.play('tool');
     
-    // Render tray first to show the 7th tile
-    renderTray();
-    updateDebugWindow();
+    // Re-render
+    renderAllTiles();
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
+    announce('Tiles swapped.');
     
-    // Check if tray is full (after triple removal)
-    if (tray.length >= TRAY_SIZE) {
-        gameOver = true;
-        // Show modal after a delay so user can see the 7th tile
-        setTimeout(() => {
-            showGameOverModal();
-        }, 500);
-        return;
+    try {
+        await animateShuffle(positions);
+    } finally {
+        lock.unlock();
     }
 }
 
-// Resolve triple matches in tray (pure function)
-function resolveTrayTriples(trayArray) {
-    const newTray = [...trayArray];
-    const clearedTileIds = [];
-    
-    let changed = true;
-    while (changed) {
-        changed = false;
-        for (let i = 0; i <= newTray.length - 3; i++) {
-            if (newTray[i].icon === newTray[i + 1].icon && 
-                newTray[i + 1].icon === newTray[i + 2].icon) {
-                // Remove the triple
-                const removed = newTray.splice(i, 3);
-                removed.forEach(tile => {
-                    tile.location = 'CLEARED';
-                    clearedTileIds.push(tile.id);
-                });
-                changed = true;
-                break;
-            }
-        }
+// Leave Swap's tile choosing (after the swap, on cancel, or when the board changes)
+function endSwap() {
+    swapping = false;
+    swapSelection = null;
+    gameBoard.classList.remove('swapping');
+    tileElements.forEach(tileEl => tileEl.classList.remove('swap-selected'));
+    if (toolButtons.has('swap')) {
+        toolButtons.get('swap').setAttribute('aria-pressed', 'false');
+    }
+    if (engine) {
+        updateRovingTile();
     }
-    
-    return { tray: newTray, cleared: clearedTileIds };
 }
 
-// Render tray
-function renderTray() {
-    trayElement.innerHTML = '';
+// Tool: Magnet - the tile completing a pair in the tray is taken like a pick: it flies to the
+// tray (a bomb clearing its neighbours), or thaws where it is if it was frozen
+async function handleMagnet() {
+    if (inputLocked || !engine.canUseTool('magnet')) return;
+    const hadFocus = isTileFocused();
+    const before = getMoveStartRects();
+    const trayBefore = engine.getState().tray;
+    const lock = lockInput();
+    const result = engine.useTool('magnet');
+    audio.play('tool');
+    const { id, icon, kind } = engine.getState().tiles.find(t => t.id === result.tileId);
+    const tileEl = tileElements.get(id);
+    const blasted = result.blasted || [];
+    
+    if (result.thawed) {
+        announce(`Magnet thawed ${getIconName(icon)}. Pick it to move it to the tray.`);
+    } else {
+        announce(`Magnet pulled ${getIconName(icon)} to the tray. ` +
+            (blasted.length > 0 ? `Bomb cleared ${blasted.length} ${blasted.length === 1 ? 'tile' : 'tiles'}. ` : '') + describeTray());
+        tileEl.style.display = 'none'; // A copy flies to the tray, as for a pick
+    }
+    updateBlocking();
+    updateToolButtonStates();
+    restoreTileFocus(hadFocus);
     
-    for (let i = 0; i < TRAY_SIZE; i++) {
-        const slot = document.createElement('div');
-        slot.className = 'tray-slot';
-        
-        if (i < tray.length) {
-            slot.textContent = tray[i].icon;
+    try {
+        if (result.thawed) {
+            await animateThaw(tileEl);
         } else {
-            slot.classList.add('empty');
+            await Promise.all([
+                animatePick({ id, icon, kind }, before.boardRects.get(id), trayBefore, before.trayRects, result.cleared, lock.isCurrent),
+                animateBlast(blasted)
+            ]);
         }
-        
-        trayElement.appendChild(slot);
+    } finally {
+        lock.unlock();
     }
 }
 
-// Tool: Undo
-function handleUndo() {
-    if (undoHistory.length === 0 || gameOver || toolsUsed.undo) return;
-    
-    toolsUsed.undo = true;
-    
-    const lastMove = undoHistory.pop();
-    const tile = tiles.find(t => t.id === lastMove.tileId);
-    if (!tile) return;
-    
-    // Restore all tiles that were cleared during this move back to TRAY
-    lastMove.clearedTilesDuringMove.forEach(tileId => {
-        const t = tiles.find(t => t.id === tileId);
-        if (t) {
-            t.location = 'TRAY';
+// Tool: Peek - the tiles on top turn see-through for PEEK_MS, showing the covered ones (face-down ones too)
+function handlePeek() {
+    if (inputLocked) return;
+    const result = engine.useTool('peek');
+    if (!result) return;
+    audio.play('tool');
+    
+    endPeek();
+    gameBoard.classList.add('peeking');
+    const { tiles } = engine.getState();
+    result.tileIds.forEach(tileId => {
+        if (tileElements.has(tileId)) {
+            const tileEl = tileElements.get(tileId);
+            tileEl.classList.add('peeked');
+            showTileFace(tileEl, tiles.find(tile => tile.id === tileId));
         }
     });
-    
-    // Restore tray to before state (reconstruct with proper order)
-    tray = lastMove.traySnapshotBefore.map(snapshot => {
-        const t = tiles.find(t => t.id === snapshot.id);
-        if (t) {
-            t.location = 'TRAY';
-            return t;
-        }
-        return null;
-    }).filter(t => t !== null);
-    
-    // Restore picked tile to board
-    tile.location = 'BOARD';
-    tile.slotId = lastMove.fromSlotId;
-    tile.x = lastMove.fromX;
-    tile.y = lastMove.fromY;
-    tile.z = lastMove.fromZ;
-    
-    // Re-render everything
-    renderAllTiles();
-    renderTray();
-    updateBlocking();
+    peekTimer = setTimeout(endPeek, PEEK_MS);
+    announce(`Peeking at ${result.tileIds.length} covered tiles.`);
     updateToolButtonStates();
-    updateDebugWindow();
 }
 
-// Tool: Remove
-function handleRemove() {
-    if (tray.length < 3 || gameOver || toolsUsed.remove) return;
-    
-    // Check if removed slots are empty
-    const removedSlotsOccupied = REMOVED_SLOT_IDS.some(slotId => {
-        return tiles.some(t => t.location === 'BOARD' && t.slotId === slotId);
-    });
-    
-    if (removedSlotsOccupied) return;
-    
-    toolsUsed.remove = true;
-    
-    // Get first 3 tiles from tray
-    const removedTiles = tray.splice(0, 3);
-    
-    // Move tiles to removed slots
-    const { removedRowX, removedRowY } = getRemovedSlotPositions();
-    removedTiles.forEach((tile, i) => {
-        tile.location = 'BOARD';
-        tile.slotId = REMOVED_SLOT_IDS[i];
-        tile.x = removedRowX + i * (REMOVED_SLOT_SIZE + REMOVED_SLOT_GAP);
-        tile.y = removedRowY;
-        tile.z = 10; // Removed slots at very high z so they're always on top and not blocked
+// End a Peek (when its time is up or the board changes)
+function endPeek() {
+    clearTimeout(peekTimer);
+    peekTimer = null;
+    gameBoard.classList.remove('peeking');
+    tileElements.forEach((tileEl, tileId) => {
+        if (!tileEl.classList.contains('peeked')) return;
+        tileEl.classList.remove('peeked');
+        if (faceDownTileIds.has(tileId)) {
+            showTileFace(tileEl, null); // Face down again
+        }
     });
-    
-    // Resolve any new triples in remaining tray
-    const result = resolveTrayTriples(tray);
-    tray = result.tray;
+}
+
+// Tool without a handler of its own: use it and animate what changed like an undo step
+async function handleTool(name) {
+    if (inputLocked || !engine.canUseTool(name)) return;
+    const hadFocus = isTileFocused();
+    const before = getMoveStartRects();
+    const lock = lockInput();
+    engine.useTool(name);
+    audio.play('tool');
     
     // Re-render
     renderAllTiles();
-    renderTray();
     updateBlocking();
     updateToolButtonStates();
-    updateDebugWindow();
+    restoreTileFocus(hadFocus);
+    announce(`${OverstackTools.getTool(name).label} used. ${describeTray()}`);
+    
+    try {
+        await animateHistoryStep(before, lock.isCurrent);
+    } finally {
+        lock.unlock();
+    }
 }
 
-// Tool: Shuffle
-function handleShuffle() {
-    if (gameOver || toolsUsed.shuffle) return;
-    
-    // Get all board tiles excluding removed slots (only remaining tiles)
-    const boardTiles = tiles.filter(t => 
-        t.location === 'BOARD' && !REMOVED_SLOT_IDS.includes(t.slotId)
-    );
-    
-    if (boardTiles.length <= 1) return;
-    
-    toolsUsed.shuffle = true;
-    
-    // Shuffle positions in place - collect positions from remaining tiles
-    const positions = boardTiles.map(t => ({
-        slotId: t.slotId,
-        x: t.x,
-        y: t.y,
-        z: t.z
-    }));
+// Show a short message over the board
+function showToast(message) {
+    const existingToast = gameBoard.querySelector('.toast');
+    if (existingToast) {
+        existingToast.remove();
+    }
     
-    // Shuffle the positions array in place
-    shuffleArray(positions);
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    gameBoard.appendChild(toast);
+    announce(message);
     
-    // Reassign positions to tiles (tiles themselves are not modified, only their positions)
-    boardTiles.forEach((tile, i) => {
-        tile.slotId = positions[i].slotId;
-        tile.x = positions[i].x;
-        tile.y = positions[i].y;
-        tile.z = positions[i].z;
-    });
-    
-    // Re-render
-    renderAllTiles();
-    updateBlocking();
-    updateToolButtonStates();
-    updateDebugWindow();
+    setTimeout(() => {
+        toast.remove();
+    }, 2500);
 }
 
 // Render all tiles (board and tray)
 function renderAllTiles() {
     // Remove all tile elements
-    tiles.forEach(tile => {
-        if (tile.element) {
-            tile.element.remove();
-            tile.element = null;
-        }
-    });
+    tileElements.forEach(tileEl => tileEl.remove());
+    tileElements.clear();
     
     // Render board tiles
+    const { tiles, rules } = engine.getState();
     const boardTiles = tiles.filter(t => t.location === 'BOARD');
     boardTiles.sort((a, b) => a.z - b.z).forEach(tile => {
         const tileEl = document.createElement('div');
         tileEl.className = 'tile';
-        tileEl.textContent = tile.icon;
+        showTileFace(tileEl, isFaceDown(tile, rules) ? null : tile); // updateBlocking() turns it over once uncovered
+        tileEl.setAttribute('role', 'button');
+        tileEl.tabIndex = -1; // updateBlocking() puts one clickable tile in the tab order
         
         const isRemovedSlot = REMOVED_SLOT_IDS.includes(tile.slotId);
         // All tiles use the same size (TILE_SIZE = REMOVED_SLOT_SIZE)
@@ -1783,8 +1637,8 @@ function renderAllTiles() {
         tileEl.style.left = tile.x + 'px';
         tileEl.style.top = tile.y + 'px';
         
-        // Add darker outline to tiles hidden behind others in sub stacks (Level 2 and 3)
-        if ((currentLevel === 2 || currentLevel === 3) && !isRemovedSlot && 
+        // Add darker outline to tiles hidden behind others in sub stacks
+        if (!isRemovedSlot && 
             (tile.region === 'SUB_LEFT' || tile.region === 'SUB_RIGHT' || 
              tile.region === 'SUB_LEFT_SIDE' || tile.region === 'SUB_RIGHT_SIDE')) {
             const tilesInSameStack = tiles.filter(t => 
@@ -1807,7 +1661,7 @@ function renderAllTiles() {
         
         // Add visual feedback on touch
         const handleTouchStart = (e) => {
-            if (tileClicked || tileEl.classList.contains('blocked')) return;
+            if (tileClicked || !engine.canPick(tile.id)) return;
             tileEl.classList.add('touch-active');
             
             // Haptic feedback (if available)
@@ -1850,100 +1704,720 @@ function renderAllTiles() {
         tileEl.addEventListener('touchcancel', handleTouchEnd, { passive: true });
         tileEl.addEventListener('touchstart', handleTileInteraction, { passive: false });
         tileEl.addEventListener('click', handleTileInteraction);
+        tileEl.addEventListener('focus', () => {
+            focusTileId = tile.id;
+        });
         
-        tile.element = tileEl;
+        tileElements.set(tile.id, tileEl);
         gameBoard.appendChild(tileEl);
     });
 }
 
+// Show what is left of the level's objectives: the clock, the moves and each goal's progress
+function updateObjectivesCaption() {
+    const caption = gameBoard.querySelector('.objectives-caption');
+    if (!caption) return;
+    caption.innerHTML = '';
+    if (!engine) return;
+    const { timeLeft, movesLeft, goals } = engine.getObjectives();
+    const addObjective = (text, title, flag) => {
+        const objective = document.createElement('span');
+        objective.className = 'objective' + (flag ? ` ${flag}` : '');
+        objective.textContent = text;
+        objective.title = title;
+        caption.appendChild(objective);
+    };
+    if (timeLeft !== null) {
+        addObjective(`⏱ ${formatReplayTime(Math.ceil(timeLeft / 1000) * 1000)}`, 'Time left', timeLeft < LOW_TIME_MS ? 'low' : null);
+    }
+    if (movesLeft !== null) {
+        addObjective(`👣 ${movesLeft}`, `${movesLeft} move${movesLeft === 1 ? '' : 's'} left`, movesLeft <= LOW_MOVES ? 'low' : null);
+    }
+    goals.forEach(goal => {
+        addObjective(`${goal.icon} ${goal.cleared}/${goal.count}`, `Goal: clear ${goal.count} ${getIconName(goal.icon)} tiles`,
+            goal.cleared >= goal.count ? 'done' : null);
+    });
+}
+
+// Show the run score (levels cleared plus the level in progress)
+function updateScoreCaption() {
+    const scoreCaption = gameBoard.querySelector('.score-caption');
+    if (!scoreCaption) return;
+    const state = engine && !replayPlayer ? engine.getState() : null;
+    const levelScore = state && state.outcome !== 'won' ? state.score.total : 0; // A won level is already in runScore
+    scoreCaption.textContent = `Score: ${(runScore + levelScore).toLocaleString()}`;
+}
+
+// One-line breakdown of a level score
+function formatScoreBreakdown(score) {
+    const parts = [`${score.triples} triples +${score.triplePoints}`];
+    if (score.comboPoints > 0) parts.push(`combos +${score.comboPoints} (best x${score.bestCombo})`);
+    if (score.timeBonus > 0) parts.push(`time +${score.timeBonus}`);
+    if (score.toolPenalty > 0) parts.push(`tools −${score.toolPenalty}`);
+    return parts.join(' · ');
+}
+
+// High-score table; `newRank` highlights the entry just added
+function renderScoreTable(title, table, newRank) {
+    const rows = table.map((entry, i) => `
+        <li class="${i + 1 === newRank ? 'new-best' : ''}">
+            <span class="score-value">${entry.score.toLocaleString()}</span>
+            <span class="score-date">${new Date(entry.date).toLocaleDateString()}</span>
+        </li>
+    `).join('');
+    return `
+        <div class="score-table">
+            <div class="score-table-title">${title}</div>
+            ${rows ? `<ol>${rows}</ol>` : '<div class="score-empty">No scores yet</div>'}
+        </div>
+    `;
+}
+
+// High-score table id and title for the current level (all endless boards share one table)
+function getLevelScoreTable() {
+    return isEndlessLevel()
+        ? { id: 'endless', title: 'Best endless boards' }
+        : { id: levelDoc.id, title: `Best on ${levelDoc.name}` };
+}
+
+// Score summary for the win and game over modals
+function renderScoreSummary(levelScore, levelRank, runRank) {
+    const { id, title } = getLevelScoreTable();
+    return `
+        <div class="score-breakdown">${levelDoc.name}: ${formatScoreBreakdown(levelScore)}</div>
+        <div class="score-tables">
+            ${renderScoreTable(title, OverstackHighScores.getLevelTable(id), levelRank)}
+            ${renderScoreTable('Best runs', OverstackHighScores.getRunTable(), runRank)}
+        </div>
+    `;
+}
+
+// Totals of the run that just ended, with the endless streak
+function renderRunSummary(runResult) {
+    const parts = [
+        `${runStats.levels} ${runStats.levels === 1 ? 'level' : 'levels'} cleared`,
+        `${runStats.triples} triples`,
+        `best combo x${runStats.bestCombo}`,
+        `${runStats.toolsUsed} ${runStats.toolsUsed === 1 ? 'tool' : 'tools'} used`
+    ];
+    const streak = runResult.streak
+        ? `Endless streak: <strong>${runResult.streak.streak}</strong>` +
+            (runResult.streak.isNew ? ' (new best!)' : ` · best ${runResult.streak.best}`)
+        : '';
+    return `
+        <div class="run-summary">
+            <div class="run-summary-title">Run summary</div>
+            ${streak ? `<div class="run-summary-streak">${streak}</div>` : ''}
+            <div>${parts.join(' · ')}</div>
+        </div>
+    `;
+}
+
+// The run is over: record its score (and the endless streak, once endless mode was reached)
+function recordRun(score) {
+    if (practiceMode) return { rank: null };
+    const entry = { score, seed: gameSeed, levelsCleared: runStats.levels };
+    if (!isEndlessLevel()) {
+        return OverstackHighScores.recordRun(entry);
+    }
+    const streak = getEndlessStage() - 1;
+    const runResult = OverstackHighScores.recordRun(Object.assign(entry, { streak }));
+    runResult.streak = Object.assign({ streak }, OverstackHighScores.recordStreak(streak));
+    return runResult;
+}
+
 // Update tool button states
 function updateToolButtonStates() {
-    if (!undoBtn || !removeBtn || !shuffleBtn) return;
+    if (!undoBtn || !redoBtn) return;
+    
+    // Level still generating or replay mode: nothing to use tools on
+    if (!engine || replayPlayer) {
+        [undoBtn, redoBtn, ...toolButtons.values()].forEach(btn => {
+            btn.disabled = true;
+        });
+        return;
+    }
+    
+    // Undo: disabled if history empty, out of charges, or game over
+    undoBtn.disabled = !engine.canUndo();
     
-    // Undo: disabled if history empty, already used, or game over
-    undoBtn.disabled = undoHistory.length === 0 || gameOver || toolsUsed.undo;
+    // Redo: disabled when nothing was undone since the last move, or game over
+    redoBtn.disabled = !engine.canRedo();
     
-    // Remove: disabled if tray < 3, removed slots occupied, already used, or game over
-    const removedSlotsOccupied = REMOVED_SLOT_IDS.some(slotId => {
-        return tiles.some(t => t.location === 'BOARD' && t.slotId === slotId);
+    // Tools: disabled when out of charges, not available now (see tools.js), game over, or a hint search still running
+    toolButtons.forEach((button, name) => {
+        button.disabled = !engine.canUseTool(name) || (name === 'hint' && hintSearch !== null);
     });
-    removeBtn.disabled = tray.length < 3 || removedSlotsOccupied || gameOver || toolsUsed.remove;
     
-    // Shuffle: disabled if <= 1 eligible board tile, already used, or game over
-    const boardTiles = tiles.filter(t => 
-        t.location === 'BOARD' && !REMOVED_SLOT_IDS.includes(t.slotId)
-    );
-    shuffleBtn.disabled = boardTiles.length <= 1 || gameOver || toolsUsed.shuffle;
+    // Charges left (they depend on the level's rules)
+    const { toolCharges, practice } = engine.getState();
+    undoBtn.textContent = `Undo (${practice ? '∞' : toolCharges.undo})`;
+    toolButtons.forEach((button, name) => {
+        button.textContent = `${OverstackTools.getTool(name).label} (${toolCharges[name]})`;
+    });
 }
 
-// Show modal (helper function)
-function showModal(title, message, buttonText) {
+// Show modal (helper function); primary is the button text for "start a new game", or { text, onClick }
+// for another action (it also runs when clicking outside). secondary is an optional { text, onClick }
+// button that keeps the modal open, details optional HTML shown under the message
+function showModal(title, message, primary, secondary, details = '') {
+    const primaryAction = typeof primary === 'string' ? { text: primary, onClick: () => initGame() } : primary;
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
     overlay.innerHTML = `
         <div class="modal-content">
             <h2>${title}</h2>
             <p>${message}</p>
-            <button onclick="this.closest('.modal-overlay').remove(); initGame();">${buttonText}</button>
+            ${details}
+            <div class="modal-buttons">
+                <button class="primary-btn">${primaryAction.text}</button>
+            </div>
         </div>
     `;
     
+    overlay.querySelector('.primary-btn').addEventListener('click', () => {
+        overlay.remove();
+        primaryAction.onClick();
+    });
+    
+    if (secondary) {
+        const secondaryBtn = document.createElement('button');
+        secondaryBtn.className = 'secondary-btn';
+        secondaryBtn.textContent = secondary.text;
+        secondaryBtn.addEventListener('click', secondary.onClick);
+        overlay.querySelector('.modal-buttons').appendChild(secondaryBtn);
+    }
+    
+    const dismiss = () => {
+        overlay.remove();
+        primaryAction.onClick();
+    };
     overlay.addEventListener('click', (e) => {
         if (e.target === overlay) {
-            overlay.remove();
-            initGame();
+            dismiss();
         }
     });
     
+    openModal(overlay, dismiss);
+}
+
+// Show a modal overlay as a dialog: the focus moves to its first button and stays inside it
+// (Tab and Shift+Tab cycle) until the overlay is removed, then returns to where it was.
+// onEscape optionally dismisses it with the Escape key
+function openModal(overlay, onEscape) {
+    const previousFocus = document.activeElement;
+    const content = overlay.querySelector('.modal-content');
+    const title = content.querySelector('h2');
+    title.id = `modalTitle${++modalCount}`;
+    content.setAttribute('role', 'dialog');
+    content.setAttribute('aria-modal', 'true');
+    content.setAttribute('aria-labelledby', title.id);
+    
+    const getFocusable = () => [...content.querySelectorAll('button, [href], input, textarea, select, [tabindex]')]
+        .filter(el => !el.disabled && el.tabIndex >= 0);
+    
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && onEscape) {
+            e.preventDefault();
+            onEscape();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        const focusable = getFocusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!first) {
+            e.preventDefault();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+    
+    // Focus that leaves the dialog any other way comes straight back
+    const keepFocus = (e) => {
+        if (!overlay.isConnected) {
+            document.removeEventListener('focusin', keepFocus);
+        } else if (!overlay.contains(e.target) && getFocusable()[0]) {
+            getFocusable()[0].focus();
+        }
+    };
+    document.addEventListener('focusin', keepFocus);
+    
+    // Give the focus back once the dialog is gone (unless its action moved it somewhere)
+    const observer = new MutationObserver(() => {
+        if (overlay.isConnected) return;
+        observer.disconnect();
+        document.removeEventListener('focusin', keepFocus);
+        const focusLost = !document.activeElement || document.activeElement === document.body;
+        if (focusLost && previousFocus && previousFocus.isConnected) {
+            previousFocus.focus();
+        }
+    });
+    observer.observe(document.body, { childList: true });
+    
     document.body.appendChild(overlay);
+    const focusable = getFocusable();
+    if (focusable[0]) {
+        focusable[0].focus();
+    }
 }
 
-// Show win modal
-function showWinModal() {
-    showModal('🎉 Congratulations!', 'You passed!', 'Play Again');
+// Show win modal (last hand-made level cleared): keep going in endless mode, or end the run here
+function showWinModal(levelRank) {
+    const { score } = engine.getState();
+    showModal('🎉 Congratulations!', `You passed every level! Score so far: <strong>${runScore.toLocaleString()}</strong>`, {
+        text: 'Play Endless Mode',
+        onClick: advanceLevel
+    }, {
+        text: 'New Game',
+        onClick: () => {
+            document.querySelector('.modal-overlay').remove();
+            recordRun(runScore);
+            OverstackSave.clear();
+            initGame();
+        }
+    }, renderScoreSummary(score, levelRank, null));
 }
 
 // Show game over modal
-function showGameOverModal() {
-    showModal('😔 Game Over', 'Your tray is full!', 'Try Again');
+function showGameOverModal(runResult) {
+    const { score } = engine.getState();
+    const title = isEndlessLevel() ? '🏁 Endless Run Over' : '😔 Game Over';
+    const reason = LOSE_MESSAGES[engine.getState().loseReason];
+    showModal(title, `${reason} Score: <strong>${(runScore + score.total).toLocaleString()}</strong>`, 'Try Again', {
+        text: 'Download Replay',
+        onClick: () => downloadReplay(createCurrentReplay())
+    }, renderScoreSummary(score, null, runResult.rank) + renderRunSummary(runResult));
 }
 
-// Check win condition
-function checkWinCondition() {
-    const boardTiles = tiles.filter(t => t.location === 'BOARD');
-    if (boardTiles.length === 0 && tray.length === 0) {
-        if (currentLevel === 1) {
-            // Advance to Level 2
-            currentLevel = 2;
-            setTimeout(() => {
-                initGame(false); // Don't reset level, we're advancing
-            }, 500);
-        } else if (currentLevel === 2) {
-            // Advance to Level 3
-            currentLevel = 3;
-            setTimeout(() => {
-                initGame(false); // Don't reset level, we're advancing
-            }, 500);
-        } else {
-            // Level 3 complete - show win modal
-            gameOver = true;
-            setTimeout(() => {
-                showWinModal();
-            }, 500);
+// Level won: board cleared, or its goals met (engine 'win' event)
+function handleLevelCleared() {
+    stopObjectivesTimer();
+    afterMoveAnimation(() => audio.play('win'));
+    if (dailyKey) {
+        finishDaily();
+        return;
+    }
+    const doc = levelDoc;
+    const { score } = engine.getState();
+    runScore += score.total;
+    runStats = OverstackEndless.addLevelToRunStats(runStats, score, true);
+    const levelResult = practiceMode
+        ? { rank: null } // Practice scores stay out of the high scores
+        : OverstackHighScores.recordLevel(getLevelScoreTable().id, { score: score.total, seed: gameSeed });
+    
+    // Save the next level before it is dealt, so a refresh continues there
+    OverstackSave.write({
+        gameSeed,
+        currentLevel: currentLevel + 1,
+        levelId: getLevelInfo(currentLevel + 1).id,
+        levelDoc: null,
+        runScore,
+        runStats,
+        practice: practiceMode,
+        icons: null,
+        engine: null
+    });
+    
+    if (currentLevel === LEVELS.length) {
+        // Last hand-made level complete - show win modal
+        afterMoveAnimation(() => {
+            showWinModal(levelResult.rank);
+        });
+        return;
+    }
+    
+    afterMoveAnimation(() => {
+        advanceLevel();
+        showToast(`${doc.name} cleared: +${score.total.toLocaleString()} points` + (levelResult.rank === 1 ? ' (new best!)' : ''));
+    });
+}
+
+// Go on to the next level (or the next endless board)
+function advanceLevel() {
+    currentLevel++;
+    initGame(false); // Don't reset level, we're advancing
+}
+
+// Open today's daily challenge: continue the attempt in progress, or show the result once it is played
+function startDailyChallenge() {
+    const dateKey = OverstackDaily.getDateKey();
+    const result = OverstackDaily.getResult(dateKey);
+    if (result) {
+        showDailyResultModal(dateKey, result, OverstackDaily.getStats(dateKey));
+        return;
+    }
+    
+    // The regular game stays in its saved game; leaving the daily goes back to it
+    dailyKey = dateKey;
+    practiceMode = false; // Everyone plays the daily board by the same rules
+    gameSeed = OverstackDaily.getDailySeed(dateKey);
+    currentLevel = 1;
+    runScore = 0;
+    runStats = OverstackEndless.createRunStats();
+    resumeSave = OverstackDaily.getAttempt(dateKey);
+    initGame(false);
+}
+
+// Daily board won or lost: record the day's only attempt and show the result
+function finishDaily() {
+    const state = engine.getState();
+    const dealt = LevelBuilder.buildLevelWithIcons(levelDoc, getBuildOptions(levelSeed), levelIcons);
+    const result = {
+        outcome: state.outcome,
+        reason: state.loseReason,
+        score: state.score.total,
+        symbols: OverstackDaily.summarizeMoves(dealt, engine.getMoveLog(), getEngineOptions())
+    };
+    const dateKey = dailyKey;
+    const stats = OverstackDaily.recordResult(dateKey, result);
+    
+    // Show modal once the last move was shown
+    afterMoveAnimation(() => {
+        showDailyResultModal(dateKey, result, stats);
+    });
+}
+
+// Daily result with stats and the share text
+function showDailyResultModal(dateKey, result, stats) {
+    const shareText = OverstackDaily.createShareText(dateKey, result, stats);
+    const won = result.outcome === 'won';
+    const details = `
+        <div class="daily-stats">
+            <div><strong>${stats.played}</strong>Played</div>
+            <div><strong>${stats.winRate}</strong>Win %</div>
+            <div><strong>${stats.currentStreak}</strong>Streak</div>
+            <div><strong>${stats.maxStreak}</strong>Best streak</div>
+        </div>
+        <pre class="daily-share">${shareText}</pre>
+    `;
+    const message = won ? 'You cleared the daily board!' : (LOSE_MESSAGES[result.reason] || 'Your tray filled up.');
+    showModal(won ? '🗓️ Daily Cleared!' : '🗓️ Daily Challenge Over',
+        `${message} Score: <strong>${result.score.toLocaleString()}</strong>. A new board comes tomorrow.`, {
+            text: dailyKey ? 'Back to Game' : 'Close',
+            onClick: () => {
+                if (dailyKey) returnToSavedGame();
+            }
+        }, {
+            text: 'Copy Result',
+            onClick: () => copyShareText(shareText)
+        }, details);
+}
+
+// Put the daily share text on the clipboard
+function copyShareText(text) {
+    if (!navigator.clipboard) {
+        showToast('Copying is not available here, select the text instead');
+        return;
+    }
+    navigator.clipboard.writeText(text).then(() => {
+        showToast('Result copied');
+    }, () => {
+        showToast('Could not copy, select the text instead');
+    });
+}
+
+// Record the level being played
+function createCurrentReplay() {
+    return OverstackReplay.createReplay(engine, {
+        gameSeed,
+        levelId: levelDoc.id,
+        levelDoc: isGeneratedLevel() ? levelDoc : null,
+        levelSeed,
+        icons: levelIcons,
+        practice: practiceMode
+    });
+}
+
+// Save a replay as a JSON file
+function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `overstack-replay-${replay.gameSeed}-${replay.levelId}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Load a replay file chosen by the user
+function openReplayFile(file) {
+    file.text().then(text => {
+        startReplay(OverstackReplay.parseReplay(text));
+    }).catch(error => {
+        console.error('Could not open replay:', error);
+        showToast(`Could not open replay: ${error.message}`);
+    });
+}
+
+// Enter replay mode: rebuild the recorded level and show it before the first move
+function startReplay(replay) {
+    const doc = replay.levelDoc || LEVELS.find(d => d.id === replay.levelId);
+    if (!doc) {
+        throw new Error(`Unknown level "${replay.levelId}"`);
+    }
+    const level = LevelBuilder.buildLevelWithIcons(doc, getBuildOptions(replay.levelSeed), replay.icons);
+    
+    // Tear down the current game (its progress stays in the saved game)
+    dailyKey = null;
+    initGame(false);
+    if (levelGeneration) {
+        levelGeneration.abort();
+        levelGeneration = null;
+    }
+    hideGeneratingOverlay();
+    const skipBtn = document.getElementById('skipBtn');
+    if (skipBtn) {
+        skipBtn.remove();
+    }
+    
+    gameBoard.querySelector('.level-caption').textContent = `Replay: ${doc.name}`;
+    gameBoard.querySelector('.seed-caption').textContent = `Seed: ${replay.gameSeed}`;
+    gameBoard.classList.add('replaying');
+    
+    levelSeed = replay.levelSeed;
+    levelSlots = level.slots;
+    replayPlayer = OverstackReplay.createReplayPlayer(replay, level, getEngineOptions());
+    
+    createReplayControls();
+    showReplayPosition();
+}
+
+// Render the replay's current position
+function showReplayPosition() {
+    engine = replayPlayer.getEngine();
+    renderAllTiles();
+    renderTray();
+    updateBlocking();
+    updateToolButtonStates();
+    updateObjectivesCaption();
+    
+    // Point at what a recorded hint suggested
+    const lastMove = replayPlayer.getLastMove();
+    if (lastMove && lastMove.type === 'hint') {
+        if (lastMove.tileId !== null && tileElements.has(lastMove.tileId)) {
+            tileElements.get(lastMove.tileId).classList.add('hint');
+        } else if (lastMove.tool) {
+            toolButtons.get(lastMove.tool).classList.add('hint');
         }
     }
+    
+    const controls = document.getElementById('replayControls');
+    const position = replayPlayer.getPosition();
+    controls.querySelector('.replay-scrub').value = position;
+    controls.querySelector('.replay-label').textContent = lastMove
+        ? `Move ${position} / ${replayPlayer.getLength()} · ${lastMove.type} · ${formatReplayTime(lastMove.t)}`
+        : `Start / ${replayPlayer.getLength()} moves`;
+    controls.querySelector('[data-action="play"]').textContent = replayTimer ? '⏸' : '▶';
+}
+
+// m:ss for a move time
+function formatReplayTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Jump to the position after `n` moves
+function seekReplay(n) {
+    try {
+        replayPlayer.seek(n);
+    } catch (error) {
+        pauseReplay();
+        showToast(error.message);
+        return;
+    }
+    showReplayPosition();
+}
+
+// Play from the current position, keeping the recorded rhythm (clamped)
+function playReplay() {
+    if (replayPlayer.getPosition() >= replayPlayer.getLength()) {
+        seekReplay(0);
+    }
+    const scheduleNext = () => {
+        const position = replayPlayer.getPosition();
+        const gap = Math.min(REPLAY_MAX_GAP, Math.max(REPLAY_MIN_GAP, replayPlayer.gapBefore(position)));
+        replayTimer = setTimeout(() => {
+            seekReplay(position + 1);
+            if (!replayTimer) return; // Paused by a move that did not apply
+            if (replayPlayer.getPosition() >= replayPlayer.getLength()) {
+                pauseReplay();
+            } else {
+                scheduleNext();
+            }
+        }, gap);
+    };
+    scheduleNext();
+    showReplayPosition();
+}
+
+// Stop playback
+function pauseReplay() {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    const playBtn = document.querySelector('#replayControls [data-action="play"]');
+    if (playBtn) {
+        playBtn.textContent = '▶';
+    }
+}
+
+// Replay controls below the tray: start, back, play/pause, step, scrub, exit
+function createReplayControls() {
+    const controls = document.createElement('div');
+    controls.id = 'replayControls';
+    controls.className = 'replay-controls';
+    controls.innerHTML = `
+        <button class="replay-btn" data-action="start" title="Back to start">⏮</button>
+        <button class="replay-btn" data-action="back" title="Step back">◀︎</button>
+        <button class="replay-btn" data-action="play" title="Play / pause">▶</button>
+        <button class="replay-btn" data-action="step" title="Step forward">▶︎|</button>
+        <input class="replay-scrub" type="range" min="0" max="${replayPlayer.getLength()}" value="0">
+        <span class="replay-label"></span>
+        <button class="replay-btn replay-exit" data-action="exit">Exit Replay</button>
+    `;
+    
+    controls.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const action = button.dataset.action;
+        if (action === 'play') {
+            if (replayTimer) {
+                pauseReplay();
+            } else {
+                playReplay();
+            }
+            return;
+        }
+        pauseReplay();
+        if (action === 'start') seekReplay(0);
+        if (action === 'back') seekReplay(replayPlayer.getPosition() - 1);
+        if (action === 'step') seekReplay(replayPlayer.getPosition() + 1);
+        if (action === 'exit') exitReplay();
+    });
+    controls.querySelector('.replay-scrub').addEventListener('input', (e) => {
+        pauseReplay();
+        seekReplay(Number(e.target.value));
+    });
+    
+    trayElement.after(controls);
+}
+
+// Tear down replay mode (the caller rebuilds the board)
+function closeReplay() {
+    pauseReplay();
+    replayPlayer = null;
+    engine = null;
+    gameBoard.classList.remove('replaying');
+    const controls = document.getElementById('replayControls');
+    if (controls) {
+        controls.remove();
+    }
+}
+
+// Leave replay mode and go back to the saved game (or a new one)
+function exitReplay() {
+    closeReplay();
+    returnToSavedGame();
+}
+
+// Continue the saved game, or start a new one when there is none
+function returnToSavedGame() {
+    const save = OverstackSave.load();
+    if (save && isResumable(save)) {
+        resumeGame(save);
+    } else {
+        initGame();
+    }
+}
+
+// Show the audio settings on the sound controls
+function updateSoundControls() {
+    const { muted, effectsVolume, musicVolume } = audio.getSettings();
+    muteBtn.setAttribute('aria-pressed', String(muted)); // The label stays "Mute"; pressed means muted
+    effectsVolumeInput.value = Math.round(effectsVolume * 100);
+    musicVolumeInput.value = Math.round(musicVolume * 100);
 }
 
 // Event listeners
 newGameBtn.addEventListener('click', () => {
+    practiceMode = false;
     initGame();
 });
 
-// Initialize on load
-window.addEventListener('load', () => {
+dailyBtn.addEventListener('click', () => {
+    startDailyChallenge();
+});
+
+practiceBtn.addEventListener('click', () => {
+    practiceMode = true;
     initGame();
 });
 
+exportReplayBtn.addEventListener('click', () => {
+    if (!engine || replayPlayer) {
+        showToast('No level in progress to export');
+        return;
+    }
+    downloadReplay(createCurrentReplay());
+});
+
+openReplayBtn.addEventListener('click', () => {
+    replayFileInput.click();
+});
+
+document.addEventListener('keydown', handleKeyDown);
+
+// Browsers only start audio after a user gesture
+document.addEventListener('pointerdown', () => audio.unlock());
+document.addEventListener('keydown', () => audio.unlock());
+
+muteBtn.addEventListener('click', () => {
+    audio.setMuted(!audio.getSettings().muted);
+    updateSoundControls();
+});
+
+effectsVolumeInput.addEventListener('input', () => {
+    audio.setEffectsVolume(effectsVolumeInput.value / 100);
+});
+
+effectsVolumeInput.addEventListener('change', () => {
+    audio.play('pick'); // Sample of the new volume
+});
+
+musicVolumeInput.addEventListener('input', () => {
+    audio.setMusicVolume(musicVolumeInput.value / 100);
+});
+
+updateSoundControls();
+
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Opening the same file again should fire 'change'
+    if (file) {
+        openReplayFile(file);
+    }
+});
+
+
+// Initialize on load, offering to continue a saved game
+window.addEventListener('load', () => {
+    const save = OverstackSave.load();
+    if (save && isResumable(save)) {
+        // After a refresh ?seed= is just the saved game's seed; a New Game should not replay it
+        if (pendingUrlSeed === save.gameSeed) {
+            pendingUrlSeed = null;
+        }
+        showResumeModal(save);
+    } else {
+        initGame();
+    }
+});
+
 // Handle window resize and orientation changes for mobile
 let resizeTimeout;
 window.addEventListener('resize', () => {
@@ -1953,7 +2427,7 @@ window.addEventListener('resize', () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
         // Re-render tiles to ensure proper positioning after resize
-        if (tiles.length > 0) {
+        if (engine) {
             renderAllTiles();
             updateBlocking();
         }
@@ -0,0 +1,108 @@
+// High Scores
+// Local high-score tables in localStorage: one per level and one for whole runs
+//
+// Format (version 1):
+//   version - HIGH_SCORES_VERSION; other versions start a fresh table
+//   levels  - { [levelId]: entry[] } best scores for a cleared level
+//   runs    - entry[] best scores for a run (one game from Level 1 until it ends)
+//   entry   - { score, seed, date, levelsCleared?, streak? }, highest score first
+//   endless - { bestStreak } most endless boards cleared in one run (missing until endless mode is reached)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackSave = isNode ? require('./save.js') : global.OverstackSave;
+
+    const HIGH_SCORES_VERSION = 1;
+    const STORAGE_KEY = 'overstack.highscores';
+    const TABLE_SIZE = 5;
+
+    function emptyTables() {
+        return { version: HIGH_SCORES_VERSION, levels: {}, runs: [], endless: { bestStreak: 0 } };
+    }
+
+    /**
+     * Read all tables.
+     * @returns {{ version: number, levels: object, runs: object[] }}
+     */
+    function load() {
+        const data = OverstackSave.readStorage(STORAGE_KEY);
+        return data && data.version === HIGH_SCORES_VERSION ? Object.assign(emptyTables(), data) : emptyTables();
+    }
+
+    function store(tables) {
+        OverstackSave.writeStorage(STORAGE_KEY, tables, 'high scores');
+    }
+
+    // Insert an entry into a table; returns its 1-based rank, or null if it did not make the table
+    function insert(table, entry) {
+        const record = Object.assign({ date: Date.now() }, entry);
+        table.push(record);
+        table.sort((a, b) => b.score - a.score || a.date - b.date);
+        table.splice(TABLE_SIZE);
+        const index = table.indexOf(record);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Record a cleared level.
+     * @param {string} levelId
+     * @param {{ score: number, seed: string }} entry
+     * @returns {{ rank: number|null, table: object[] }}
+     */
+    function recordLevel(levelId, entry) {
+        const tables = load();
+        const table = tables.levels[levelId] = tables.levels[levelId] || [];
+        const rank = insert(table, entry);
+        store(tables);
+        return { rank, table };
+    }
+
+    /**
+     * Record a finished run (won or lost).
+     * @param {{ score: number, seed: string, levelsCleared: number, streak?: number }} entry
+     * @returns {{ rank: number|null, table: object[] }}
+     */
+    function recordRun(entry) {
+        const tables = load();
+        const rank = insert(tables.runs, entry);
+        store(tables);
+        return { rank, table: tables.runs };
+    }
+
+    /**
+     * Record the endless streak of a finished run.
+     * @param {number} streak - endless boards cleared
+     * @returns {{ best: number, isNew: boolean }} best streak so far (including this one)
+     */
+    function recordStreak(streak) {
+        const tables = load();
+        const isNew = streak > tables.endless.bestStreak;
+        if (isNew) {
+            tables.endless.bestStreak = streak;
+            store(tables);
+        }
+        return { best: tables.endless.bestStreak, isNew };
+    }
+
+    const OverstackHighScores = {
+        HIGH_SCORES_VERSION,
+        STORAGE_KEY,
+        TABLE_SIZE,
+        load,
+        recordLevel,
+        recordRun,
+        recordStreak,
+        getLevelTable: (levelId) => load().levels[levelId] || [],
+        getRunTable: () => load().runs
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackHighScores;
+    } else {
+        global.OverstackHighScores = OverstackHighScores;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,452 @@
+// Level Builder
+// Turns declarative level documents (see levels.js) into board slots and tiles
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+    const OverstackBlockGraph = isNode ? require('./block-graph.js') : global.OverstackBlockGraph;
+    const OverstackRules = isNode ? require('./rules.js') : global.OverstackRules;
+    const OverstackTileKinds = isNode ? require('./tile-kinds.js') : global.OverstackTileKinds;
+    const isSolvable = isNode ? require('./solver.js').isSolvable : global.isSolvable;
+
+    // Current level document schema version
+    const LEVEL_FORMAT_VERSION = 1;
+
+    /**
+     * Validate a level document and throw on anything the builder cannot handle.
+     * @param {object} doc
+     */
+    function validateLevel(doc) {
+        if (!doc || typeof doc !== 'object') {
+            throw new Error('Level document must be an object');
+        }
+        if (doc.version !== LEVEL_FORMAT_VERSION) {
+            throw new Error(`Level "${doc.id}" has unsupported format version ${doc.version} (expected ${LEVEL_FORMAT_VERSION})`);
+        }
+        if (!doc.id) {
+            throw new Error('Level document is missing an id');
+        }
+        if (!doc.main || !Array.isArray(doc.main.layers) || doc.main.layers.length === 0) {
+            throw new Error(`Level "${doc.id}" must define at least one main layer`);
+        }
+        if (!doc.icons || !(doc.icons.copies > 0)) {
+            throw new Error(`Level "${doc.id}" must define icons.copies`);
+        }
+        let rules;
+        try {
+            rules = OverstackRules.resolveRules(doc.rules);
+        } catch (error) {
+            throw new Error(`Level "${doc.id}" ${error.message}`);
+        }
+        if (doc.icons.copies % rules.matchSize !== 0) {
+            throw new Error(`Level "${doc.id}" icons.copies must be a multiple of the match size ${rules.matchSize}`);
+        }
+        rules.goals.forEach(goal => {
+            if (goal.count > doc.icons.copies) {
+                throw new Error(`Level "${doc.id}" goal ${goal.icon} asks for ${goal.count} tiles but the level deals ${doc.icons.copies} of each icon`);
+            }
+        });
+        if (doc.icons.kinds && rules.goals.length > doc.icons.kinds) {
+            throw new Error(`Level "${doc.id}" has ${rules.goals.length} goals but only ${doc.icons.kinds} icon kinds`);
+        }
+
+        doc.main.layers.forEach((layer, z) => {
+            if (!Array.isArray(layer.mask) || layer.mask.length === 0) {
+                throw new Error(`Level "${doc.id}" layer z${z} is missing its mask`);
+            }
+            const width = layer.mask[0].length;
+            layer.mask.forEach((row, yInt) => {
+                if (row.length !== width) {
+                    throw new Error(`Level "${doc.id}" layer z${z} row ${yInt} has width ${row.length}, expected ${width}`);
+                }
+                try {
+                    [...row].forEach(OverstackTileKinds.maskKind);
+                } catch (error) {
+                    throw new Error(`Level "${doc.id}" layer z${z} row ${yInt}: ${error.message}`);
+                }
+            });
+            if (layer.unlockAfter !== undefined && !(Number.isInteger(layer.unlockAfter) && layer.unlockAfter > 0)) {
+                throw new Error(`Level "${doc.id}" layer z${z} unlockAfter must be a positive integer, got ${layer.unlockAfter}`);
+            }
+
+            // Mirrored split layers shift each half towards the center, so the center column must stay empty
+            const rule = layer.tileShiftX;
+            if (rule && rule.type === 'mirrored-split') {
+                layer.mask.forEach((row, yInt) => {
+                    if (row[rule.center] !== OverstackTileKinds.MASK_EMPTY) {
+                        throw new Error(`Level "${doc.id}" layer z${z} row ${yInt} must have empty center column (xInt=${rule.center})`);
+                    }
+                });
+            } else if (rule) {
+                throw new Error(`Level "${doc.id}" layer z${z} has unknown tileShiftX rule "${rule.type}"`);
+            }
+        });
+    }
+
+    /**
+     * Per-tile X shift (in tile units) for a layer rule.
+     * 'mirrored-split' pulls the left half right and the right half left by `amount`.
+     */
+    function tileShiftX(rule, xInt) {
+        if (!rule) return 0;
+        return xInt < rule.center ? rule.amount : -rule.amount;
+    }
+
+    const rectanglesOverlap = OverstackBlockGraph.rectanglesOverlap;
+
+    // Pixel offset that centers [min, max + tileSize] inside `size`
+    function centerOffset(size, min, max, tileSize) {
+        return (size - (max - min + tileSize)) / 2 - min;
+    }
+
+    /**
+     * Build board slots for a level document.
+     * @param {object} doc - Level document
+     * @param {{ boardWidth: number, boardHeight: number, tileSize: number }} options
+     * @returns {Array<{slotId: string, x: number, y: number, z: number, region: string, px: number, py: number, kind?: string, unlockAfter?: number}>}
+     *   kind is set for special tiles only (see tile-kinds.js), unlockAfter for locked ones
+     */
+    function buildSlots(doc, options) {
+        validateLevel(doc);
+
+        const tileSize = options.tileSize;
+        const layout = doc.layout || {};
+        const gap = layout.gap || { x: 0, y: 0 };
+        const stepX = tileSize + gap.x;
+        const stepY = tileSize + gap.y;
+        const slots = [];
+
+        // MAIN stack from masks; gx/gy are pixel offsets from the (not yet known) origin
+        const layerCounts = [];
+        doc.main.layers.forEach((layer, z) => {
+            const shift = layer.shift || { sx: 0, sy: 0 };
+            let count = 0;
+            layer.mask.forEach((row, yInt) => {
+                for (let xInt = 0; xInt < row.length; xInt++) {
+                    const kind = OverstackTileKinds.maskKind(row[xInt]);
+                    if (!kind) continue;
+                    const sx = shift.sx + tileShiftX(layer.tileShiftX, xInt);
+                    const gx = xInt * stepX + sx * tileSize;
+                    const gy = yInt * stepY + shift.sy * tileSize;
+                    const slot = {
+                        slotId: `main_${z}_${xInt}_${yInt}`,
+                        x: gx / stepX,  // Float: xInt + fractional shift
+                        y: gy / stepY,  // Float: yInt + fractional shift
+                        z: z,
+                        region: 'MAIN',
+                        gx: gx,
+                        gy: gy
+                    };
+                    if (kind !== 'plain') {
+                        slot.kind = kind;
+                    }
+                    if (kind === 'locked') {
+                        slot.unlockAfter = layer.unlockAfter || OverstackTileKinds.DEFAULT_UNLOCK_AFTER;
+                    }
+                    slots.push(slot);
+                    count++;
+                }
+            });
+            layerCounts.push(count);
+        });
+
+        const mainSlots = slots.slice();
+        const topZ = doc.main.layers.length - 1;
+
+        // Substacks: single-column piles with a small per-layer fan offset
+        (doc.substacks || []).forEach(stack => {
+            const spread = stack.spread || { dx: 0, dy: 0 };
+            for (let z = 0; z < stack.depth; z++) {
+                slots.push({
+                    slotId: `${stack.slotPrefix}_${z}`,
+                    x: stack.x,
+                    y: stack.y,
+                    z: z,
+                    region: stack.region,
+                    gx: stack.x * stepX + z * spread.dx,
+                    gy: stack.y * stepY + z * spread.dy
+                });
+            }
+        });
+
+        // Resolve origin: center on the top layer, on the whole MAIN stack, or use a fixed offset
+        const originSpec = layout.origin || { x: 'center', y: 'center' };
+        const extent = (list, key) => list.reduce((acc, s) => ({
+            min: Math.min(acc.min, s[key]),
+            max: Math.max(acc.max, s[key])
+        }), { min: Infinity, max: -Infinity });
+
+        const resolveOrigin = (spec, key, size) => {
+            if (typeof spec === 'number') return spec;
+            const source = spec === 'center-top-layer' ? mainSlots.filter(s => s.z === topZ) : mainSlots;
+            const { min, max } = extent(source, key);
+            return centerOffset(size, min, max, tileSize);
+        };
+        const originX = resolveOrigin(originSpec.x, 'gx', options.boardWidth);
+        const originY = resolveOrigin(originSpec.y, 'gy', options.boardHeight);
+
+        slots.forEach(slot => {
+            slot.px = originX + slot.gx;
+            slot.py = originY + slot.gy;
+            delete slot.gx;
+            delete slot.gy;
+        });
+
+        checkExpectedCounts(doc, layerCounts, slots.length);
+        checkSameLayerOverlaps(doc, slots, tileSize);
+
+        return slots;
+    }
+
+    // Verify optional designer-declared counts so edits to masks can't silently change a level
+    function checkExpectedCounts(doc, layerCounts, totalSlots) {
+        const expect = doc.expect;
+        if (!expect) return;
+
+        if (expect.layerCounts) {
+            expect.layerCounts.forEach((expected, z) => {
+                if (layerCounts[z] !== expected) {
+                    throw new Error(`Level "${doc.id}" layer z${z} count mismatch: expected ${expected}, got ${layerCounts[z]}`);
+                }
+            });
+        }
+        if (expect.totalSlots !== undefined && expect.totalSlots !== totalSlots) {
+            throw new Error(`Level "${doc.id}" slot count mismatch: expected ${expect.totalSlots}, got ${totalSlots}`);
+        }
+    }
+
+    // Tiles on the same MAIN layer must never overlap each other
+    function checkSameLayerOverlaps(doc, slots, tileSize) {
+        const mainSlots = slots.filter(s => s.region === 'MAIN');
+        for (let i = 0; i < mainSlots.length; i++) {
+            for (let j = i + 1; j < mainSlots.length; j++) {
+                const A = mainSlots[i];
+                const B = mainSlots[j];
+                if (A.z !== B.z) continue;
+                if (rectanglesOverlap(
+                    { x: A.px, y: A.py, w: tileSize, h: tileSize },
+                    { x: B.px, y: B.py, w: tileSize, h: tileSize }
+                )) {
+                    throw new Error(`Level "${doc.id}" same-layer overlap in z${A.z}: ${A.slotId} and ${B.slotId}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get clickable slot indices for a board assignment (slot index -> icon index, -1 for empty).
+     * A slot is clickable when no occupied slot with higher z overlaps it.
+     * Uses the layout's cached block graph; callers that step through many boards should keep
+     * blocker counts instead (see block-graph.js and the solver's `blockGraph` param).
+     */
+    function getClickableSlotIndices(boardAssignment, slots, tileSize) {
+        const graph = OverstackBlockGraph.getBlockGraph(slots, tileSize);
+        return OverstackBlockGraph.getClickableSlots(boardAssignment, OverstackBlockGraph.countBlockers(graph, boardAssignment));
+    }
+
+    /**
+     * Build the icon bag described by `doc.icons`: `kinds` icons picked from the pool, `copies` of each.
+     * The icons of the rules' goals are always among them; the rest are picked at random.
+     */
+    function buildIconBag(doc, iconPool, rng) {
+        const kinds = doc.icons.kinds || iconPool.length;
+        if (kinds > iconPool.length) {
+            throw new Error(`Level "${doc.id}" asks for ${kinds} icon kinds but only ${iconPool.length} exist`);
+        }
+
+        const selectedIcons = OverstackRules.resolveRules(doc.rules).goals.map(goal => goal.icon);
+        selectedIcons.forEach(icon => {
+            if (!iconPool.includes(icon)) {
+                throw new Error(`Level "${doc.id}" has a goal for ${icon}, which is not in the icon set`);
+            }
+        });
+        const pool = iconPool.filter(icon => !selectedIcons.includes(icon));
+        for (let i = selectedIcons.length; i < kinds; i++) {
+            const randomIndex = rng.int(pool.length);
+            selectedIcons.push(pool[randomIndex]);
+            pool.splice(randomIndex, 1);
+        }
+
+        const iconBag = [];
+        selectedIcons.forEach(icon => {
+            for (let i = 0; i < doc.icons.copies; i++) {
+                iconBag.push(icon);
+            }
+        });
+        return iconBag;
+    }
+
+    // Icon per slot: the bag in order, with WILDCARD_ICON on the wildcard slots
+    function iconsForSlots(slots, iconBag) {
+        let next = 0;
+        return slots.map(slot => (slot.kind === 'wildcard' ? OverstackTileKinds.WILDCARD_ICON : iconBag[next++]));
+    }
+
+    /**
+     * Assign icons to slots. When the level declares a `solver` budget, retries shuffles
+     * until the solver finds a winning line (or the tries run out). `solver.exact` uses the
+     * exhaustive solver, so every rejected deal is proven unsolvable.
+     * All random choices come from `seed`, so the same seed always deals the same board.
+     * The solver plays by the level's `rules` (see rules.js). With `solver.maxTools` it may
+     * spend up to that many of the rules' Remove and Shuffle charges;
+     * Shuffle is modeled with the same derived seed the game uses. With face-down tiles
+     * (rules.faceDown) it only plays what a player could see, and the budget bounds each look-ahead.
+     * Wildcard slots get no icon from the bag; the solver plays every tile kind (see tile-kinds.js).
+     * `options.onProgress({ tryNum, maxTries, solvable })` is called after every try.
+     * Nothing is logged; callers report the certification as they see fit.
+     * @returns {{ icons: string[], certification: { tries: number, maxTries: number, solvable: boolean, stats: object, toolsUsed: string[] } | null }}
+     *   icon per slot index, and how the solver check went (null without a `solver` budget); when no
+     *   try was solvable the last deal is kept and the stats are those of the last try
+     */
+    function assignIcons(doc, slots, options, seed) {
+        const rng = OverstackRng.createRng(seed);
+        const iconPool = options.icons;
+        const iconBag = buildIconBag(doc, iconPool, rng);
+        const iconSlots = slots.filter(slot => slot.kind !== 'wildcard').length;
+        if (iconBag.length !== iconSlots) {
+            const wildcards = slots.length - iconSlots;
+            throw new Error(`Level "${doc.id}" icon bag has ${iconBag.length} icons for ${iconSlots} slots` +
+                (wildcards > 0 ? ` (and ${wildcards} wildcards)` : ''));
+        }
+
+        const budget = doc.solver;
+        const rules = OverstackRules.resolveRules(doc.rules);
+        if (!budget) {
+            rng.shuffle(iconBag);
+            return { icons: iconsForSlots(slots, iconBag), certification: null };
+        }
+
+        const solve = options.isSolvable || isSolvable;
+        const maxTries = budget.maxTries || 1;
+        const neighbors = slots.some(slot => slot.kind === 'bomb')
+            ? OverstackTileKinds.getNeighbors(slots, options.tileSize)
+            : null;
+        let bestAssignment = null;
+        let certification = null;
+
+        for (let tryNum = 0; tryNum < maxTries; tryNum++) {
+            rng.shuffle(iconBag);
+
+            const icons = iconsForSlots(slots, iconBag);
+            const boardAssignment = icons.map((icon, i) => OverstackTileKinds.encodeCell(
+                iconPool.indexOf(icon), slots[i].kind, slots[i].unlockAfter));
+            const result = solve(
+                boardAssignment,
+                (board) => getClickableSlotIndices(board, slots, options.tileSize),
+                {
+                    beamWidth: budget.beamWidth,
+                    maxExpansions: budget.maxExpansions,
+                    maxDepth: budget.maxDepth,
+                    lookaheadDepth: budget.lookaheadDepth,
+                    exact: budget.exact,
+                    maxNodes: budget.maxNodes,
+                    timeLimitMs: budget.timeLimitMs,
+                    tools: { remove: rules.tools.remove, shuffle: rules.tools.shuffle },
+                    maxTools: budget.maxTools || 0,
+                    rules,
+                    shuffleSeed: OverstackRng.deriveSeed(seed, 'shuffle'),
+                    blockGraph: OverstackBlockGraph.getBlockGraph(slots, options.tileSize),
+                    neighbors
+                }
+            );
+
+            bestAssignment = icons; // Keep last assignment as fallback
+            certification = {
+                tries: tryNum + 1,
+                maxTries,
+                solvable: !!result.solvable,
+                stats: result.stats,
+                toolsUsed: result.toolsUsed || []
+            };
+            if (options.onProgress) {
+                options.onProgress({ tryNum: tryNum + 1, maxTries, solvable: certification.solvable });
+            }
+            if (result.solvable) break;
+        }
+
+        return { icons: bestAssignment, certification };
+    }
+
+    /**
+     * Public API: build slots and tiles for a level document.
+     * @param {object} doc - Level document
+     * @param {{ boardWidth: number, boardHeight: number, tileSize: number, icons: string[], seed?: string|number, onProgress?: function }} options
+     *   seed makes the icon assignment reproducible (a random seed is used when omitted)
+     *   onProgress reports each solver try (see assignIcons)
+     * @returns {{ seed: string|number, slots: object[], tiles: object[], rules: object, certification: object|null }}
+     *   rules is the level's resolved rule set (see rules.js), which the engine plays by;
+     *   certification how the solver check went (see assignIcons), null for levels without a solver budget
+     */
+    function buildLevel(doc, options) {
+        const seed = options.seed !== undefined ? options.seed : OverstackRng.randomSeed();
+        const slots = buildSlots(doc, options);
+        const { icons, certification } = assignIcons(doc, slots, options, seed);
+        return { seed, slots, tiles: tilesFromSlots(slots, icons), rules: OverstackRules.resolveRules(doc.rules), certification };
+    }
+
+    /**
+     * Rebuild a level whose icons are already known (e.g. a saved game), skipping the solver.
+     * @param {string[]} icons - icon per slot index, as dealt by buildLevel()
+     * @returns {{ seed: string|number, slots: object[], tiles: object[], rules: object }}
+     */
+    function buildLevelWithIcons(doc, options, icons) {
+        const slots = buildSlots(doc, options);
+        if (icons.length !== slots.length) {
+            throw new Error(`Level "${doc.id}" has ${slots.length} slots but ${icons.length} icons were given`);
+        }
+        return { seed: options.seed, slots, tiles: tilesFromSlots(slots, icons), rules: OverstackRules.resolveRules(doc.rules) };
+    }
+
+    // One tile per slot; the tile id is the slot index
+    function tilesFromSlots(slots, icons) {
+        return slots.map((slot, index) => {
+            const tile = {
+                id: index,
+                icon: icons[index],
+                x: slot.px,
+                y: slot.py,
+                z: slot.z,
+                location: 'BOARD',
+                slotId: slot.slotId,
+                region: slot.region, // Store region for styling
+                kind: slot.kind || 'plain',
+                element: null
+            };
+            if (slot.unlockAfter !== undefined) {
+                tile.unlockAfter = slot.unlockAfter;
+            }
+            return tile;
+        });
+    }
+
+    /**
+     * Parse a level document from JSON text (or pass an object through) and validate it.
+     */
+    function parseLevel(source) {
+        const doc = typeof source === 'string' ? JSON.parse(source) : source;
+        validateLevel(doc);
+        return doc;
+    }
+
+    const LevelBuilder = {
+        LEVEL_FORMAT_VERSION,
+        validateLevel,
+        parseLevel,
+        buildSlots,
+        assignIcons,
+        buildLevel,
+        buildLevelWithIcons,
+        getClickableSlotIndices,
+        rectanglesOverlap
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LevelBuilder;
+    } else {
+        global.LevelBuilder = LevelBuilder;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,277 @@
+// Level Generator
+// Builds new layered level documents (masks, layer shifts, substacks) from a few inputs and
+// rates their difficulty with the beam search solver. Used for endless play
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+    const LevelBuilder = isNode ? require('./level-builder.js') : global.LevelBuilder;
+    const OverstackBlockGraph = isNode ? require('./block-graph.js') : global.OverstackBlockGraph;
+    const OverstackRules = isNode ? require('./rules.js') : global.OverstackRules;
+    const beamSearchSolve = isNode ? require('./solver.js').beamSearchSolve : global.SolverBeamSearchSolve;
+
+    const GRID_SIZE = 7; // Main masks are GRID_SIZE × GRID_SIZE, like the hand-made levels
+    const GRID_CENTER = (GRID_SIZE - 1) / 2;
+    const SUBSTACK_SPREAD = 2; // px per layer
+
+    // Layer offsets the generator picks from (tile units); the bottom layer never moves
+    const LAYER_SHIFTS = [
+        { sx: 0, sy: 0 },
+        { sx: 0, sy: 0.5 },
+        { sx: 0, sy: -0.5 },
+        { sx: 0.5, sy: 0 },
+        { sx: -0.5, sy: 0 }
+    ];
+
+    // Substack anchors around the main grid (same spots as Levels 2 and 3)
+    const SUBSTACK_ANCHORS = [
+        { region: 'SUB_LEFT', slotPrefix: 'sub_left', x: -1, y: 7.5, spread: { dx: SUBSTACK_SPREAD, dy: 0 } },
+        { region: 'SUB_RIGHT', slotPrefix: 'sub_right', x: 7, y: 7.5, spread: { dx: -SUBSTACK_SPREAD, dy: 0 } },
+        { region: 'SUB_LEFT_SIDE', slotPrefix: 'sub_left_side', x: -1, y: 3, spread: { dx: 0, dy: SUBSTACK_SPREAD } },
+        { region: 'SUB_RIGHT_SIDE', slotPrefix: 'sub_right_side', x: 7, y: 3, spread: { dx: 0, dy: SUBSTACK_SPREAD } }
+    ];
+
+    // Rating: the narrowest beam that finds a winning line says how much look-ahead a level needs
+    const RATING_BEAM_WIDTHS = [1, 4, 16];
+    const RATING_MAX_EXPANSIONS = 200000;
+    const DIFFICULTY_LABELS = [
+        { max: 34, label: 'easy' },
+        { max: 67, label: 'medium' },
+        { max: 100, label: 'hard' }
+    ];
+    const DEFAULT_MAX_CANDIDATES = 5;
+
+    /**
+     * Round the requested tile count to a full icon bag: every icon needs a multiple of the match size
+     * (three in the classic rules) in copies.
+     * @returns {{ copies: number, tileCount: number }}
+     */
+    function iconBagSize(tileCount, iconKinds, matchSize = 3) {
+        const copies = Math.max(matchSize, Math.round(tileCount / iconKinds / matchSize) * matchSize);
+        return { copies, tileCount: copies * iconKinds };
+    }
+
+    // Split `total` tiles over the layers, bottom layers heavier, none above a full grid
+    function layerCounts(total, layers) {
+        const capacity = GRID_SIZE * GRID_SIZE;
+        if (total > capacity * layers) {
+            throw new Error(`${total} tiles do not fit in ${layers} layers of ${GRID_SIZE}x${GRID_SIZE}`);
+        }
+        const weights = Array.from({ length: layers }, (_, z) => layers - z * 0.5);
+        const weightSum = weights.reduce((a, b) => a + b, 0);
+        const counts = weights.map(w => Math.min(capacity, Math.floor(total * w / weightSum)));
+
+        // Hand out what rounding and capping left over, bottom first
+        let left = total - counts.reduce((a, b) => a + b, 0);
+        for (let z = 0; left > 0; z = (z + 1) % layers) {
+            if (counts[z] < capacity) {
+                counts[z]++;
+                left--;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * A mirror-symmetric mask with exactly `count` tiles, denser towards the center.
+     * Cells are picked as mirrored pairs; the center column takes the odd ones.
+     */
+    function generateMask(count, rng) {
+        const cells = Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(false));
+        const units = [];
+        for (let y = 0; y < GRID_SIZE; y++) {
+            for (let x = 0; x <= GRID_CENTER; x++) {
+                const cellsOfUnit = x === GRID_CENTER ? [[x, y]] : [[x, y], [GRID_SIZE - 1 - x, y]];
+                const distance = Math.abs(x - GRID_CENTER) + Math.abs(y - GRID_CENTER);
+                units.push({ cells: cellsOfUnit, weight: 1 / (1 + distance) });
+            }
+        }
+
+        let left = count;
+        while (left > 0) {
+            const fits = units.filter(u => u.cells.length <= left);
+            if (fits.length === 0) break;
+            let pick = rng.next() * fits.reduce((sum, u) => sum + u.weight, 0);
+            const unit = fits.find(u => (pick -= u.weight) <= 0) || fits[fits.length - 1];
+            unit.cells.forEach(([x, y]) => {
+                cells[y][x] = true;
+            });
+            units.splice(units.indexOf(unit), 1);
+            left -= unit.cells.length;
+        }
+
+        // No center cell left for an odd remainder: break the symmetry
+        for (let y = 0; y < GRID_SIZE && left > 0; y++) {
+            for (let x = 0; x < GRID_SIZE && left > 0; x++) {
+                if (!cells[y][x]) {
+                    cells[y][x] = true;
+                    left--;
+                }
+            }
+        }
+
+        return cells.map(row => row.map(filled => (filled ? '#' : '.')).join(''));
+    }
+
+    /**
+     * Generate a level document (format version 1, see levels.js).
+     * @param {{ tileCount: number, layers: number, iconKinds: number, id?: string, name?: string, rules?: string|object }} params
+     *   tileCount is rounded so every icon comes in multiples of the match size (see iconBagSize);
+     *   rules (see rules.js) is copied into the document
+     * @param {string|number} seed
+     * @returns {object} level document; it has no solver budget, so building it deals exactly one board per seed
+     */
+    function generateLayout(params, seed) {
+        const rng = OverstackRng.createRng(OverstackRng.deriveSeed(seed, 'layout'));
+        const layers = Math.max(1, params.layers);
+        const { copies, tileCount } = iconBagSize(params.tileCount, params.iconKinds, OverstackRules.resolveRules(params.rules).matchSize);
+
+        // Deeper boards get substacks: 10-30% of the tiles in two or four piles
+        let substacks = [];
+        if (layers >= 3 && tileCount >= 60) {
+            const pileCount = rng.int(2) === 0 ? 2 : 4;
+            const pileTiles = Math.round(tileCount * (0.1 + rng.next() * 0.2));
+            const depth = Math.max(2, Math.floor(pileTiles / pileCount));
+            const anchors = pileCount === 4 ? SUBSTACK_ANCHORS : SUBSTACK_ANCHORS.slice(0, 2);
+            substacks = anchors.map(anchor => Object.assign({}, anchor, { depth }));
+        }
+        const substackTiles = substacks.reduce((sum, s) => sum + s.depth, 0);
+
+        const counts = layerCounts(tileCount - substackTiles, layers);
+        const mainLayers = counts.map((count, z) => {
+            const layer = { mask: generateMask(count, rng) };
+            const shift = z === 0 ? LAYER_SHIFTS[0] : LAYER_SHIFTS[rng.int(LAYER_SHIFTS.length)];
+            if (shift.sx !== 0 || shift.sy !== 0) {
+                layer.shift = Object.assign({}, shift);
+            }
+            return layer;
+        });
+
+        const doc = {
+            version: LevelBuilder.LEVEL_FORMAT_VERSION,
+            id: params.id || `generated-${seed}`,
+            name: params.name || 'Generated Level',
+            layout: {
+                origin: { x: 'center', y: 80 }
+            },
+            main: { layers: mainLayers },
+            substacks,
+            icons: { kinds: params.iconKinds, copies },
+            expect: { totalSlots: tileCount }
+        };
+        if (params.rules) {
+            doc.rules = params.rules;
+        }
+        return doc;
+    }
+
+    /**
+     * Rate a built level with the beam search solver, playing by the level's rules.
+     * @param {{ slots: object[], tiles: object[], rules?: object }} level - LevelBuilder.buildLevel() result
+     * @param {number} tileSize
+     * @param {object} [solverParams] - extra beamSearchSolve params (e.g. tools, maxTools)
+     * @returns {{ solvable: boolean, score: number, label: string, beamWidth: number|null, winningMoves: Array|null, stats: object }}
+     *   score 0-100; beamWidth is the narrowest beam that found a line (null if none did)
+     */
+    function rateLevel(level, tileSize, solverParams = {}) {
+        const iconIndex = new Map();
+        const board = level.tiles.map(tile => {
+            if (!iconIndex.has(tile.icon)) iconIndex.set(tile.icon, iconIndex.size);
+            return iconIndex.get(tile.icon);
+        });
+        const blockGraph = OverstackBlockGraph.getBlockGraph(level.slots, tileSize);
+
+        let result = null;
+        let widthIndex = 0;
+        for (; widthIndex < RATING_BEAM_WIDTHS.length; widthIndex++) {
+            result = beamSearchSolve(board, null, Object.assign({
+                maxExpansions: RATING_MAX_EXPANSIONS,
+                maxDepth: board.length * 2,
+                rules: level.rules,
+                blockGraph
+            }, solverParams, { beamWidth: RATING_BEAM_WIDTHS[widthIndex] }));
+            if (result.solvable) break;
+        }
+
+        // Look-ahead needed weighs most, then how few moves there are to choose from, then tools needed
+        const lookAhead = widthIndex / RATING_BEAM_WIDTHS.length;
+        const tightness = Math.min(1, Math.max(0, (24 - result.stats.branching) / 20));
+        const tools = result.solvable ? Math.min(1, (result.toolsUsed || []).length / 2) : 1;
+        const score = Math.round(100 * (0.6 * lookAhead + 0.25 * tightness + 0.15 * tools));
+
+        return {
+            solvable: !!result.solvable,
+            score,
+            label: DIFFICULTY_LABELS.find(d => score <= d.max).label,
+            beamWidth: result.solvable ? RATING_BEAM_WIDTHS[widthIndex] : null,
+            winningMoves: result.solvable ? result.winningMoves : null,
+            stats: result.stats
+        };
+    }
+
+    /**
+     * Generate a solvable level near a difficulty target. Tries up to `maxCandidates` layouts and deals
+     * (all derived from `seed`) and keeps the solvable one whose score is closest to the target.
+     * Shuffle is modeled with `deriveSeed(seed, 'shuffle')`, the seed the game's Shuffle uses when `seed` is the level seed.
+     * @param {{ tileCount: number, layers: number, iconKinds: number, id?: string, name?: string, rules?: string|object,
+     *           targetDifficulty?: { min: number, max: number }, maxCandidates?: number, solverParams?: object }} params
+     * @param {{ boardWidth: number, boardHeight: number, tileSize: number, icons: string[], seed: string|number,
+     *           onProgress?: function({ candidate: number, maxCandidates: number, difficulty: object }) }} options
+     * @returns {{ doc: object, seed: string, level: object, difficulty: object }}
+     *   building `doc` with `seed` deals `level` again (no solver run needed)
+     * @throws {Error} when no candidate was solvable
+     */
+    function generateLevel(params, options) {
+        const maxCandidates = params.maxCandidates || DEFAULT_MAX_CANDIDATES;
+        const target = params.targetDifficulty || { min: 0, max: 100 };
+        const targetMid = (target.min + target.max) / 2;
+        const solverParams = Object.assign({
+            shuffleSeed: OverstackRng.deriveSeed(options.seed, 'shuffle')
+        }, params.solverParams);
+        let best = null;
+
+        for (let candidate = 0; candidate < maxCandidates; candidate++) {
+            const candidateSeed = OverstackRng.deriveSeed(options.seed, `candidate-${candidate}`);
+            const doc = generateLayout(params, candidateSeed);
+            const level = LevelBuilder.buildLevel(doc, Object.assign({}, options, { seed: candidateSeed }));
+            const difficulty = rateLevel(level, options.tileSize, solverParams);
+
+            if (options.onProgress) {
+                options.onProgress({ candidate: candidate + 1, maxCandidates, difficulty });
+            }
+            if (!difficulty.solvable) continue;
+
+            const distance = Math.abs(difficulty.score - targetMid);
+            if (!best || distance < best.distance) {
+                best = { doc, seed: candidateSeed, level, difficulty, distance };
+            }
+            if (difficulty.score >= target.min && difficulty.score <= target.max) break;
+        }
+
+        if (!best) {
+            throw new Error(`No solvable level found in ${maxCandidates} candidates`);
+        }
+        return { doc: best.doc, seed: best.seed, level: best.level, difficulty: best.difficulty };
+    }
+
+    const LevelGenerator = {
+        SUBSTACK_ANCHORS,
+        RATING_BEAM_WIDTHS,
+        DIFFICULTY_LABELS,
+        iconBagSize,
+        generateMask,
+        generateLayout,
+        rateLevel,
+        generateLevel
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LevelGenerator;
+    } else {
+        global.LevelGenerator = LevelGenerator;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,323 @@
+// Level Definitions
+// Declarative level documents (format version 1), built by level-builder.js
+//
+// Schema:
+//   version      - level format version (LevelBuilder.LEVEL_FORMAT_VERSION)
+//   id, name     - stable identifier and caption shown above the board
+//   layout       - gap: {x, y} px between grid cells (default 0)
+//                  origin: {x, y} each 'center' (whole MAIN stack), 'center-top-layer' or a px offset
+//   main.layers  - bottom to top; mask rows use '#' for a tile and '.' for empty, or a special
+//                  tile: 'L' locked, 'F' frozen, 'W' wildcard, 'B' bomb (see tile-kinds.js)
+//                  unlockAfter: matches the layer's locked tiles wait for (default 1)
+//                  shift: {sx, sy} layer offset in tile units
+//                  tileShiftX: {type: 'mirrored-split', center, amount} per-tile X shift
+//   substacks    - {region, slotPrefix, x, y, depth, spread: {dx, dy}} single-column piles,
+//                  x/y in grid cells, spread in px per layer
+//   icons        - kinds (icons drawn from ALL_ICONS, default all) × copies, one per tile but wildcards
+//   rules        - optional rules preset name or overrides (see rules.js), e.g. objectives:
+//                  {timeLimit: 120, moveLimit: 60, goals: [{icon: '🍎', count: 6}]}; goal icons are always dealt
+//   solver       - optional beam search budget {maxTries, beamWidth, maxExpansions, maxDepth, maxTools}
+//                  maxTools: how many of Remove/Shuffle a winning line may spend (default 0)
+//                  exact: true certifies with the exhaustive solver {maxTries, maxNodes, timeLimitMs}
+//                  with rules.faceDown beamWidth/maxExpansions bound each look-ahead {lookaheadDepth}
+//   expect       - optional sanity checks {layerCounts, totalSlots}
+
+(function (global) {
+    'use strict';
+
+    const SUBSTACK_SPREAD = 2; // px per layer
+
+    // Four substacks around the MAIN grid, shared by Levels 2 and 3
+    function substacks(depth) {
+        return [
+            { region: 'SUB_LEFT', slotPrefix: 'sub_left', x: -1, y: 7.5, depth, spread: { dx: SUBSTACK_SPREAD, dy: 0 } },
+            { region: 'SUB_RIGHT', slotPrefix: 'sub_right', x: 7, y: 7.5, depth, spread: { dx: -SUBSTACK_SPREAD, dy: 0 } },
+            { region: 'SUB_LEFT_SIDE', slotPrefix: 'sub_left_side', x: -1, y: 3, depth, spread: { dx: 0, dy: SUBSTACK_SPREAD } },
+            { region: 'SUB_RIGHT_SIDE', slotPrefix: 'sub_right_side', x: 7, y: 3, depth, spread: { dx: 0, dy: SUBSTACK_SPREAD } }
+        ];
+    }
+
+    const MIRRORED_SPLIT = { type: 'mirrored-split', center: 3, amount: 0.5 };
+
+    const LEVELS = [
+        {
+            version: 1,
+            id: 'level-1',
+            name: 'Level 1',
+            layout: {
+                gap: { x: 18, y: 18 },
+                origin: { x: 'center', y: 'center' }
+            },
+            main: {
+                layers: [
+                    { mask: ['###', '###', '###'] },
+                    { mask: ['###', '###', '###'], shift: { sx: 0, sy: 0.25 } }
+                ]
+            },
+            icons: { kinds: 3, copies: 6 },
+            solver: { maxTries: 50, exact: true, maxNodes: 20000 },
+            expect: { totalSlots: 18 }
+        },
+        {
+            version: 1,
+            id: 'level-2',
+            name: 'Level 2',
+            layout: {
+                // Top layer keeps shiftX = 0 so the stack centers stably
+                origin: { x: 'center-top-layer', y: 80 }
+            },
+            main: {
+                // Fixed 6-layer woven blueprint: only 0 or ±0.5 shifts, X shifts only on z3/z4
+                layers: [
+                    {
+                        mask: [
+                            '..###..',
+                            '.#####.',
+                            '#######',
+                            '#######',
+                            '#######',
+                            '.#####.',
+                            '..###..'
+                        ]
+                    },
+                    {
+                        mask: [
+                            '...#...',
+                            '..###..',
+                            '.#####.',
+                            '#######',
+                            '.#####.',
+                            '..###..',
+                            '...#...'
+                        ],
+                        shift: { sx: 0, sy: 0.5 }
+                    },
+                    {
+                        mask: [
+                            '..###..',
+                            '..###..',
+                            '.#.#.#.',
+                            '.##.#..',
+                            '.#.#.#.',
+                            '..###..',
+                            '..###..'
+                        ],
+                        shift: { sx: 0, sy: -0.5 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..###..',
+                            '..#.#..',
+                            '.#...#.',
+                            '..#.#..',
+                            '..###..',
+                            '.......'
+                        ],
+                        shift: { sx: 0.5, sy: 0 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..#.#..',
+                            '..###..',
+                            '.#...#.',
+                            '..###..',
+                            '..#.#..',
+                            '.......'
+                        ],
+                        shift: { sx: -0.5, sy: 0 }
+                    },
+                    {
+                        mask: [
+                            '##.#.##',
+                            '#..#..#',
+                            '..###..',
+                            '#..#..#',
+                            '..###..',
+                            '#..#..#',
+                            '##.#.##'
+                        ],
+                        shift: { sx: 0, sy: 0.5 }
+                    }
+                ]
+            },
+            substacks: substacks(12),
+            icons: { copies: 12 },
+            solver: { maxTries: 50, beamWidth: 100, maxExpansions: 3000, maxDepth: 150, maxTools: 2 },
+            expect: { totalSlots: 180 }
+        },
+        {
+            version: 1,
+            id: 'level-3',
+            name: 'Level 3',
+            layout: {
+                origin: { x: 'center-top-layer', y: 80 }
+            },
+            main: {
+                // 12-layer blueprint: no layer X shifts; odd layers z1..z9 use the mirrored split
+                layers: [
+                    {
+                        mask: [
+                            '.......',
+                            '...#...',
+                            '.#...#.',
+                            '..###..',
+                            '.#####.',
+                            '#######',
+                            '.......'
+                        ]
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..#.#..',
+                            '##...##',
+                            '###.###',
+                            '##...##',
+                            '.......',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: -1 },
+                        tileShiftX: MIRRORED_SPLIT
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..#.#..',
+                            '##...##',
+                            '.#####.',
+                            '#######',
+                            '.......',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: -0.5 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '.......',
+                            '..#.#..',
+                            '##...##',
+                            '###.###',
+                            '##...##',
+                            '.......'
+                        ],
+                        tileShiftX: MIRRORED_SPLIT
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '...#...',
+                            '..###..',
+                            '.#####.',
+                            '##...##',
+                            '.#####.',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: 0.5 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '.......',
+                            '..#.#..',
+                            '##...##',
+                            '###.###',
+                            '##...##',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: 1 },
+                        tileShiftX: MIRRORED_SPLIT
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..###..',
+                            '.#####.',
+                            '#######',
+                            '..###..',
+                            '.......',
+                            '.......'
+                        ]
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..#.#..',
+                            '###.###',
+                            '.......',
+                            '###.###',
+                            '..#.#..',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: -1 },
+                        tileShiftX: MIRRORED_SPLIT
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '##...##',
+                            '.#####.',
+                            '..###..',
+                            '.#####.',
+                            '...#...',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: -0.5 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '..#.#..',
+                            '##...##',
+                            '##...##',
+                            '###.###',
+                            '.......',
+                            '.......'
+                        ],
+                        tileShiftX: MIRRORED_SPLIT
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '...#...',
+                            '..###..',
+                            '.#####.',
+                            '#######',
+                            '.......',
+                            '.......'
+                        ],
+                        shift: { sx: 0, sy: 0.5 }
+                    },
+                    {
+                        mask: [
+                            '.......',
+                            '#######',
+                            '#######',
+                            '.......',
+                            '..###..',
+                            '..###..',
+                            '.......'
+                        ]
+                    }
+                ]
+            },
+            substacks: substacks(16),
+            icons: { copies: 18 },
+            solver: { maxTries: 50, beamWidth: 100, maxExpansions: 3000, maxDepth: 150, maxTools: 2 },
+            expect: {
+                layerCounts: [18, 16, 18, 16, 18, 16, 18, 16, 18, 16, 16, 20],
+                totalSlots: 270
+            }
+        }
+    ];
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LEVELS;
+    } else {
+        global.LEVELS = LEVELS;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,160 @@
+// Replays
+// Exportable recordings of one level (built from the engine's move log) and a headless player
+//
+// Format (version 1):
+//   version    - REPLAY_VERSION
+//   recordedAt - ms timestamp of the export
+//   gameSeed   - seed of the game the level belongs to
+//   levelId    - id of the level document in LEVELS
+//   levelDoc   - the level document itself, for generated (endless) levels that are not in LEVELS
+//   levelSeed  - seed the level was dealt and shuffled with
+//   icons      - icon per tile id as dealt (the level is rebuilt without running the solver)
+//   practice   - true for a practice game (unlimited Undo); missing otherwise
+//   startedAt  - ms timestamp of the level start (shifted by the time a resumed game was closed);
+//                move times are relative to it
+//   outcome    - null (in progress) | 'won' | 'lost'
+//   moves      - engine.getMoveLog(): { type, t, tileId?, tileIds?, tool?, seed? }
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackEngine = isNode ? require('./engine.js') : global.OverstackEngine;
+    const OverstackTools = isNode ? require('./tools.js') : global.OverstackTools;
+
+    const REPLAY_VERSION = 1;
+    const MOVE_TYPES = ['pick', 'undo', 'redo', 'time-up'].concat(OverstackTools.TOOLS.map(tool => tool.name));
+
+    /**
+     * Record the level an engine is playing.
+     * @param {object} engine - OverstackEngine instance
+     * @param {{ gameSeed: string, levelId: string, levelDoc?: object|null, levelSeed: string, icons: string[], practice?: boolean }} info
+     * @returns {object} replay (see format above)
+     */
+    function createReplay(engine, info) {
+        return {
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            gameSeed: info.gameSeed,
+            levelId: info.levelId,
+            ...(info.levelDoc ? { levelDoc: info.levelDoc } : {}),
+            levelSeed: info.levelSeed,
+            icons: [...info.icons],
+            ...(info.practice ? { practice: true } : {}),
+            startedAt: engine.getStartedAt(),
+            outcome: engine.getState().outcome,
+            moves: engine.getMoveLog()
+        };
+    }
+
+    /**
+     * Parse replay JSON (or pass an object through) and check its shape.
+     * @throws {Error} when the replay is malformed or from a newer version
+     */
+    function parseReplay(source) {
+        const replay = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+        if (typeof replay.levelId !== 'string' || !Array.isArray(replay.icons) || !Array.isArray(replay.moves)) {
+            throw new Error('Replay is missing levelId, icons or moves');
+        }
+        if (replay.levelDoc !== undefined && (typeof replay.levelDoc !== 'object' || replay.levelDoc === null)) {
+            throw new Error('Replay levelDoc must be a level document');
+        }
+        replay.moves.forEach((move, i) => {
+            if (!MOVE_TYPES.includes(move.type)) {
+                throw new Error(`Replay move ${i + 1} has unknown type "${move.type}"`);
+            }
+        });
+        return replay;
+    }
+
+    /**
+     * Apply one recorded move to an engine. Hints are not searched again: the recorded hint spends
+     * its charge and points (see the hint tool in tools.js).
+     * @returns {boolean} false when the move is not legal in the engine's position
+     */
+    function applyMove(engine, move) {
+        switch (move.type) {
+            case 'pick': return !!engine.pick(move.tileId);
+            case 'undo': return engine.undo();
+            case 'redo': return !!engine.redo();
+            case 'time-up': return engine.timeUp();
+            default: return engine.useTool(move.type, move) !== null;
+        }
+    }
+
+    /**
+     * Headless replay player. Every seek rebuilds the position from the start, so stepping
+     * backwards and scrubbing are exact. The engine runs on the recorded move times, so a timed
+     * level only runs out where the recording did.
+     * @param {object} replay - parseReplay() result
+     * @param {object} level - the level rebuilt from the replay (LevelBuilder.buildLevelWithIcons)
+     * @param {object} [engineOptions] - createEngine options (tileSize, removedSlots, ...)
+     */
+    function createReplayPlayer(replay, level, engineOptions = {}) {
+        let engine = null;
+        let position = 0;
+
+        /**
+         * Show the position after the first `n` moves.
+         * @returns {object} the engine at that position (a new instance per seek)
+         * @throws {Error} when a recorded move does not apply (replay of a different deal)
+         */
+        function seek(n) {
+            const target = Math.max(0, Math.min(replay.moves.length, n));
+            let clock = 0;
+            const next = OverstackEngine.createEngine(level, Object.assign({}, engineOptions, {
+                seed: replay.levelSeed,
+                practice: replay.practice === true,
+                now: () => clock
+            }));
+            for (let i = 0; i < target; i++) {
+                clock = Math.max(clock, replay.moves[i].t || 0);
+                if (!applyMove(next, replay.moves[i])) {
+                    throw new Error(`Replay move ${i + 1} (${replay.moves[i].type}) does not apply to this level`);
+                }
+            }
+            engine = next;
+            position = target;
+            return engine;
+        }
+
+        // Real time between move `i - 1` and move `i` (0 for the first move)
+        function gapBefore(i) {
+            if (i <= 0 || i >= replay.moves.length) return 0;
+            return replay.moves[i].t - replay.moves[i - 1].t;
+        }
+
+        seek(0);
+
+        return {
+            seek,
+            step: () => seek(position + 1),
+            back: () => seek(position - 1),
+            gapBefore,
+            getEngine: () => engine,
+            getPosition: () => position,
+            getLength: () => replay.moves.length,
+            // The move that led to the current position (null at the start)
+            getLastMove: () => (position > 0 ? replay.moves[position - 1] : null)
+        };
+    }
+
+    const OverstackReplay = {
+        REPLAY_VERSION,
+        createReplay,
+        parseReplay,
+        applyMove,
+        createReplayPlayer
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackReplay;
+    } else {
+        global.OverstackReplay = OverstackReplay;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,90 @@
+// Seeded Random Number Generator
+// Deterministic PRNG so boards, shuffles and replays can be reproduced from a seed
+
+(function (global) {
+    'use strict';
+
+    const SEED_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // No look-alike characters
+    const SEED_LENGTH = 6;
+
+    /**
+     * Hash any seed (string or number) to a 32-bit unsigned integer (FNV-1a).
+     * @param {string|number} seed
+     * @returns {number}
+     */
+    function hashSeed(seed) {
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Derive an independent sub-seed, e.g. one per level or per shuffle.
+     * @param {string|number} seed
+     * @param {string|number} label
+     * @returns {string}
+     */
+    function deriveSeed(seed, label) {
+        return `${seed}:${label}`;
+    }
+
+    /**
+     * Create a seeded generator (mulberry32).
+     * @param {string|number} seed
+     * @returns {{ seed: string|number, next: function(): number, int: function(number): number, shuffle: function(Array): Array }}
+     */
+    function createRng(seed) {
+        let state = hashSeed(seed);
+
+        // Uniform float in [0, 1)
+        function next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Uniform integer in [0, n)
+        function int(n) {
+            return Math.floor(next() * n);
+        }
+
+        // Fisher-Yates shuffle in place
+        function shuffle(array) {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = int(i + 1);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+
+        return { seed, next, int, shuffle };
+    }
+
+    /**
+     * Fresh human-friendly seed for a new game (the only non-deterministic entry point).
+     * @returns {string}
+     */
+    function randomSeed() {
+        let seed = '';
+        for (let i = 0; i < SEED_LENGTH; i++) {
+            seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+        }
+        return seed;
+    }
+
+    const OverstackRng = { createRng, deriveSeed, hashSeed, randomSeed };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackRng;
+    } else {
+        global.OverstackRng = OverstackRng;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,167 @@
+// Game Rules
+// The rule set a level is played with: tray capacity, match size, tool charges, when the
+// tray loses and the level's objectives. The engine, the tray UI and the solver all read it, so variants need no code
+// changes: a level document (or generator params) sets `rules` to a preset name or overrides.
+//
+// Rules:
+//   traySize  - tray slots
+//   matchSize - same icons that clear together (3 or 4); icon copies must be a multiple of it
+//   tools     - charges per level: { undo, remove, shuffle, swap, magnet, peek, hint } (see tools.js)
+//   lose      - 'tray-full': lose as soon as the tray is full (after matches clear)
+//               'tray-overflow': a full tray is still alive; lose when a picked tile does not fit
+//   faceDown  - blocked tiles lie face down (icon hidden) until they become clickable; the solver
+//               then only plans with what a player can see (partialInfoSolve in solver.js)
+//   timeLimit - seconds to finish the level in, 0 for no limit; the level is lost when it runs out
+//   moveLimit - picks the level allows (Undo does not give a pick back), 0 for no limit; the level
+//               is lost when they are used up and it is not won
+//   goals     - [{ icon, count }]: the level is won once `count` tiles of each `icon` are cleared,
+//               instead of when the board is empty (clearing the board first loses it)
+// The solver plays for an empty board and ignores the objectives.
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+
+    const DEFAULT_RULES = {
+        traySize: 7,
+        matchSize: 3,
+        tools: { undo: 1, remove: 1, shuffle: 1, swap: 1, magnet: 1, peek: 1, hint: 3 },
+        lose: 'tray-full',
+        faceDown: false,
+        timeLimit: 0,
+        moveLimit: 0,
+        goals: []
+    };
+
+    // Named variants; a level's `rules` can be one of these names or { preset, ...overrides }
+    const RULE_PRESETS = {
+        classic: {},
+        easy: { lose: 'tray-overflow', tools: { undo: 3, remove: 2, shuffle: 2, swap: 2, magnet: 2, peek: 3, hint: 5 } },
+        hard: { traySize: 6, tools: { undo: 0, remove: 1, shuffle: 0, swap: 0, magnet: 0, peek: 1, hint: 1 } },
+        quads: { traySize: 8, matchSize: 4 }
+    };
+
+    const MATCH_SIZES = [3, 4];
+    const LOSE_CONDITIONS = ['tray-full', 'tray-overflow'];
+    // Why a level was lost: a lose condition, or an objective it failed
+    const LOSE_REASONS = [...LOSE_CONDITIONS, 'time-up', 'out-of-moves', 'goals-missed'];
+    const TOOL_NAMES = Object.keys(DEFAULT_RULES.tools);
+
+    /**
+     * Full rules from a preset name or overrides (missing values come from the preset, then the defaults).
+     * @param {string|object} [spec] - e.g. 'easy', { traySize: 6 }, { preset: 'quads', tools: { hint: 0 } },
+     *   { timeLimit: 120, goals: [{ icon: '🍎', count: 6 }] }
+     * @returns {{ traySize: number, matchSize: number, tools: { undo: number, remove: number, shuffle: number, swap: number, magnet: number, peek: number, hint: number }, lose: string, faceDown: boolean, timeLimit: number, moveLimit: number, goals: Array<{icon: string, count: number}> }}
+     * @throws {Error} on an unknown preset or a value the engine cannot play
+     */
+    function resolveRules(spec) {
+        const overrides = typeof spec === 'string' ? { preset: spec } : (spec || {});
+        const presetName = overrides.preset || 'classic';
+        const preset = RULE_PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`Unknown rules preset "${presetName}"`);
+        }
+
+        const rules = {
+            traySize: pick('traySize', overrides, preset),
+            matchSize: pick('matchSize', overrides, preset),
+            tools: Object.assign({}, DEFAULT_RULES.tools, preset.tools, overrides.tools),
+            lose: pick('lose', overrides, preset),
+            faceDown: pick('faceDown', overrides, preset),
+            timeLimit: pick('timeLimit', overrides, preset),
+            moveLimit: pick('moveLimit', overrides, preset),
+            goals: pick('goals', overrides, preset)
+        };
+        validateRules(rules);
+        return rules;
+    }
+
+    function pick(key, overrides, preset) {
+        if (overrides[key] !== undefined) return overrides[key];
+        return preset[key] !== undefined ? preset[key] : DEFAULT_RULES[key];
+    }
+
+    function validateRules(rules) {
+        if (!MATCH_SIZES.includes(rules.matchSize)) {
+            throw new Error(`Rules matchSize must be one of ${MATCH_SIZES.join(', ')}, got ${rules.matchSize}`);
+        }
+        // The tray must hold a full match, plus one tile when it loses as soon as it is full
+        const minTray = rules.lose === 'tray-full' ? rules.matchSize : rules.matchSize - 1;
+        if (!Number.isInteger(rules.traySize) || rules.traySize < minTray) {
+            throw new Error(`Rules traySize must be an integer of at least ${minTray}, got ${rules.traySize}`);
+        }
+        if (!LOSE_CONDITIONS.includes(rules.lose)) {
+            throw new Error(`Rules lose must be one of ${LOSE_CONDITIONS.join(', ')}, got "${rules.lose}"`);
+        }
+        if (typeof rules.faceDown !== 'boolean') {
+            throw new Error(`Rules faceDown must be true or false, got ${rules.faceDown}`);
+        }
+        if (typeof rules.timeLimit !== 'number' || !(rules.timeLimit >= 0)) {
+            throw new Error(`Rules timeLimit must be a number of seconds (0 for none), got ${rules.timeLimit}`);
+        }
+        if (!Number.isInteger(rules.moveLimit) || rules.moveLimit < 0) {
+            throw new Error(`Rules moveLimit must be a whole number (0 for none), got ${rules.moveLimit}`);
+        }
+        if (!Array.isArray(rules.goals)) {
+            throw new Error('Rules goals must be a list of { icon, count }');
+        }
+        rules.goals.forEach(goal => {
+            if (!goal || typeof goal.icon !== 'string' || !goal.icon) {
+                throw new Error('Rules goals need an icon each');
+            }
+            if (!Number.isInteger(goal.count) || goal.count < 1) {
+                throw new Error(`Rules goal "${goal.icon}" needs a count of at least 1, got ${goal.count}`);
+            }
+        });
+        if (new Set(rules.goals.map(goal => goal.icon)).size < rules.goals.length) {
+            throw new Error('Rules goals list an icon more than once');
+        }
+        Object.keys(rules.tools).forEach(tool => {
+            if (!TOOL_NAMES.includes(tool)) {
+                throw new Error(`Rules has unknown tool "${tool}"`);
+            }
+            const charges = rules.tools[tool];
+            if (!Number.isInteger(charges) || charges < 0) {
+                throw new Error(`Rules tool "${tool}" needs a whole number of charges, got ${charges}`);
+            }
+        });
+    }
+
+    /**
+     * Whether a tray of `trayLength` tiles (matches already cleared) loses.
+     * @param {object} rules - resolveRules() result (only traySize and lose are read)
+     */
+    function isTrayLost(rules, trayLength) {
+        return rules.lose === 'tray-overflow' ? trayLength > rules.traySize : trayLength >= rules.traySize;
+    }
+
+    /**
+     * Seed of the next Shuffle after one with `seed`. The first Shuffle of a level uses
+     * deriveSeed(levelSeed, 'shuffle'); with more charges each later one chains from it,
+     * so the engine and the solver agree on every permutation.
+     */
+    function nextShuffleSeed(seed) {
+        return OverstackRng.deriveSeed(seed, 'next');
+    }
+
+    const OverstackRules = {
+        DEFAULT_RULES,
+        RULE_PRESETS,
+        MATCH_SIZES,
+        LOSE_CONDITIONS,
+        LOSE_REASONS,
+        resolveRules,
+        isTrayLost,
+        nextShuffleSeed
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackRules;
+    } else {
+        global.OverstackRules = OverstackRules;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,221 @@
+// Saved Game
+// Persists the game in progress to localStorage so a refresh can resume it, and holds the
+// localStorage helpers the other stored modules share (high scores, daily challenge, audio)
+//
+// Format (version 4):
+//   version      - SAVE_VERSION; older saves are migrated on load, newer ones ignored
+//   savedAt      - ms timestamp
+//   gameSeed     - seed of the game (every level derives from it)
+//   currentLevel - 1-based index into LEVELS; past its end it counts endless stages (see endless.js)
+//   levelId      - id of that level document (a save for a removed level is ignored)
+//   levelDoc     - the generated document of a dealt endless board, otherwise null
+//   runScore     - points from the levels already cleared in this run
+//   runStats     - run totals for the run summary (OverstackEndless.createRunStats)
+//   practice     - true in a practice game (unlimited Undo, no high scores); missing in older saves
+//   icons        - icon per tile id as dealt, so resuming skips the solver
+//   engine       - engine.serialize() of the level in progress, or null when the
+//                  level has not been dealt yet (e.g. right after clearing the previous one)
+//
+// Versions of the engine state:
+//   1 - toolsUsed flags and hintsLeft; undo history of picks only; no move log or score before replays
+//   2 - toolCharges and nextShuffleSeed (rule variants)
+//   3 - undo history of picks and tools with their tile snapshots, and redoMoves (Undo and Redo)
+//   4 - loseReason, picksMade and elapsed play time instead of startedAt (objectives)
+// Versions 2 to 4 were written as version 1 until the number was kept up, so a version 1 save
+// is first told apart by its fields (see writtenVersion)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+    const OverstackRules = isNode ? require('./rules.js') : global.OverstackRules;
+
+    const SAVE_VERSION = 4;
+    const STORAGE_KEY = 'overstack.save';
+
+    // Upgrade steps keyed by the version they upgrade from: MIGRATIONS[1] turns a v1 save into v2.
+    // Each gets the seed the level was dealt with (see migrate)
+    const MIGRATIONS = {
+        1: (save, levelSeed) => upgradeEngine(save, 2, engine => {
+            // Classic rules: one Undo, Remove and Shuffle; a used Shuffle moved the seed chain on
+            const firstShuffleSeed = OverstackRng.deriveSeed(levelSeed, 'shuffle');
+            const upgraded = Object.assign({}, engine, {
+                toolCharges: {
+                    undo: engine.toolsUsed.undo ? 0 : 1,
+                    remove: engine.toolsUsed.remove ? 0 : 1,
+                    shuffle: engine.toolsUsed.shuffle ? 0 : 1,
+                    hint: engine.hintsLeft
+                },
+                nextShuffleSeed: engine.toolsUsed.shuffle ? OverstackRules.nextShuffleSeed(firstShuffleSeed) : firstShuffleSeed,
+                moveLog: engine.moveLog || [],
+                score: engine.score || {} // Filled in by the score keeper
+            });
+            delete upgraded.toolsUsed;
+            delete upgraded.hintsLeft;
+            return upgraded;
+        }),
+        2: (save) => upgradeEngine(save, 3, engine => {
+            // Pick entries get the tile snapshots Undo restores: the picked tile's slot, and the tray
+            const slotIds = new Map(engine.tiles.map(tile => [tile.id, tile.slotId]));
+            return Object.assign({}, engine, {
+                undoHistory: engine.undoHistory.map(move => ({
+                    type: 'pick',
+                    tileId: move.tileId,
+                    tilesBefore: [
+                        { id: move.tileId, location: 'BOARD', slotId: move.fromSlotId },
+                        ...move.trayBefore.map(id => ({ id, location: 'TRAY', slotId: slotIds.get(id) }))
+                    ],
+                    trayBefore: [...move.trayBefore],
+                    scoreBefore: move.scoreBefore
+                })),
+                redoMoves: []
+            });
+        }),
+        3: (save) => upgradeEngine(save, 4, engine => {
+            const moveLog = engine.moveLog;
+            const upgraded = Object.assign({}, engine, {
+                // The game never resumes a finished level (isResumable), so the classic condition stands in
+                loseReason: engine.outcome === 'lost' ? (engine.loseReason || OverstackRules.DEFAULT_RULES.lose) : null,
+                picksMade: engine.undoHistory.filter(move => move.type === 'pick').length,
+                // Saved after every move: the play time is that of the last one
+                elapsed: moveLog.length > 0 ? moveLog[moveLog.length - 1].t : 0
+            });
+            delete upgraded.startedAt;
+            return upgraded;
+        })
+    };
+
+    // A migration step that only changes the engine state (null before the level is dealt)
+    function upgradeEngine(save, version, upgrade) {
+        return Object.assign({}, save, { version, engine: save.engine ? upgrade(save.engine) : null });
+    }
+
+    // The engine format of a save marked version 1 (see the versions above)
+    function writtenVersion(save) {
+        const engine = save.engine;
+        if (!engine) return SAVE_VERSION; // Not dealt yet: nothing to upgrade
+        if (engine.picksMade !== undefined) return 4;
+        if (engine.redoMoves) return 3;
+        return engine.toolCharges ? 2 : 1;
+    }
+
+    // localStorage can be missing or throw (private browsing, storage disabled)
+    function getStorage() {
+        try {
+            return global.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parsed JSON stored under `key`.
+     * @param {string} key
+     * @param {string} [label] - what is stored, to warn about an entry that does not parse
+     * @returns {*} null when storage is unavailable, nothing is stored or it does not parse
+     */
+    function readStorage(key, label) {
+        const storage = getStorage();
+        if (!storage) return null;
+        try {
+            const text = storage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            if (label) {
+                console.warn(`Ignoring unreadable ${label}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store `value` as JSON under `key`.
+     * @param {string} key
+     * @param {*} value
+     * @param {string} label - what is stored, for the warning when the browser refuses (e.g. quota)
+     * @returns {boolean} whether it was stored
+     */
+    function writeStorage(key, value, label) {
+        const storage = getStorage();
+        if (!storage) return false;
+        try {
+            storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Could not save ${label}:`, error.message);
+            return false;
+        }
+    }
+
+    function removeStorage(key) {
+        const storage = getStorage();
+        if (!storage) return;
+        try {
+            storage.removeItem(key);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+
+    /**
+     * Bring a parsed save up to SAVE_VERSION. Also used for the daily attempt, which keeps its
+     * engine state in the same format.
+     * @param {object} data - { version, engine, ... }
+     * @param {string|number} [levelSeed] - seed the level was dealt with; by default the saved game's
+     *   (derived from gameSeed and levelId, as for hand-made levels and endless stages)
+     * @returns {object|null} null when the save cannot be used
+     */
+    function migrate(data, levelSeed) {
+        if (!data || typeof data.version !== 'number' || data.version > SAVE_VERSION) {
+            return null;
+        }
+        const seed = levelSeed !== undefined ? levelSeed : OverstackRng.deriveSeed(data.gameSeed, data.levelId);
+        let migrated = data.version === 1 ? Object.assign({}, data, { version: writtenVersion(data) }) : data;
+        try {
+            while (migrated.version < SAVE_VERSION) {
+                const step = MIGRATIONS[migrated.version];
+                if (!step) return null;
+                migrated = step(migrated, seed);
+            }
+        } catch (error) {
+            console.warn('Ignoring a save that could not be upgraded:', error.message);
+            return null;
+        }
+        return migrated;
+    }
+
+    /**
+     * Read the saved game.
+     * @returns {object|null} the save (see format above), or null if there is none or it is unusable
+     */
+    function load() {
+        const data = readStorage(STORAGE_KEY, 'saved game');
+        return data ? migrate(data) : null;
+    }
+
+    /**
+     * Write the saved game (version and timestamp are added here).
+     * @param {{ gameSeed: string, currentLevel: number, levelId: string, levelDoc: object|null, runScore: number,
+     *           runStats: object, icons: string[]|null, engine: object|null }} data
+     * @returns {boolean} whether it was stored
+     */
+    function write(data) {
+        return writeStorage(STORAGE_KEY, Object.assign({ version: SAVE_VERSION, savedAt: Date.now() }, data), 'the game');
+    }
+
+    // Forget the saved game
+    function clear() {
+        removeStorage(STORAGE_KEY);
+    }
+
+    const OverstackSave = { SAVE_VERSION, STORAGE_KEY, load, write, clear, migrate, readStorage, writeStorage, removeStorage };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackSave;
+    } else {
+        global.OverstackSave = OverstackSave;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,103 @@
+// Scoring
+// Points for a level: triples cleared, combo bonus for quick matches, time bonus on a win,
+// penalty per tool used. The engine keeps one score keeper per level (see engine.js)
+
+(function (global) {
+    'use strict';
+
+    const SCORE_RULES = {
+        triple: 100, // Per triple cleared
+        comboWindowMs: 4000, // A triple within this time of the previous one extends the combo
+        comboBonus: 50, // Per combo step: the 2nd quick triple earns +50, the 3rd +100, ...
+        parMsPerTile: 2500, // Time bonus for finishing under par (tile count × this)
+        timeBonusPerSecond: 5, // Points per second under par
+        toolPenalty: { undo: 50, remove: 150, shuffle: 100, swap: 100, magnet: 150, peek: 50, hint: 75 }
+    };
+
+    function emptyScore() {
+        return {
+            triples: 0,
+            triplePoints: 0,
+            combo: 0,
+            bestCombo: 0,
+            comboPoints: 0,
+            lastTripleAt: null,
+            toolsUsed: 0,
+            toolPenalty: 0,
+            timeBonus: 0
+        };
+    }
+
+    /**
+     * Create a score keeper for one level.
+     * @param {object} [rules] - Overrides for SCORE_RULES
+     */
+    function createScoreKeeper(rules) {
+        const r = Object.assign({}, SCORE_RULES, rules);
+        let state = emptyScore();
+
+        /**
+         * Count triples cleared at time `t` (ms since the level started).
+         */
+        function addTriples(count, t) {
+            for (let i = 0; i < count; i++) {
+                const quick = state.lastTripleAt !== null && t - state.lastTripleAt <= r.comboWindowMs;
+                state.combo = quick ? state.combo + 1 : 1;
+                state.bestCombo = Math.max(state.bestCombo, state.combo);
+                state.triples++;
+                state.triplePoints += r.triple;
+                state.comboPoints += r.comboBonus * (state.combo - 1);
+                state.lastTripleAt = t;
+            }
+        }
+
+        // Charge a tool use ('undo' or a tool in tools.js)
+        function addToolUse(tool) {
+            state.toolsUsed++;
+            state.toolPenalty += r.toolPenalty[tool] || 0;
+        }
+
+        // Level won after `elapsedMs` on a board of `tileCount` tiles
+        function addTimeBonus(elapsedMs, tileCount) {
+            const underPar = tileCount * r.parMsPerTile - elapsedMs;
+            state.timeBonus = Math.max(0, Math.round(underPar / 1000 * r.timeBonusPerSecond));
+        }
+
+        /**
+         * Current score with its breakdown. `total` never goes below zero.
+         */
+        function getScore() {
+            const total = state.triplePoints + state.comboPoints + state.timeBonus - state.toolPenalty;
+            return Object.assign({}, state, { total: Math.max(0, total) });
+        }
+
+        return {
+            addTriples,
+            addToolUse,
+            addTimeBonus,
+            getScore,
+            // Plain copy of the state, for undo and saved games
+            snapshot: () => Object.assign({}, state),
+            restore: (saved) => {
+                state = Object.assign(emptyScore(), saved);
+            },
+            // Undo: triples and combos go back to `saved`, tool penalties since then still count
+            rewindTriples: (saved) => {
+                state = Object.assign(emptyScore(), saved, {
+                    toolsUsed: state.toolsUsed,
+                    toolPenalty: state.toolPenalty
+                });
+            }
+        };
+    }
+
+    const OverstackScoring = { SCORE_RULES, createScoreKeeper };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackScoring;
+    } else {
+        global.OverstackScoring = OverstackScoring;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,218 @@
+// Solver Client
+// Promise API over solver-worker.js, with progress events and cancellation.
+// Falls back to the main thread where workers are unavailable (e.g. opened from file://)
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const LevelBuilderRef = isNode ? require('./level-builder.js') : global.LevelBuilder;
+    const isSolvableRef = isNode ? require('./solver.js').isSolvable : global.isSolvable;
+    const LevelGeneratorRef = isNode ? require('./level-generator.js') : global.LevelGenerator;
+    const OverstackBlockGraphRef = isNode ? require('./block-graph.js') : global.OverstackBlockGraph;
+
+    const DEFAULT_WORKER_URL = 'solver-worker.js';
+
+    // Rejection reason for cancelled requests (matches fetch's AbortError)
+    function abortError() {
+        const error = new Error('Solver request was cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Run a request on the main thread. Deferred by a tick so callers can paint
+     * their "generating" state first (and skipped if cancelled meanwhile).
+     */
+    function runOnMainThread(message, onProgress, signal) {
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+            if (signal && signal.aborted) throw abortError();
+            if (message.type === 'buildLevel') {
+                return LevelBuilderRef.buildLevel(message.doc, { ...message.options, onProgress });
+            }
+            if (message.type === 'generateLevel') {
+                return LevelGeneratorRef.generateLevel(message.params, { ...message.options, onProgress });
+            }
+            return isSolvableRef(
+                message.board,
+                null,
+                { ...message.params, blockGraph: OverstackBlockGraphRef.getBlockGraph(message.slots, message.tileSize) }
+            );
+        });
+    }
+
+    /**
+     * Create a solver client.
+     * @param {{ workerUrl?: string, useWorker?: boolean }} [options]
+     *   useWorker: false forces the main-thread fallback
+     * @returns {{ buildLevel: function, solve: function, terminate: function, usesWorker: function(): boolean }}
+     */
+    function createSolverClient(options = {}) {
+        const workerUrl = options.workerUrl || DEFAULT_WORKER_URL;
+        let useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+        let worker = null;
+        let workerReady = false; // Set once the worker has loaded its scripts
+        let nextId = 1;
+        const pending = new Map(); // id -> { message, resolve, reject, onProgress, signal }
+
+        function handleMessage(event) {
+            const response = event.data;
+            if (response.type === 'ready') {
+                workerReady = true;
+                return;
+            }
+            const job = pending.get(response.id);
+            if (!job) return; // Cancelled
+
+            if (response.type === 'progress') {
+                if (job.onProgress) job.onProgress(response.progress);
+                return;
+            }
+            pending.delete(response.id);
+            if (response.type === 'result') {
+                job.resolve(response.result);
+            } else {
+                job.reject(new Error(response.message));
+            }
+        }
+
+        // Worker failed to load (fall back to the main thread) or crashed (fail every job in flight)
+        function handleError(event) {
+            if (!workerReady) {
+                console.warn('Solver worker failed to load, solving on the main thread:', event.message);
+                useWorker = false;
+                stopWorker();
+                pending.forEach(job => {
+                    runOnMainThread(job.message, job.onProgress, job.signal).then(job.resolve, job.reject);
+                });
+                pending.clear();
+                return;
+            }
+            const error = new Error(`Solver worker failed: ${event.message || 'unknown error'}`);
+            pending.forEach(job => job.reject(error));
+            pending.clear();
+            stopWorker();
+        }
+
+        function startWorker() {
+            try {
+                worker = new Worker(workerUrl);
+            } catch (error) {
+                // Browsers refuse workers for file:// pages
+                console.warn('Solver worker unavailable, solving on the main thread:', error.message);
+                useWorker = false;
+                return null;
+            }
+            worker.addEventListener('message', handleMessage);
+            worker.addEventListener('error', handleError);
+            return worker;
+        }
+
+        function stopWorker() {
+            if (worker) {
+                worker.terminate();
+                worker = null;
+                workerReady = false;
+            }
+        }
+
+        // A running search cannot be interrupted, so cancelling restarts the worker
+        // and resends the requests that are still wanted
+        function cancel(id) {
+            const job = pending.get(id);
+            if (!job) return;
+            pending.delete(id);
+            job.reject(abortError());
+
+            stopWorker();
+            if (pending.size > 0 && startWorker()) {
+                pending.forEach(other => worker.postMessage(other.message));
+            }
+        }
+
+        function request(message, { onProgress, signal } = {}) {
+            if (signal && signal.aborted) {
+                return Promise.reject(abortError());
+            }
+            if (useWorker && (worker || startWorker())) {
+                const id = nextId++;
+                const promise = new Promise((resolve, reject) => {
+                    pending.set(id, { message: { ...message, id }, resolve, reject, onProgress, signal });
+                });
+                if (signal) {
+                    signal.addEventListener('abort', () => cancel(id), { once: true });
+                }
+                worker.postMessage({ ...message, id });
+                return promise;
+            }
+
+            // Main thread: cancellation only drops the result
+            return runOnMainThread(message, onProgress, signal).then(result => {
+                if (signal && signal.aborted) throw abortError();
+                return result;
+            });
+        }
+
+        /**
+         * Build a level (see LevelBuilder.buildLevel) off the main thread.
+         * @param {object} doc - Level document
+         * @param {object} buildOptions - Plain data only (no isSolvable override)
+         * @param {{ onProgress?: function({tryNum, maxTries, solvable}), signal?: AbortSignal }} [control]
+         * @returns {Promise<{ seed, slots, tiles }>} rejects with an AbortError when cancelled
+         */
+        function buildLevel(doc, buildOptions, control) {
+            const { onProgress, ...plainOptions } = buildOptions;
+            return request({ type: 'buildLevel', doc, options: plainOptions }, control);
+        }
+
+        /**
+         * Generate and rate a new level (see LevelGenerator.generateLevel) off the main thread.
+         * @param {object} params - generateLevel params (tileCount, layers, iconKinds, targetDifficulty, ...)
+         * @param {object} buildOptions - board size, tileSize, icons and seed (plain data only)
+         * @param {{ onProgress?: function({candidate, maxCandidates, difficulty}), signal?: AbortSignal }} [control]
+         * @returns {Promise<{ doc, seed, level, difficulty }>} rejects with an AbortError when cancelled
+         */
+        function generateLevel(params, buildOptions, control) {
+            const { onProgress, ...plainOptions } = buildOptions;
+            return request({ type: 'generateLevel', params, options: plainOptions }, control);
+        }
+
+        /**
+         * Run isSolvable off the main thread. Clickability comes from the level's slots.
+         * @param {number[]} board
+         * @param {object[]} slots
+         * @param {number} tileSize
+         * @param {object} params - isSolvable params
+         * @param {{ signal?: AbortSignal }} [control]
+         * @returns {Promise<object>} solver result
+         */
+        function solve(board, slots, tileSize, params, control) {
+            return request({ type: 'solve', board, slots, tileSize, params }, control);
+        }
+
+        // Cancel everything and release the worker
+        function terminate() {
+            pending.forEach(job => job.reject(abortError()));
+            pending.clear();
+            stopWorker();
+        }
+
+        return {
+            buildLevel,
+            generateLevel,
+            solve,
+            terminate,
+            usesWorker: () => useWorker
+        };
+    }
+
+    const OverstackSolverClient = { createSolverClient };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackSolverClient;
+    } else {
+        global.OverstackSolverClient = OverstackSolverClient;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
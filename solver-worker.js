@@ -0,0 +1,47 @@
+// Solver Worker
+// Runs level generation and solver searches off the main thread (see solver-client.js)
+//
+// Requests:  { id, type: 'buildLevel', doc, options }
+//            { id, type: 'generateLevel', params, options }
+//            { id, type: 'solve', board, slots, tileSize, params }
+// Responses: { type: 'ready' } once the scripts have loaded
+//            { id, type: 'progress', progress }
+//            { id, type: 'result', result }
+//            { id, type: 'error', message }
+
+importScripts('rng.js', 'block-graph.js', 'rules.js', 'tray.js', 'tile-kinds.js', 'solver.js', 'level-builder.js', 'level-generator.js');
+
+self.addEventListener('message', (event) => {
+    const request = event.data;
+    try {
+        let result;
+        if (request.type === 'buildLevel') {
+            result = LevelBuilder.buildLevel(request.doc, {
+                ...request.options,
+                onProgress: (progress) => {
+                    self.postMessage({ id: request.id, type: 'progress', progress });
+                }
+            });
+        } else if (request.type === 'generateLevel') {
+            result = LevelGenerator.generateLevel(request.params, {
+                ...request.options,
+                onProgress: (progress) => {
+                    self.postMessage({ id: request.id, type: 'progress', progress });
+                }
+            });
+        } else if (request.type === 'solve') {
+            result = isSolvable(
+                request.board,
+                null,
+                { ...request.params, blockGraph: OverstackBlockGraph.getBlockGraph(request.slots, request.tileSize) }
+            );
+        } else {
+            throw new Error(`Unknown solver worker request "${request.type}"`);
+        }
+        self.postMessage({ id: request.id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id: request.id, type: 'error', message: error.message });
+    }
+});
+
+self.postMessage({ type: 'ready' });
@@ -4,83 +4,80 @@
 (function (global) {
     'use strict';
 
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OverstackRng = isNode ? require('./rng.js') : global.OverstackRng;
+    const OverstackBlockGraph = isNode ? require('./block-graph.js') : global.OverstackBlockGraph;
+    const OverstackRules = isNode ? require('./rules.js') : global.OverstackRules;
+    const OverstackTray = isNode ? require('./tray.js') : global.OverstackTray;
+    const OverstackTileKinds = isNode ? require('./tile-kinds.js') : global.OverstackTileKinds;
+
     // Solver parameters
     const SOLVER_BEAM_WIDTH = 100;
     const SOLVER_MAX_EXPANSIONS = 5000;
     const SOLVER_MAX_DEPTH = 200;
+    const TOOL_PENALTY = 150; // Score cost of spending a tool (more than a triple clear)
 
-    /**
-     * Resolve tray triples (pure function, works with icon indices).
-     * @param {number[]} trayIconIndices
-     * @returns {{ tray: number[], clearedCount: number, clearedIcons: number[] }}
-     */
-    function resolveTrayTriples(trayIconIndices) {
-        const tray = [...trayIconIndices]; // Copy
-        let clearedCount = 0;
-        const clearedIcons = [];
-
-        let changed = true;
-        while (changed) {
-            changed = false;
-
-            // Count occurrences of each icon
-            const iconCounts = {};
-            tray.forEach((iconIdx, idx) => {
-                if (!iconCounts[iconIdx]) {
-                    iconCounts[iconIdx] = [];
-                }
-                iconCounts[iconIdx].push(idx);
-            });
+    // Partial-information search (face-down tiles): a short look-ahead before every move
+    const LOOKAHEAD_BEAM_WIDTH = 8;
+    const LOOKAHEAD_DEPTH = 6;
+    const FACE_DOWN_ICON = -2; // Face-down tile in slot i looks like icon FACE_DOWN_ICON - i (matches nothing)
 
-            // Find first icon with count >= 3
-            for (const iconIdx in iconCounts) {
-                if (Object.prototype.hasOwnProperty.call(iconCounts, iconIdx)) {
-                    if (iconCounts[iconIdx].length >= 3) {
-                        // Remove earliest 3 occurrences
-                        const indices = iconCounts[iconIdx]
-                            .slice(0, 3)
-                            .sort((a, b) => b - a);
-                        indices.forEach(idx => tray.splice(idx, 1));
-                        clearedCount += 3;
-                        clearedIcons.push(parseInt(iconIdx, 10));
-                        changed = true;
-                        break;
-                    }
-                }
-            }
-        }
+    // Exact solver budget
+    const EXACT_MAX_NODES = 2000000;
+    const EXACT_TIME_LIMIT_MS = 10000;
+    const EXACT_TIME_CHECK_INTERVAL = 1024; // Nodes between clock reads
 
-        return { tray, clearedCount, clearedIcons };
-    }
+    const NO_REMOVED = [-1, -1, -1]; // Three empty removed slots
+    const NO_TOOLS = {};
 
     /**
      * Hash function for state caching.
-     * Simple hash: board slots + tray contents.
+     * Simple hash: board slots + tray contents + removed slots + tool charges left + matches
+     * cleared (locked tiles open on them).
+     */
+    function hashState(board, tray, removed = NO_REMOVED, tools = NO_TOOLS, matches = 0) {
+        return board.join(',') + '|' + tray.join(',') + '|' + removed.join(',') +
+            '|' + (tools.remove || 0) + ',' + (tools.shuffle || 0) + '|' + matches;
+    }
+
+    /**
+     * Shuffle the occupied board slots the same way the game's Shuffle tool does:
+     * occupied slots in index order, permuted by a generator seeded with `seed`.
      */
-    function hashState(board, tray) {
-        return board.join(',') + '|' + tray.join(',');
+    function shuffleBoard(board, seed) {
+        const occupied = [];
+        board.forEach((iconIdx, slotIdx) => {
+            if (iconIdx !== -1) occupied.push(slotIdx);
+        });
+        const positions = OverstackRng.createRng(seed).shuffle([...occupied]);
+
+        const newBoard = new Array(board.length).fill(-1);
+        occupied.forEach((slotIdx, k) => {
+            newBoard[positions[k]] = board[slotIdx];
+        });
+        return newBoard;
     }
 
     /**
      * Heuristic scoring function for beam search.
      */
-    function scoreState(board, tray, prevTray, prevRemaining, newRemaining) {
+    function scoreState(board, tray, prevTray, prevRemaining, newRemaining, matchSize = 3) {
         let score = 0;
 
-        // Big reward for triple clears
+        // Big reward for match clears
         const cleared = prevTray.length - tray.length;
-        if (cleared >= 3) {
-            score += 100 * Math.floor(cleared / 3);
+        if (cleared >= matchSize) {
+            score += 100 * Math.floor(cleared / matchSize);
         }
 
-        // Reward for building pairs in tray
+        // Reward for building pairs in tray (and each further copy toward a larger match)
         const iconCounts = {};
         tray.forEach(iconIdx => {
             iconCounts[iconIdx] = (iconCounts[iconIdx] || 0) + 1;
         });
         Object.values(iconCounts).forEach(count => {
-            if (count === 2) {
-                score += 12;
+            if (count >= 2) {
+                score += 12 * (count - 1);
             }
         });
 
@@ -100,32 +97,196 @@
     }
 
     /**
-     * Beam search solver.
+     * Successor states of a node.
+     * Picks from clickable board slots and occupied removed slots, then tool actions:
+     * - Remove: first three tray tiles go to the empty removed slots
+     * - Shuffle: deterministic permutation of the board with the node's `shuffleSeed`
+     *   (each later Shuffle chains to OverstackRules.nextShuffleSeed, like the game's)
+     * Tools are expanded while the node has charges left; picks that lose under `ctx.rules` are pruned.
+     * Board cells carry their tile kind (OverstackTileKinds.encodeCell): locked cells wait for
+     * `node.matches`, a frozen cell's first pick only thaws it, a wildcard goes to the tray as
+     * OverstackTray.WILDCARD and a bomb empties its `ctx.neighbors` slots.
+     * Undo is never expanded: with full information it can only return to a state
+     * the search has already been through.
+     * With `ctx.blockGraph` clickability comes from the node's blocker counts, and a board pick
+     * only updates the counts of the slots the picked tile covered. Tools never change which
+     * slots are occupied (Shuffle permutes icons over the same slots), so they keep the counts.
+     * @returns {Array<{move: number|object, board: number[], tray: number[], removed: number[], blockers: Int16Array|null, matches: number, tools: object, shuffleSeed: string|number, toolsUsed: string[]}>}
      */
-    function beamSearchSolve(initialBoard, getClickableSlots, params = {}) {
-        const beamWidth = params.beamWidth || SOLVER_BEAM_WIDTH;
-        const maxExpansions = params.maxExpansions || SOLVER_MAX_EXPANSIONS;
-        const maxDepth = params.maxDepth || SOLVER_MAX_DEPTH;
+    function expandActions(node, getClickableSlots, ctx) {
+        const children = [];
+        const matchSize = ctx.rules.matchSize;
+        const canUseTool = node.toolsUsed.length < ctx.maxTools;
+
+        // Blocker counts after taking the tiles in `slotIndices`
+        const releasedBlockers = (slotIndices) => {
+            const blockers = node.blockers.slice();
+            slotIndices.forEach(slotIdx => OverstackBlockGraph.releaseSlot(ctx.blockGraph, blockers, slotIdx));
+            return blockers;
+        };
+
+        // `item` is what goes to the tray: an icon index, or WILDCARD; `taken` the board slots emptied
+        const addPick = (move, item, board, removed, taken) => {
+            const result = OverstackTray.addToTray(node.tray, item, matchSize);
 
+            // Check lose condition
+            if (OverstackRules.isTrayLost(ctx.rules, result.tray.length)) {
+                return; // Prune lost state
+            }
+            children.push({
+                move,
+                board,
+                tray: result.tray,
+                removed,
+                blockers: node.blockers && taken.length > 0 ? releasedBlockers(taken) : node.blockers,
+                matches: node.matches + result.cleared.length / matchSize,
+                tools: node.tools,
+                shuffleSeed: node.shuffleSeed,
+                toolsUsed: node.toolsUsed
+            });
+        };
+
+        // Pick a clickable board slot
+        const clickable = node.blockers
+            ? OverstackBlockGraph.getClickableSlots(node.board, node.blockers)
+            : getClickableSlots(node.board);
+        for (const slotIdx of clickable) {
+            const cell = node.board[slotIdx];
+            if (cell === -1) continue; // Already empty
+            const kind = OverstackTileKinds.cellKind(cell);
+            if (kind === 'locked' && node.matches < OverstackTileKinds.cellUnlockAfter(cell)) continue;
+
+            const newBoard = [...node.board];
+            if (kind === 'frozen') {
+                // Thaw: the tile stays, now plain; nothing reaches the tray
+                newBoard[slotIdx] = OverstackTileKinds.cellIcon(cell);
+                children.push({
+                    move: slotIdx,
+                    board: newBoard,
+                    tray: node.tray,
+                    removed: node.removed,
+                    blockers: node.blockers,
+                    matches: node.matches,
+                    tools: node.tools,
+                    shuffleSeed: node.shuffleSeed,
+                    toolsUsed: node.toolsUsed
+                });
+                continue;
+            }
+            const taken = [slotIdx];
+            newBoard[slotIdx] = -1;
+            if (kind === 'bomb') {
+                if (!ctx.neighbors) {
+                    throw new Error('A board with bomb tiles needs params.neighbors (OverstackTileKinds.getNeighbors)');
+                }
+                ctx.neighbors[slotIdx].forEach(neighbor => {
+                    if (newBoard[neighbor] === -1) return;
+                    newBoard[neighbor] = -1;
+                    taken.push(neighbor);
+                });
+            }
+            const item = kind === 'wildcard' ? OverstackTray.WILDCARD : OverstackTileKinds.cellIcon(cell);
+            addPick(slotIdx, item, newBoard, node.removed, taken);
+        }
+
+        // Pick a tile waiting in a removed slot (always clickable)
+        node.removed.forEach((item, index) => {
+            if (item === -1) return;
+            const newRemoved = [...node.removed];
+            newRemoved[index] = -1;
+            addPick({ type: 'removed', index }, item, node.board, newRemoved, []);
+        });
+
+        if (!canUseTool) return children;
+
+        // Tool: Remove
+        if (node.tools.remove > 0 && node.tray.length >= 3 && node.removed.every(item => item === -1)) {
+            const result = OverstackTray.takeFront(node.tray, 3, matchSize);
+            children.push({
+                move: { type: 'remove' },
+                board: node.board,
+                tray: result.tray,
+                removed: result.taken,
+                blockers: node.blockers,
+                matches: node.matches + result.cleared.length / matchSize,
+                tools: Object.assign({}, node.tools, { remove: node.tools.remove - 1 }),
+                shuffleSeed: node.shuffleSeed,
+                toolsUsed: [...node.toolsUsed, 'remove']
+            });
+        }
+
+        // Tool: Shuffle
+        if (node.tools.shuffle > 0 && node.board.filter(iconIdx => iconIdx !== -1).length > 1) {
+            children.push({
+                move: { type: 'shuffle', seed: node.shuffleSeed },
+                board: shuffleBoard(node.board, node.shuffleSeed),
+                tray: node.tray,
+                removed: node.removed,
+                blockers: node.blockers,
+                matches: node.matches,
+                tools: Object.assign({}, node.tools, { shuffle: node.tools.shuffle - 1 }),
+                shuffleSeed: OverstackRules.nextShuffleSeed(node.shuffleSeed),
+                toolsUsed: [...node.toolsUsed, 'shuffle']
+            });
+        }
+
+        return children;
+    }
+
+    // Parameters shared by the search modes
+    function searchContext(params) {
+        return {
+            rules: params.rules || OverstackRules.DEFAULT_RULES,
+            maxTools: params.maxTools !== undefined ? params.maxTools : Infinity,
+            blockGraph: params.blockGraph || null,
+            neighbors: params.neighbors || null
+        };
+    }
+
+    // Tool charges from a `tools` param entry (true counts as one charge)
+    function toolCharges(value) {
+        return value === true ? 1 : (value || 0);
+    }
+
+    // Root node for a board plus optional tray, removed slots and tools
+    function initialState(initialBoard, params) {
+        const tools = params.tools || {};
+        return {
+            board: [...initialBoard],
+            tray: OverstackTray.groupTray(params.initialTray || []),
+            removed: [...(params.initialRemoved || NO_REMOVED)],
+            blockers: params.blockGraph ? OverstackBlockGraph.countBlockers(params.blockGraph, initialBoard) : null,
+            matches: params.initialMatches || 0,
+            tools: { remove: toolCharges(tools.remove), shuffle: toolCharges(tools.shuffle) },
+            shuffleSeed: params.shuffleSeed !== undefined ? params.shuffleSeed : 'shuffle',
+            toolsUsed: []
+        };
+    }
+
+    /**
+     * Beam search from `root` (an initialState() node): keeps the `beamWidth` best-scored nodes per
+     * depth until a node wins, `maxDepth` is reached or `maxExpansions` children were generated.
+     * @returns {{ won: object|null, beam: object[], lastBeam: object[], depth: number, expansions: number, parentsExpanded: number }}
+     *   won is the winning node (its `moves` are the line), lastBeam the deepest beam that was not empty
+     */
+    function runBeam(root, getClickableSlots, ctx, limits) {
+        const { beamWidth, maxExpansions, maxDepth } = limits;
         const visited = new Map();
         let expansions = 0;
-        const perf = typeof performance !== 'undefined' ? performance : Date;
-        const startTime = perf.now();
+        let parentsExpanded = 0; // Nodes whose children were generated, for the branching factor
 
         // Initial state
-        const initialRemaining = initialBoard.filter(iconIdx => iconIdx !== -1).length;
-        const initialNode = {
-            board: [...initialBoard],
-            tray: [],
+        const initialNode = Object.assign(root, {
             score: 0,
             moves: [],
-            depth: 0,
-            hash: hashState(initialBoard, [])
-        };
+            depth: 0
+        });
+        initialNode.hash = hashState(initialNode.board, initialNode.tray, initialNode.removed, initialNode.tools, initialNode.matches);
 
-        visited.set(initialNode.hash, { score: 0, trayLen: 0 });
+        visited.set(initialNode.hash, { score: 0, trayLen: initialNode.tray.length });
 
         let beam = [initialNode];
+        let lastBeam = beam;
 
         for (let depth = 0; depth < maxDepth && beam.length > 0; depth++) {
             const candidates = [];
@@ -133,109 +294,333 @@
             for (const node of beam) {
                 if (expansions >= maxExpansions) break;
 
-                // Check win condition
-                const remaining = node.board.filter(iconIdx => iconIdx !== -1).length;
-                if (remaining === 0 && node.tray.length === 0) {
-                    return {
-                        solvable: true,
-                        winningMoves: node.moves,
-                        stats: {
-                            expansionsUsed: expansions,
-                            bestScore: node.score,
-                            timeMs: perf.now() - startTime,
-                            beamWidth,
-                            depth
-                        }
-                    };
+                // Check win condition (tiles left in the tray do not count, see isWon)
+                const remaining = node.board.filter(cell => cell !== -1).length +
+                    node.removed.filter(item => item !== -1).length;
+                if (remaining === 0) {
+                    return { won: node, beam, lastBeam, depth, expansions, parentsExpanded };
                 }
 
-                // Get clickable slots
-                const clickableSlots = getClickableSlots(node.board);
-
-                for (const slotIdx of clickableSlots) {
+                parentsExpanded++;
+                for (const child of expandActions(node, getClickableSlots, ctx)) {
                     if (expansions >= maxExpansions) break;
                     expansions++;
 
-                    const iconIdx = node.board[slotIdx];
-                    if (iconIdx === -1) continue; // Already empty
-
-                    // Create new state
-                    const newBoard = [...node.board];
-                    newBoard[slotIdx] = -1;
-
-                    const newTray = [...node.tray, iconIdx];
-                    const result = resolveTrayTriples(newTray);
-
-                    // Check lose condition
-                    if (result.tray.length > 7) {
-                        continue; // Prune invalid state
-                    }
-
-                    const newRemaining = newBoard.filter(x => x !== -1).length;
-                    const newScore = node.score + scoreState(
-                        newBoard,
-                        result.tray,
+                    const newRemaining = child.board.filter(x => x !== -1).length +
+                        child.removed.filter(x => x !== -1).length;
+                    let newScore = node.score + scoreState(
+                        child.board,
+                        child.tray,
                         node.tray,
                         remaining,
-                        newRemaining
+                        newRemaining,
+                        ctx.rules.matchSize
                     );
+                    if (typeof child.move === 'object' && child.move.type !== 'removed') {
+                        newScore -= TOOL_PENALTY; // Prefer lines that keep tools in hand
+                    }
 
-                    const newMoves = [...node.moves, slotIdx];
-                    const newHash = hashState(newBoard, result.tray);
+                    const newMoves = [...node.moves, child.move];
+                    const newHash = hashState(child.board, child.tray, child.removed, child.tools, child.matches);
 
                     // Check transposition table
                     const visitedEntry = visited.get(newHash);
                     if (visitedEntry) {
                         // Prune if we've seen this state with better or equal score
-                        if (visitedEntry.score >= newScore && visitedEntry.trayLen <= result.tray.length) {
+                        if (visitedEntry.score >= newScore && visitedEntry.trayLen <= child.tray.length) {
                             continue;
                         }
                     }
 
-                    visited.set(newHash, { score: newScore, trayLen: result.tray.length });
+                    visited.set(newHash, { score: newScore, trayLen: child.tray.length });
 
-                    candidates.push({
-                        board: newBoard,
-                        tray: result.tray,
+                    candidates.push(Object.assign(child, {
                         score: newScore,
                         moves: newMoves,
                         depth: depth + 1,
                         hash: newHash
-                    });
+                    }));
                 }
             }
 
             // Keep top beamWidth candidates by score
             candidates.sort((a, b) => b.score - a.score);
             beam = candidates.slice(0, beamWidth);
+            if (beam.length > 0) {
+                lastBeam = beam;
+            }
+        }
+
+        return { won: null, beam, lastBeam, depth: maxDepth, expansions, parentsExpanded };
+    }
+
+    /**
+     * Beam search solver.
+     * Starts from an empty tray unless `params.initialTray` (icon indices, in pick or tray order) is given,
+     * so it can also search from a game in progress. Tools are only expanded when
+     * `params.tools` gives them charges (`{ remove: 1, shuffle: 2 }`; `true` is one charge),
+     * at most `params.maxTools` of them per line. `params.rules` (OverstackRules.resolveRules)
+     * sets the tray size, match size and lose condition (default: the classic rules).
+     * With `params.blockGraph` (OverstackBlockGraph.getBlockGraph of the board's slots) clickability
+     * is tracked incrementally per node and `getClickableSlots` is not called (it may be null).
+     * With `rules.faceDown` the search only sees what a player sees (see partialInfoSolve).
+     */
+    function beamSearchSolve(initialBoard, getClickableSlots, params = {}) {
+        const ctx = searchContext(params);
+        if (ctx.rules.faceDown) {
+            return partialInfoSolve(initialBoard, getClickableSlots, params);
+        }
+        const beamWidth = params.beamWidth || SOLVER_BEAM_WIDTH;
+        const maxExpansions = params.maxExpansions || SOLVER_MAX_EXPANSIONS;
+        const maxDepth = params.maxDepth || SOLVER_MAX_DEPTH;
+        const perf = typeof performance !== 'undefined' ? performance : Date;
+        const startTime = perf.now();
+
+        const run = runBeam(initialState(initialBoard, params), getClickableSlots, ctx, { beamWidth, maxExpansions, maxDepth });
+        const branching = run.parentsExpanded > 0 ? run.expansions / run.parentsExpanded : 0;
+        if (run.won) {
+            return {
+                solvable: true,
+                winningMoves: run.won.moves,
+                toolsUsed: run.won.toolsUsed,
+                stats: {
+                    expansionsUsed: run.expansions,
+                    bestScore: run.won.score,
+                    timeMs: perf.now() - startTime,
+                    beamWidth,
+                    depth: run.depth,
+                    branching
+                }
+            };
         }
 
         // No solution found
         return {
             solvable: false,
             stats: {
-                expansionsUsed: expansions,
-                bestScore: beam.length > 0 ? beam[0].score : -Infinity,
+                expansionsUsed: run.expansions,
+                bestScore: run.beam.length > 0 ? run.beam[0].score : -Infinity,
                 timeMs: perf.now() - startTime,
-                beamWidth
+                beamWidth,
+                branching
             }
         };
     }
 
+    // Whether two moves are the same action (moves are slot indices or { type, index?, seed? })
+    function sameMove(a, b) {
+        if (typeof a === 'number' || typeof b === 'number') return a === b;
+        return a.type === b.type && a.index === b.index;
+    }
+
+    /**
+     * Partial-information solver for face-down tiles (rules.faceDown): blocked tiles hide their
+     * icons until they become clickable, so a fair line may only choose a move from what is face up.
+     * Before every move a short beam search looks ahead on the board as the player sees it, where
+     * each face-down tile has an icon of its own that matches nothing; the first move of its best
+     * line is played on the real board, which turns over the tiles it uncovers, and it looks again.
+     * Once nothing is face down the look-ahead sees the real board and its winning line is played out.
+     * Same parameters as beamSearchSolve, except that `beamWidth` and `maxExpansions` bound each
+     * look-ahead, `lookaheadDepth` (default LOOKAHEAD_DEPTH) sets how far it looks and `maxDepth` caps the line.
+     * @returns same as beamSearchSolve; stats.lookaheads counts the searches
+     */
+    function partialInfoSolve(initialBoard, getClickableSlots, params = {}) {
+        const ctx = searchContext(params);
+        const limits = {
+            beamWidth: params.beamWidth || LOOKAHEAD_BEAM_WIDTH,
+            maxExpansions: params.maxExpansions || SOLVER_MAX_EXPANSIONS,
+            maxDepth: params.lookaheadDepth || LOOKAHEAD_DEPTH
+        };
+        const maxDepth = params.maxDepth || SOLVER_MAX_DEPTH;
+        const perf = typeof performance !== 'undefined' ? performance : Date;
+        const startTime = perf.now();
+
+        let node = initialState(initialBoard, params);
+        const moves = [];
+        let expansions = 0;
+        let parentsExpanded = 0;
+        let lookaheads = 0;
+
+        const stats = () => ({
+            expansionsUsed: expansions,
+            timeMs: perf.now() - startTime,
+            beamWidth: limits.beamWidth,
+            depth: moves.length,
+            branching: parentsExpanded > 0 ? expansions / parentsExpanded : 0,
+            lookaheads
+        });
+
+        while (moves.length < maxDepth) {
+            if (isWon(node)) {
+                return { solvable: true, winningMoves: moves, toolsUsed: node.toolsUsed, stats: stats() };
+            }
+
+            // The board as the player sees it
+            const clickable = new Set(node.blockers
+                ? OverstackBlockGraph.getClickableSlots(node.board, node.blockers)
+                : getClickableSlots(node.board));
+            let hidden = 0;
+            const view = Object.assign({}, node, {
+                board: node.board.map((iconIdx, slotIdx) => {
+                    if (iconIdx === -1 || clickable.has(slotIdx)) return iconIdx;
+                    hidden++;
+                    return FACE_DOWN_ICON - slotIdx;
+                })
+            });
+
+            const run = runBeam(view, getClickableSlots, ctx, limits);
+            lookaheads++;
+            expansions += run.expansions;
+            parentsExpanded += run.parentsExpanded;
+            const plan = run.won || run.lastBeam[0];
+            if (!plan || plan.moves.length === 0) break; // Every move loses
+
+            // Nothing face down: the look-ahead saw the real board, so its winning line is real
+            const line = run.won && hidden === 0 ? plan.moves : plan.moves.slice(0, 1);
+            for (const move of line) {
+                node = expandActions(node, getClickableSlots, ctx).find(child => sameMove(child.move, move));
+                moves.push(move);
+            }
+        }
+
+        return { solvable: false, stats: stats() };
+    }
+
+    // True when the board and removed slots are empty. With plain tiles only the tray is then empty
+    // too; wildcards and bombs may leave copies no match can take (see tile-kinds.js)
+    function isWon(node) {
+        return node.board.every(cell => cell === -1) &&
+            node.removed.every(item => item === -1);
+    }
+
+    /**
+     * Exact solver: depth-first search over every line, so a failure is a proof.
+     * Positions that failed are remembered together with the tools that were still
+     * usable there; a later visit with a subset of those tools (and no more tool
+     * budget) is dominated and pruned without searching.
+     * Lines are tried with 0 tools first, then 1, up to `maxTools` (or the charges), so a found line spends
+     * as few tools as possible. Same parameters as beamSearchSolve, plus `maxNodes` and `timeLimitMs`.
+     * @returns {{ solvable: boolean|null, proven: boolean, winningMoves?: Array, toolsUsed?: string[],
+     *   stats: { nodes: number, prunedByTable: number, timeMs: number, timedOut: boolean } }}
+     *   solvable is null when the budget ran out before a proof either way
+     */
+    function exactSolve(initialBoard, getClickableSlots, params = {}) {
+        const baseCtx = searchContext(params);
+        let ctx = baseCtx;
+        const maxNodes = params.maxNodes || EXACT_MAX_NODES;
+        const timeLimitMs = params.timeLimitMs || EXACT_TIME_LIMIT_MS;
+
+        const perf = typeof performance !== 'undefined' ? performance : Date;
+        const startTime = perf.now();
+        const failed = new Map(); // Position hash -> capabilities proven to lose from there
+        let nodes = 0;
+        let prunedByTable = 0;
+        let timedOut = false;
+
+        // Tool charges this node can still spend, and how many tools in total. Shuffles only
+        // compare when the next one uses the same seed (the same permutations follow)
+        const capabilityOf = node => {
+            const budget = Math.max(0, ctx.maxTools - node.toolsUsed.length);
+            const remove = Math.min(budget, node.tools.remove);
+            const shuffle = Math.min(budget, node.tools.shuffle);
+            return { remove, shuffle, toolsLeft: Math.min(budget, remove + shuffle), shuffleSeed: node.shuffleSeed };
+        };
+        const covers = (a, b) => a.remove >= b.remove && a.shuffle >= b.shuffle && a.toolsLeft >= b.toolsLeft &&
+            (b.shuffle === 0 || a.shuffleSeed === b.shuffleSeed);
+
+        // Triple clears first, then picks that pair up with the tray, tools last
+        const orderChildren = (children, trayLen) => children
+            .map(child => ({
+                child,
+                key: (typeof child.move === 'object' && child.move.type !== 'removed' ? 1000 : 0) +
+                    (child.tray.length - trayLen)
+            }))
+            .sort((a, b) => a.key - b.key)
+            .map(entry => entry.child);
+
+        function search(node, moves) {
+            nodes++;
+            if (nodes > maxNodes ||
+                (nodes % EXACT_TIME_CHECK_INTERVAL === 0 && perf.now() - startTime > timeLimitMs)) {
+                timedOut = true;
+                return null;
+            }
+
+            if (isWon(node)) return moves.slice();
+
+            const hash = hashState(node.board, node.tray, node.removed, NO_TOOLS, node.matches);
+            const capability = capabilityOf(node);
+            const failures = failed.get(hash);
+            if (failures && failures.some(f => covers(f, capability))) {
+                prunedByTable++;
+                return null;
+            }
+
+            for (const child of orderChildren(expandActions(node, getClickableSlots, ctx), node.tray.length)) {
+                moves.push(child.move);
+                const line = search(child, moves);
+                moves.pop();
+                if (line) {
+                    node.winningToolsUsed = child.winningToolsUsed || child.toolsUsed;
+                    return line;
+                }
+                if (timedOut) return null;
+            }
+
+            // Every line from here loses (only recorded when the subtree was fully searched)
+            if (!failures) {
+                failed.set(hash, [capability]);
+            } else {
+                failures.push(capability);
+            }
+            return null;
+        }
+
+        const root = initialState(initialBoard, params);
+        const toolLimit = Math.min(baseCtx.maxTools, root.tools.remove + root.tools.shuffle);
+        let winningMoves = null;
+        for (let maxTools = 0; maxTools <= toolLimit && !winningMoves && !timedOut; maxTools++) {
+            ctx = Object.assign({}, baseCtx, { maxTools });
+            winningMoves = search(root, []);
+        }
+        const stats = {
+            nodes,
+            prunedByTable,
+            timeMs: perf.now() - startTime,
+            timedOut
+        };
+
+        if (winningMoves) {
+            return { solvable: true, proven: true, winningMoves, toolsUsed: root.winningToolsUsed || [], stats };
+        }
+        if (timedOut) {
+            return { solvable: null, proven: false, stats };
+        }
+        return { solvable: false, proven: true, stats };
+    }
+
     /**
      * Public API: Check if a board assignment is solvable.
+     * `params.exact` switches from beam search to the exhaustive exactSolve. A proof needs full
+     * information, so with face-down tiles (rules.faceDown) it is the partial-information search.
      */
     function isSolvable(initialBoardAssignment, getClickableSlotIndices, params = {}) {
+        if (params.exact && !(params.rules && params.rules.faceDown)) {
+            return exactSolve(initialBoardAssignment, getClickableSlotIndices, params);
+        }
         return beamSearchSolve(initialBoardAssignment, getClickableSlotIndices, params);
     }
 
     // Export for use in game (Node or browser)
     if (typeof module !== 'undefined' && module.exports) {
-        module.exports = { isSolvable, resolveTrayTriples, beamSearchSolve };
+        // expandActions and initialState let the tray model tests step the solver's model move by move
+        module.exports = { isSolvable, beamSearchSolve, exactSolve, partialInfoSolve, shuffleBoard, expandActions, initialState };
     } else {
         global.isSolvable = isSolvable;
-        global.SolverResolveTrayTriples = resolveTrayTriples;
         global.SolverBeamSearchSolve = beamSearchSolve;
+        global.SolverExactSolve = exactSolve;
+        global.SolverPartialInfoSolve = partialInfoSolve;
+        global.SolverShuffleBoard = shuffleBoard;
     }
 
 })(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
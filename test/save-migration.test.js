@@ -0,0 +1,164 @@
+// Saved Game Migration Test
+// Saves written in the first format (version 1) and by later formats still marked version 1 are
+// loaded through OverstackSave and resumed: the engine must come back where the save left it.
+// Run with: node test/save-migration.test.js
+
+'use strict';
+
+const assert = require('assert');
+
+// save.js reads localStorage from the global object
+const stored = new Map();
+global.localStorage = {
+    getItem: key => (stored.has(key) ? stored.get(key) : null),
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key)
+};
+
+const OverstackRng = require('../rng.js');
+const OverstackRules = require('../rules.js');
+const OverstackSave = require('../save.js');
+const OverstackDaily = require('../daily.js');
+const LevelBuilder = require('../level-builder.js');
+const LEVELS = require('../levels.js');
+const { createEngine } = require('../engine.js');
+
+const GAME_SEED = 'migrate';
+const DOC = LEVELS[0];
+const LEVEL_SEED = OverstackRng.deriveSeed(GAME_SEED, DOC.id);
+const ICONS = [];
+['🍎', '🍌', '🍇'].forEach(icon => {
+    for (let i = 0; i < 6; i++) ICONS.push(icon);
+});
+const LEVEL = LevelBuilder.buildLevelWithIcons(DOC, { boardWidth: 560, boardHeight: 520, tileSize: 48, seed: LEVEL_SEED }, ICONS);
+
+function newEngine(savedState) {
+    return createEngine(LEVEL, { seed: LEVEL_SEED, tileSize: 48, savedState, now: () => 100000 });
+}
+
+// Two picks that clear nothing, played on a fresh engine; returns it with the version 1 undo history
+function playTwoPicks() {
+    const engine = newEngine();
+    const undoHistory = [];
+    for (let i = 0; i < 2; i++) {
+        const state = engine.getState();
+        const tileId = engine.getClickableTileIds().find(id => !state.tray.some(t => t.icon === state.tiles[id].icon));
+        undoHistory.push({ tileId, fromSlotId: state.tiles[tileId].slotId, trayBefore: state.tray.map(t => t.id), cleared: [] });
+        engine.pick(tileId);
+    }
+    return { engine, undoHistory };
+}
+
+function boardOf(engine) {
+    return engine.getState().tiles.map(t => [t.id, t.location, t.slotId]);
+}
+
+function saveOf(engineState) {
+    return { version: 1, savedAt: 0, gameSeed: GAME_SEED, currentLevel: 1, levelId: DOC.id, levelDoc: null, runScore: 0, icons: ICONS, engine: engineState };
+}
+
+function load(save) {
+    OverstackSave.clear();
+    localStorage.setItem(OverstackSave.STORAGE_KEY, JSON.stringify(save));
+    const loaded = OverstackSave.load();
+    assert.ok(loaded, 'the save did not load');
+    assert.strictEqual(loaded.version, OverstackSave.SAVE_VERSION);
+    return loaded;
+}
+
+// The first format: used-tool flags, hints left and an undo history of picks, no move log or score
+function testVersion1() {
+    const { engine: played, undoHistory } = playTwoPicks();
+    const state = played.serialize();
+    const v1 = {
+        tiles: state.tiles.map(t => ({ id: t.id, location: t.location, slotId: t.slotId })),
+        tray: state.tray,
+        undoHistory,
+        toolsUsed: { undo: false, remove: false, shuffle: true },
+        hintsLeft: 2,
+        gameOver: false,
+        outcome: null
+    };
+    const resumed = newEngine(load(saveOf(v1)).engine);
+
+    assert.deepStrictEqual(boardOf(resumed), boardOf(played), 'tiles differ');
+    assert.deepStrictEqual(resumed.getState().tray.map(t => t.id), state.tray, 'trays differ');
+    const { toolCharges } = resumed.getState();
+    assert.deepStrictEqual([toolCharges.undo, toolCharges.remove, toolCharges.shuffle, toolCharges.hint], [1, 1, 0, 2]);
+    assert.strictEqual(resumed.getSolverState().shuffleSeed,
+        OverstackRules.nextShuffleSeed(OverstackRng.deriveSeed(LEVEL_SEED, 'shuffle')), 'the used Shuffle did not move the seed on');
+    assert.deepStrictEqual(resumed.getMoveLog(), []);
+    assert.strictEqual(resumed.getState().score.triples, 0);
+
+    // Undo takes the last pick back as it did before the save
+    assert.ok(resumed.undo(), 'the resumed engine cannot undo');
+    assert.ok(played.undo());
+    assert.deepStrictEqual(boardOf(resumed), boardOf(played), 'tiles differ after Undo');
+}
+
+// The current format, written while the version still said 1, passes through unchanged
+function testCurrentFormatMarkedVersion1() {
+    const { engine: played } = playTwoPicks();
+    const state = JSON.parse(JSON.stringify(played.serialize()));
+    const loaded = load(saveOf(state));
+    assert.deepStrictEqual(loaded.engine, state);
+}
+
+// Undo and Redo (version 3) without the objectives: the play time comes from the last move
+function testVersion3() {
+    const { engine: played } = playTwoPicks();
+    const state = JSON.parse(JSON.stringify(played.serialize()));
+    delete state.picksMade;
+    delete state.elapsed;
+    delete state.loseReason;
+    state.startedAt = 0;
+    state.moveLog[1].t = 4200;
+    const loaded = load(saveOf(state));
+    assert.strictEqual(loaded.engine.elapsed, 4200);
+    assert.strictEqual(loaded.engine.picksMade, 2);
+    assert.strictEqual(loaded.engine.loseReason, null);
+    assert.strictEqual(loaded.engine.startedAt, undefined);
+    assert.deepStrictEqual(boardOf(newEngine(loaded.engine)), boardOf(played));
+}
+
+// A daily attempt saved before it kept a version is upgraded the same way
+function testDailyAttempt() {
+    const { engine: played, undoHistory } = playTwoPicks();
+    const state = played.serialize();
+    const dateKey = '2024-01-01';
+    localStorage.setItem('overstack.daily', JSON.stringify({
+        version: 1,
+        results: {},
+        attempt: {
+            dateKey,
+            icons: ICONS,
+            levelDoc: DOC,
+            engine: { tiles: state.tiles, tray: state.tray, undoHistory, toolsUsed: { undo: true, remove: false, shuffle: false }, hintsLeft: 3, gameOver: false, outcome: null }
+        },
+        stats: { played: 0, won: 0, currentStreak: 0, maxStreak: 0, lastWonKey: null }
+    }));
+    const attempt = OverstackDaily.getAttempt(dateKey);
+    assert.strictEqual(attempt.version, OverstackSave.SAVE_VERSION);
+    assert.strictEqual(attempt.engine.nextShuffleSeed, OverstackRng.deriveSeed(OverstackDaily.getDailySeed(dateKey), 'shuffle'));
+    assert.strictEqual(attempt.engine.toolCharges.undo, 0);
+}
+
+function main() {
+    const tests = [testVersion1, testCurrentFormatMarkedVersion1, testVersion3, testDailyAttempt];
+    let failed = 0;
+    tests.forEach(test => {
+        try {
+            test();
+        } catch (error) {
+            failed++;
+            console.error(`FAIL ${test.name}: ${error.message}`);
+        }
+    });
+    if (failed > 0) {
+        console.error(`${failed} of ${tests.length} tests failed`);
+        process.exit(1);
+    }
+    console.log(`${tests.length} tests ok`);
+}
+
+main();
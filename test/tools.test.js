@@ -0,0 +1,151 @@
+// Tools Test
+// Hand-built boards for the tool rules a random deal rarely reaches: Magnet only takes a free
+// tile, and takes it the way a pick does (a frozen tile thaws, a bomb clears its neighbours);
+// a Swap with a face-down tile costs the same whatever its hidden icon; a replayed Hint spends
+// what the recorded one did.
+// Run with: node test/tools.test.js
+
+'use strict';
+
+const assert = require('assert');
+const { createEngine } = require('../engine.js');
+const OverstackReplay = require('../replay.js');
+
+const TILE_SIZE = 48;
+const RULES = { traySize: 7, matchSize: 3, tools: { undo: 1, remove: 0, shuffle: 0, swap: 0, magnet: 2, peek: 0, hint: 0 } };
+
+/**
+ * A board from [icon, col, z, kind?] entries: tiles one tile apart on a single row, a tile on
+ * layer 1 covering the layer 0 tile in its column.
+ */
+function buildEngine(entries, rules = RULES) {
+    const tiles = entries.map(([icon, col, z, kind], id) => ({
+        id,
+        icon,
+        x: col * TILE_SIZE,
+        y: 0,
+        z,
+        slotId: `slot_${id}`,
+        kind
+    }));
+    return createEngine({ tiles }, { seed: 'tools', tileSize: TILE_SIZE, rules, now: () => 0 });
+}
+
+function tileOf(engine, id) {
+    return engine.getState().tiles.find(t => t.id === id);
+}
+
+// Two apples in the tray, a third at column 4 (of `kind`, covered by a banana when `covered`)
+function applePair(kind, covered) {
+    const entries = [['🍎', 0, 0], ['🍎', 2, 0], ['🍎', 4, 0, kind], ['🍌', covered ? 4 : 7, covered ? 1 : 0], ['🍌', 9, 0], ['🍌', 11, 0]];
+    const engine = buildEngine(entries);
+    engine.pick(0);
+    engine.pick(1);
+    return engine;
+}
+
+// A covered tile is out of the Magnet's reach until it is free
+function testMagnetSkipsCoveredTiles() {
+    const engine = applePair(undefined, true);
+    assert.strictEqual(engine.canUseTool('magnet'), false, 'Magnet reaches a covered tile');
+    assert.strictEqual(engine.useTool('magnet'), null);
+
+    engine.pick(3);
+    const result = engine.useTool('magnet');
+    assert.ok(result, 'Magnet cannot take the uncovered tile');
+    assert.strictEqual(result.tileId, 2);
+    assert.deepStrictEqual(result.cleared.sort(), [0, 1, 2]);
+}
+
+// A frozen tile only thaws, as for a pick; Undo freezes it again
+function testMagnetThawsFrozenTile() {
+    const engine = applePair('frozen', false);
+    const result = engine.useTool('magnet');
+    assert.strictEqual(result.thawed, true);
+    assert.deepStrictEqual(result.cleared, []);
+    assert.strictEqual(tileOf(engine, 2).location, 'BOARD');
+    assert.strictEqual(tileOf(engine, 2).frozen, false);
+    assert.deepStrictEqual(engine.getState().tray.map(t => t.id), [0, 1]);
+    assert.strictEqual(engine.getState().toolCharges.magnet, 1);
+
+    assert.ok(engine.undo());
+    assert.strictEqual(tileOf(engine, 2).frozen, true, 'Undo did not freeze the tile again');
+
+    // Once thawed, the next Magnet pulls it
+    engine.useTool('magnet');
+    assert.deepStrictEqual(engine.useTool('magnet').cleared.sort(), [0, 1, 2]);
+}
+
+// A bomb clears its neighbours, as for a pick; Undo puts them back
+function testMagnetBlastsBombNeighbours() {
+    const engine = buildEngine([['🍎', 0, 0], ['🍎', 2, 0], ['🍎', 4, 0, 'bomb'], ['🍌', 5, 0], ['🍌', 9, 0], ['🍌', 11, 0]]);
+    engine.pick(0);
+    engine.pick(1);
+    const result = engine.useTool('magnet');
+    assert.deepStrictEqual(result.blasted, [3]);
+    assert.deepStrictEqual(result.cleared.sort(), [0, 1, 2]);
+    assert.strictEqual(tileOf(engine, 3).location, 'CLEARED');
+
+    assert.ok(engine.undo());
+    assert.strictEqual(tileOf(engine, 3).location, 'BOARD', 'Undo did not put the blasted tile back');
+    assert.strictEqual(tileOf(engine, 2).location, 'BOARD');
+}
+
+// Swapping a face-down tile is allowed whatever its icon; when the icons match nothing changes,
+// so neither the charge nor the points are spent, and Undo gives no charge back
+function testSwapFaceDownSameIcon() {
+    const rules = { faceDown: true, tools: { undo: 1, remove: 0, shuffle: 0, swap: 2, magnet: 0, peek: 0, hint: 0 } };
+    const engine = buildEngine([['🍎', 0, 0], ['🍌', 0, 1], ['🍎', 3, 0], ['🍇', 5, 0]], rules);
+    const penalty = engine.getState().score.toolPenalty;
+
+    assert.ok(engine.useTool('swap', { tileIds: [0, 2] }), 'a face-down tile cannot swap with one of its icon');
+    assert.strictEqual(engine.getState().toolCharges.swap, 2, 'a swap that changed nothing spent a charge');
+    assert.strictEqual(engine.getState().score.toolPenalty, penalty);
+    assert.ok(engine.undo());
+    assert.strictEqual(engine.getState().toolCharges.swap, 2, 'Undo gave back a charge the swap kept');
+    assert.ok(engine.redo());
+    assert.strictEqual(engine.getState().toolCharges.swap, 2);
+
+    assert.ok(engine.useTool('swap', { tileIds: [0, 3] }));
+    assert.strictEqual(engine.getState().toolCharges.swap, 1);
+    assert.strictEqual(tileOf(engine, 3).slotId, 'slot_2');
+}
+
+// A replay applies the recorded hints without searching: the charge and points go as they did
+function testReplayedHintSpendsCharge() {
+    const rules = { tools: { undo: 0, remove: 0, shuffle: 0, swap: 0, magnet: 0, peek: 0, hint: 3 } };
+    const entries = [['🍎', 0, 0], ['🍎', 2, 0], ['🍎', 4, 0], ['🍌', 6, 0], ['🍌', 8, 0], ['🍌', 10, 0]];
+    const played = buildEngine(entries, rules);
+    assert.notStrictEqual(played.hint().tileId, null, 'no hint found');
+    played.pick(0);
+
+    const replayed = buildEngine(entries, rules);
+    played.getMoveLog().forEach(move => assert.ok(OverstackReplay.applyMove(replayed, move), `${move.type} did not apply`));
+    assert.strictEqual(replayed.getState().toolCharges.hint, 2);
+    assert.deepStrictEqual(replayed.getState().score, played.getState().score);
+
+    // A hint that found nothing keeps its charge, in the game and in the replay
+    assert.ok(OverstackReplay.applyMove(replayed, { type: 'hint', tileId: null, tool: null }));
+    assert.strictEqual(replayed.getState().toolCharges.hint, 2);
+}
+
+function main() {
+    const tests = [testMagnetSkipsCoveredTiles, testMagnetThawsFrozenTile, testMagnetBlastsBombNeighbours, testSwapFaceDownSameIcon,
+        testReplayedHintSpendsCharge];
+    let failed = 0;
+    tests.forEach(test => {
+        try {
+            test();
+        } catch (error) {
+            failed++;
+            console.error(`FAIL ${test.name}: ${error.message}`);
+        }
+    });
+    if (failed > 0) {
+        console.error(`${failed} of ${tests.length} tests failed`);
+        process.exit(1);
+    }
+    console.log(`${tests.length} tests ok`);
+}
+
+main();
@@ -0,0 +1,291 @@
+// Tray Model Property Test
+// Random deals, half of them with special tiles (locked, frozen, wildcard, bomb), played with
+// random picks, Removes, Shuffles, Magnets, Swaps, Undos and Redos. Picks, Removes, Shuffles and
+// Magnets go once through the engine and once through the solver's model (expandActions), checking
+// after every move that both agree on the tray, the board, the removed slots, the tiles cleared
+// and whether the level is won or lost. The solver does not model Swap, Undo and Redo: a Swap must
+// only trade its two tiles, Undo must go back to the position before the move and Redo to the one
+// Undo left, and the solver picks up from the engine's position after them.
+// Run with: node test/tray-model.test.js [deals per match size] [first seed]
+
+'use strict';
+
+const assert = require('assert');
+const OverstackRng = require('../rng.js');
+const OverstackRules = require('../rules.js');
+const OverstackTray = require('../tray.js');
+const OverstackTileKinds = require('../tile-kinds.js');
+const { createEngine } = require('../engine.js');
+const { expandActions, initialState } = require('../solver.js');
+
+const ICONS = ['🍎', '🍌', '🍇', '🍓', '🍒', '🍍', '🍉', '🍋'];
+const TILE_SIZE = 48;
+const GRID_COLS = 6;
+const GRID_ROWS = 4;
+const MAX_STEPS = 400;
+const SPECIAL_KINDS = ['locked', 'frozen', 'wildcard', 'bomb'];
+
+/**
+ * A random deal: `kinds` icons × `copies` tiles stacked on a grid that narrows by one column per
+ * layer, each layer shifted half a tile so it covers the one below. In half the deals about one
+ * tile in eight is a special tile (a wildcard takes the place of an icon's tile).
+ */
+function randomLevel(rng, matchSize) {
+    const kinds = 3 + rng.int(ICONS.length - 2);
+    const copies = matchSize * (1 + rng.int(3));
+    const icons = [];
+    ICONS.slice(0, kinds).forEach(icon => {
+        for (let i = 0; i < copies; i++) icons.push(icon);
+    });
+    rng.shuffle(icons);
+    const specials = rng.int(2) === 1;
+
+    const tiles = [];
+    for (let z = 0; tiles.length < icons.length; z++) {
+        for (let row = 0; row < GRID_ROWS && tiles.length < icons.length; row++) {
+            for (let col = 0; col < Math.max(1, GRID_COLS - z) && tiles.length < icons.length; col++) {
+                const id = tiles.length;
+                const tile = {
+                    id,
+                    icon: icons[id],
+                    x: (col + z / 2) * TILE_SIZE,
+                    y: (row + z / 2) * TILE_SIZE,
+                    z,
+                    slotId: `slot_${id}`
+                };
+                if (specials && rng.int(8) === 0) {
+                    tile.kind = SPECIAL_KINDS[rng.int(SPECIAL_KINDS.length)];
+                    if (tile.kind === 'wildcard') tile.icon = OverstackTileKinds.WILDCARD_ICON;
+                    if (tile.kind === 'locked') tile.unlockAfter = 1 + rng.int(2);
+                }
+                tiles.push(tile);
+            }
+        }
+    }
+    return { tiles };
+}
+
+function randomRules(rng, matchSize) {
+    const lose = OverstackRules.LOSE_CONDITIONS[rng.int(OverstackRules.LOSE_CONDITIONS.length)];
+    return {
+        matchSize,
+        traySize: matchSize + 2 + rng.int(4),
+        lose,
+        tools: { undo: rng.int(4), remove: rng.int(3), shuffle: rng.int(3), swap: rng.int(3), magnet: rng.int(3), peek: 0, hint: 0 }
+    };
+}
+
+// The solver move for an engine move made from `state` (engine.getSolverState() before it); a
+// Magnet is the pick of the tile it took (`tileId` of its result)
+function solverMove(move, state, tileId = move.tileId) {
+    if (move.type !== 'pick' && move.type !== 'magnet') return { type: move.type };
+    const removedIndex = state.removedTileIds.indexOf(tileId);
+    if (removedIndex !== -1) return { type: 'removed', index: removedIndex };
+    return state.tileIds.indexOf(tileId);
+}
+
+// Solver node for the engine's position `state` (engine.getSolverState())
+function solverNode(state) {
+    return initialState(state.board, {
+        initialTray: state.tray,
+        initialRemoved: state.removed,
+        tools: state.tools,
+        shuffleSeed: state.shuffleSeed,
+        initialMatches: state.matches,
+        rules: state.rules,
+        blockGraph: state.blockGraph
+    });
+}
+
+// What Undo and Redo must bring back of a position (a solver state or node)
+function position(state) {
+    return { board: state.board, tray: state.tray, removed: state.removed, matches: state.matches, shuffleSeed: state.shuffleSeed };
+}
+
+function sameMove(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return a === b;
+    return a.type === b.type && a.index === b.index;
+}
+
+// Two random board tiles (removed slots excepted) Swap can trade, or null
+function randomSwap(rng, engine, state) {
+    const tileIds = state.tileIds.filter(id => id !== null);
+    if (tileIds.length < 2) return null;
+    const first = rng.int(tileIds.length);
+    const second = (first + 1 + rng.int(tileIds.length - 1)) % tileIds.length;
+    const pair = [tileIds[first], tileIds[second]];
+    return engine.canUseTool('swap', { tileIds: pair }) ? pair : null;
+}
+
+// A random legal engine move: mostly picks, sometimes a tool, Undo or Redo; null when nothing
+// is clickable (every free tile is locked)
+function randomMove(rng, engine, state) {
+    const roll = rng.int(16);
+    if (roll === 0 && engine.canRemove()) return { type: 'remove' };
+    if (roll === 1 && engine.canShuffle()) return { type: 'shuffle' };
+    if (roll === 2 && engine.canUseTool('magnet')) return { type: 'magnet' };
+    if (roll === 3) {
+        const tileIds = randomSwap(rng, engine, state);
+        if (tileIds) return { type: 'swap', tileIds };
+    }
+    if (roll === 4 && engine.canUndo()) return { type: 'undo' };
+    if (roll <= 6 && engine.canRedo()) return { type: 'redo' };
+    const clickable = engine.getClickableTileIds();
+    if (clickable.length === 0) return null;
+    return { type: 'pick', tileId: clickable[rng.int(clickable.length)] };
+}
+
+function playMove(engine, move) {
+    if (move.type === 'remove') return engine.remove();
+    if (move.type === 'shuffle') return engine.shuffle();
+    if (move.type === 'magnet') return engine.useTool('magnet');
+    if (move.type === 'swap') return engine.useTool('swap', { tileIds: move.tileIds });
+    if (move.type === 'undo') return engine.undo();
+    if (move.type === 'redo') return engine.redo();
+    return engine.pick(move.tileId);
+}
+
+// What tray.js matches a tile by: its icon, or WILDCARD for a wildcard
+function trayKey(tile) {
+    return tile.kind === 'wildcard' ? OverstackTray.WILDCARD : tile.icon;
+}
+
+// Tray invariants straight from tray.js: equal icons sit together (wildcards may sit between
+// groups) and no full match is left
+function checkTrayInvariants(tray, matchSize, where) {
+    const keys = tray.map(trayKey);
+    const seen = new Set();
+    let lastKey = null;
+    keys.forEach(key => {
+        if (key === OverstackTray.WILDCARD || key === lastKey) return;
+        assert.ok(!seen.has(key), `${where}: ${key} is split in the tray ${keys.join('')}`);
+        seen.add(key);
+        lastKey = key;
+    });
+    assert.strictEqual(OverstackTray.resolveMatches(keys, matchSize).cleared.length, 0,
+        `${where}: the tray ${keys.join('')} still holds a match`);
+}
+
+/**
+ * Play one random deal through both models.
+ * @returns {{ steps: number, outcome: string|null, tools: number }}
+ */
+function playDeal(seed, matchSize) {
+    const rng = OverstackRng.createRng(seed);
+    const level = randomLevel(rng, matchSize);
+    const engine = createEngine(level, { seed, tileSize: TILE_SIZE, rules: randomRules(rng, matchSize), now: () => 0 });
+    const start = engine.getSolverState();
+    const { rules } = start;
+    const ctx = { rules, maxTools: Infinity, blockGraph: start.blockGraph, neighbors: start.neighbors };
+    let node = solverNode(start);
+    // Positions after each move Undo can take back (the start first), with the tiles bombs cleared
+    // up to there; and the positions Undo left, for Redo
+    const line = [{ position: position(start), blasted: 0 }];
+    const undone = [];
+    let tools = 0;
+
+    for (let step = 1; step <= MAX_STEPS && !engine.getState().gameOver; step++) {
+        const where = `seed ${seed}, match ${matchSize}, step ${step}`;
+        const before = engine.getSolverState();
+        const children = expandActions(node, null, ctx);
+
+        // Every engine pick the solver leaves out must lose by tray.js (a frozen tile only thaws)
+        const trayBefore = engine.getState().tray.map(trayKey);
+        engine.getClickableTileIds().forEach(tileId => {
+            const move = solverMove({ type: 'pick', tileId }, before);
+            if (children.some(child => sameMove(child.move, move))) return;
+            const tile = engine.getState().tiles.find(t => t.id === tileId);
+            assert.ok(!tile.frozen, `${where}: the solver has no move for frozen tile ${tileId}`);
+            const after = OverstackTray.addToTray(trayBefore, trayKey(tile), rules.matchSize);
+            assert.ok(OverstackRules.isTrayLost(rules, after.tray.length),
+                `${where}: the solver has no move for clickable tile ${tileId}, which does not lose`);
+        });
+        children.forEach(child => {
+            if (typeof child.move === 'number') {
+                assert.ok(engine.canPick(before.tileIds[child.move]), `${where}: the engine cannot pick slot ${child.move}`);
+            }
+        });
+
+        const move = randomMove(rng, engine, before);
+        if (!move) break;
+        const played = playMove(engine, move);
+        assert.ok(played, `${where}: the engine refused ${JSON.stringify(move)}`);
+        if (move.type !== 'pick') tools++;
+
+        const state = engine.getState();
+        const after = engine.getSolverState();
+        if (move.type === 'undo') {
+            undone.push(line.pop());
+            assert.deepStrictEqual(position(after), line[line.length - 1].position,
+                `${where}: Undo did not go back to the position before the move`);
+            node = solverNode(after);
+        } else if (move.type === 'redo') {
+            line.push(undone.pop());
+            assert.deepStrictEqual(position(after), line[line.length - 1].position, `${where}: Redo did not play the move again`);
+            node = solverNode(after);
+        } else if (move.type === 'swap') {
+            const [a, b] = move.tileIds.map(id => before.tileIds.indexOf(id));
+            const board = [...before.board];
+            [board[a], board[b]] = [board[b], board[a]];
+            assert.deepStrictEqual(position(after), Object.assign(position(before), { board }), `${where}: Swap did more than trade its tiles`);
+            node = solverNode(after);
+        } else {
+            const child = children.find(c => sameMove(c.move, solverMove(move, before, played.tileId)));
+            if (state.outcome === 'lost') {
+                assert.strictEqual(child, undefined, `${where}: the engine lost but the solver kept ${JSON.stringify(move)}`);
+                assert.ok(OverstackRules.isTrayLost(rules, state.tray.length), `${where}: lost with a tray that does not lose`);
+                break;
+            }
+            assert.ok(child, `${where}: the solver has no child for ${JSON.stringify(move)}`);
+
+            assert.deepStrictEqual(child.tray, after.tray, `${where}: trays differ`);
+            assert.deepStrictEqual(child.board, after.board, `${where}: boards differ`);
+            assert.deepStrictEqual(child.removed, after.removed, `${where}: removed slots differ`);
+            assert.strictEqual(child.matches, after.matches, `${where}: matches cleared differ`);
+            node = child;
+        }
+        if (move.type !== 'undo' && move.type !== 'redo') {
+            undone.length = 0; // A new move drops the moves there were to redo
+            line.push({ position: position(after), blasted: line[line.length - 1].blasted + (played.blasted || []).length });
+        }
+
+        const cleared = state.tiles.filter(t => t.location === 'CLEARED').length;
+        assert.strictEqual(cleared, after.matches * rules.matchSize + line[line.length - 1].blasted,
+            `${where}: cleared tiles do not add up to the matches and the bombs`);
+        checkTrayInvariants(state.tray, rules.matchSize, where);
+
+        const solverWon = after.board.every(cell => cell === -1) && after.removed.every(item => item === -1);
+        assert.strictEqual(state.outcome === 'won', solverWon, `${where}: the engine and the solver disagree on the win`);
+    }
+    return { steps: engine.getMoveLog().length, outcome: engine.getState().outcome, tools };
+}
+
+function main() {
+    const deals = Number(process.argv[2]) || 150;
+    const firstSeed = Number(process.argv[3]) || 1;
+    let failed = 0;
+    OverstackRules.MATCH_SIZES.forEach(matchSize => {
+        const totals = { won: 0, lost: 0, open: 0, steps: 0, tools: 0 };
+        for (let i = 0; i < deals; i++) {
+            const seed = firstSeed + i;
+            try {
+                const result = playDeal(seed, matchSize);
+                totals[result.outcome || 'open']++;
+                totals.steps += result.steps;
+                totals.tools += result.tools;
+            } catch (error) {
+                failed++;
+                console.error(`FAIL ${error.message}`);
+            }
+        }
+        console.log(`match ${matchSize}: ${deals} deals, ${totals.steps} moves (${totals.tools} tools), ` +
+            `${totals.won} won, ${totals.lost} lost, ${totals.open} unfinished`);
+    });
+    if (failed > 0) {
+        console.error(`${failed} deals failed`);
+        process.exit(1);
+    }
+    console.log('ok');
+}
+
+main();
@@ -0,0 +1,109 @@
+// Tile Kinds
+// Special tiles a level places with letters in its layer masks (see levels.js). The engine plays
+// them on tiles, the solver on its board cells, and this file holds what both share:
+//
+//   plain    '#' - an ordinary tile
+//   locked   'L' - cannot be picked until the level has cleared `unlockAfter` matches (the layer's
+//                  `unlockAfter`, default 1); it still covers the tiles below
+//   frozen   'F' - the first click only thaws it, the second picks it
+//   wildcard 'W' - has no icon of its own (WILDCARD_ICON) and matches any icon in the tray
+//   bomb     'B' - picking it from the board clears the tiles next to it on its layer (getNeighbors)
+//
+// Wildcards and bombs can leave copies of an icon that no longer make a full match, so a level
+// is won once the board is empty, whatever such tiles are left in the tray.
+
+(function (global) {
+    'use strict';
+
+    const KINDS = ['plain', 'locked', 'frozen', 'wildcard', 'bomb'];
+    const MASK_EMPTY = '.';
+    const MASK_KINDS = { '#': 'plain', L: 'locked', F: 'frozen', W: 'wildcard', B: 'bomb' };
+    const WILDCARD_ICON = '🃏';
+    const DEFAULT_UNLOCK_AFTER = 1;
+    const BOMB_REACH = 1.5; // Neighbours: same layer, centers at most this many tiles apart on both axes
+
+    // Solver cells: icon indices as they are for plain tiles; special tiles add
+    // CELL_KIND_BASE * (kind code + KINDS.length * unlockAfter), so a cell keeps its kind when Shuffle moves it
+    const CELL_KIND_BASE = 65536;
+
+    /**
+     * Kind of a mask character, null for an empty cell.
+     * @throws {Error} on a character that is neither
+     */
+    function maskKind(char) {
+        if (char === MASK_EMPTY) return null;
+        if (!MASK_KINDS[char]) {
+            throw new Error(`Unknown mask character "${char}"`);
+        }
+        return MASK_KINDS[char];
+    }
+
+    /**
+     * Neighbours a bomb in each slot clears: slots on the same layer next to it, diagonals included.
+     * @param {Array<{px: number, py: number, z: number}>} slots
+     * @param {number} tileSize
+     * @returns {number[][]} slot indices per slot
+     */
+    function getNeighbors(slots, tileSize) {
+        const reach = tileSize * BOMB_REACH;
+        return slots.map((slot, i) => {
+            const neighbors = [];
+            slots.forEach((other, j) => {
+                if (j !== i && other.z === slot.z &&
+                    Math.abs(other.px - slot.px) <= reach && Math.abs(other.py - slot.py) <= reach) {
+                    neighbors.push(j);
+                }
+            });
+            return neighbors;
+        });
+    }
+
+    /**
+     * Solver cell of a tile.
+     * @param {number} iconIdx - ignored for wildcards
+     * @param {string} [kind] - 'plain' unless given
+     * @param {number} [unlockAfter] - matches a locked tile waits for
+     */
+    function encodeCell(iconIdx, kind = 'plain', unlockAfter = DEFAULT_UNLOCK_AFTER) {
+        if (kind === 'plain') return iconIdx;
+        const code = KINDS.indexOf(kind) + (kind === 'locked' ? KINDS.length * unlockAfter : 0);
+        return CELL_KIND_BASE * code + (kind === 'wildcard' ? 0 : iconIdx);
+    }
+
+    // Kind of a solver cell (empty cells and face-down stand-ins are plain)
+    function cellKind(cell) {
+        return cell < CELL_KIND_BASE ? 'plain' : KINDS[Math.floor(cell / CELL_KIND_BASE) % KINDS.length];
+    }
+
+    // Icon index of a solver cell
+    function cellIcon(cell) {
+        return cell < CELL_KIND_BASE ? cell : cell % CELL_KIND_BASE;
+    }
+
+    // Matches a locked cell waits for
+    function cellUnlockAfter(cell) {
+        return Math.floor(cell / CELL_KIND_BASE / KINDS.length);
+    }
+
+    const OverstackTileKinds = {
+        KINDS,
+        MASK_KINDS,
+        MASK_EMPTY,
+        WILDCARD_ICON,
+        DEFAULT_UNLOCK_AFTER,
+        maskKind,
+        getNeighbors,
+        encodeCell,
+        cellKind,
+        cellIcon,
+        cellUnlockAfter
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackTileKinds;
+    } else {
+        global.OverstackTileKinds = OverstackTileKinds;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
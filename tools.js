@@ -0,0 +1,177 @@
+// Tools
+// Registry of the tools a player can use on a level. Each tool declares when it is available,
+// what it costs, how it runs and how Undo takes it back; the engine (engine.js) runs them all
+// the same way: it checks the charges, spends them, keeps the undo history and logs the move.
+//
+// Tool definition:
+//   name        - key of its charges in rules.tools and of its points in SCORE_RULES.toolPenalty
+//   label       - button text; shortcut - keyboard key; description - help text
+//   cost        - charges one use spends
+//   isAvailable(ctx, args)  - whether it can be used now (args may be partial: a button asks without them)
+//   execute(ctx, args)      - run it; returns { move, ... }: `move` holds what the move log, Redo
+//                             and replays need to run it again; `spent: false` keeps the charge
+//   undo(ctx, move)         - take it back (null for tools that change nothing Undo could restore)
+//
+// A new tool is one more entry in TOOLS, plus its charges in rules.js (DEFAULT_RULES.tools) and
+// its points in scoring.js (SCORE_RULES.toolPenalty). `ctx` is the engine's tool context (see
+// toolContext in engine.js).
+
+(function (global) {
+    'use strict';
+
+    // Undo step of tools whose changes are all in the tiles, tray and Shuffle seed the engine saved
+    function restoreMove(ctx, move) {
+        ctx.restoreMove(move);
+    }
+
+    // Board tiles Swap may move: tiles in the removed slots stay where they are
+    function swappableTiles(ctx) {
+        return ctx.boardTiles().filter(tile => !ctx.isInRemovedSlot(tile));
+    }
+
+    // Whether a player sees only the back of a tile (rules.faceDown: blocked tiles lie face down)
+    function isFaceDown(ctx, tile) {
+        return ctx.rules.faceDown && ctx.isBlocked(tile);
+    }
+
+    // Board tile that completes a match with the tray: the first icon in the tray one short of a
+    // match, taken from the clickable tiles (the highest if there are several). Wildcards are left
+    // out of the count
+    function findMagnetTile(ctx) {
+        const { matchSize } = ctx.rules;
+        const counts = new Map();
+        ctx.getTray().filter(tile => tile.kind !== 'wildcard')
+            .forEach(tile => counts.set(tile.icon, (counts.get(tile.icon) || 0) + 1));
+        for (const [icon, count] of counts) {
+            if (count !== matchSize - 1) continue;
+            const candidates = ctx.boardTiles()
+                .filter(tile => tile.icon === icon && !ctx.isBlocked(tile) && !ctx.isLocked(tile));
+            if (candidates.length === 0) continue;
+            return candidates.reduce((best, tile) => (tile.z > best.z ? tile : best));
+        }
+        return null;
+    }
+
+    const TOOLS = [
+        {
+            name: 'remove',
+            label: 'Remove',
+            shortcut: 'R',
+            description: 'Move the first three tiles in the tray back to the board to free up space.',
+            cost: 1,
+            isAvailable: ctx => ctx.getTray().length >= 3 && !ctx.removedSlotsOccupied(),
+            execute(ctx) {
+                const { taken, cleared } = ctx.takeFromTray(3);
+                taken.forEach((tile, i) => ctx.placeInRemovedSlot(tile, i));
+                return { move: {}, tileIds: taken.map(tile => tile.id), cleared };
+            },
+            undo: restoreMove
+        },
+        {
+            name: 'shuffle',
+            label: 'Shuffle',
+            shortcut: 'S',
+            description: 'Shuffle the remaining tiles on the board.',
+            cost: 1,
+            isAvailable: ctx => ctx.shuffleCandidates().length > 1,
+            // args.seed defaults to the level's next shuffle seed, which the solver models
+            execute(ctx, args) {
+                const seed = args.seed !== undefined ? args.seed : ctx.getShuffleSeed();
+                ctx.shuffleBoard(seed);
+                return { move: { seed }, seed };
+            },
+            undo: restoreMove
+        },
+        {
+            name: 'swap',
+            label: 'Swap',
+            shortcut: 'W',
+            description: 'Choose two tiles on the board (covered ones too) to trade places.',
+            cost: 1,
+            // Two tiles with the same icon are refused, unless one lies face down: refusing
+            // would give its icon away, so that swap goes ahead and, as it changes nothing, is free
+            isAvailable(ctx, args) {
+                const tiles = swappableTiles(ctx);
+                if (!args.tileIds) {
+                    return tiles.length > 1 &&
+                        (new Set(tiles.map(tile => tile.icon)).size > 1 || tiles.some(tile => isFaceDown(ctx, tile)));
+                }
+                const [a, b] = args.tileIds.map(id => tiles.find(tile => tile.id === id));
+                return !!a && !!b && (a.icon !== b.icon || isFaceDown(ctx, a) || isFaceDown(ctx, b));
+            },
+            execute(ctx, args) {
+                const [a, b] = args.tileIds.map(id => ctx.getTile(id));
+                const slotA = a.slotId;
+                ctx.moveOnBoard(a, b.slotId);
+                ctx.moveOnBoard(b, slotA);
+                return { move: { tileIds: [a.id, b.id] }, tileIds: [a.id, b.id], spent: a.icon !== b.icon };
+            },
+            undo: restoreMove
+        },
+        {
+            name: 'magnet',
+            label: 'Magnet',
+            shortcut: 'M',
+            description: 'Pull a free tile that completes a pair in the tray off the board.',
+            cost: 1,
+            isAvailable: ctx => findMagnetTile(ctx) !== null,
+            // The tile is taken like a pick: a frozen one only thaws, a bomb clears its neighbours
+            execute(ctx) {
+                const tile = findMagnetTile(ctx);
+                return Object.assign({ move: { tileId: tile.id } }, ctx.takeTile(tile));
+            },
+            undo: restoreMove
+        },
+        {
+            name: 'peek',
+            label: 'Peek',
+            shortcut: 'P',
+            description: 'See the tiles under the top layer for a few seconds.',
+            cost: 1,
+            isAvailable: ctx => ctx.boardTiles().some(tile => ctx.isBlocked(tile)),
+            execute(ctx) {
+                const tileIds = ctx.boardTiles().filter(tile => ctx.isBlocked(tile)).map(tile => tile.id);
+                return { move: {}, tileIds };
+            },
+            undo: null
+        },
+        {
+            name: 'hint',
+            label: 'Hint',
+            shortcut: 'H',
+            description: 'Highlight the next tile (or tool) on a winning line, if one can be found.',
+            cost: 1,
+            isAvailable: ctx => ctx.boardTiles().length > 0,
+            // A charge is only spent when a line is found; args.found is a search already run (see
+            // engine.hint), args.tileId and args.tool a hint from the move log (replays), not searched again
+            execute(ctx, args) {
+                const { tileId, tool, stats } = args.tileId !== undefined
+                    ? { tileId: args.tileId, tool: args.tool, stats: null }
+                    : ctx.searchHint(args.found);
+                return { move: { tileId, tool }, tileId, tool, stats, spent: tileId !== null || tool !== null };
+            },
+            undo: null
+        }
+    ];
+
+    /**
+     * Tool definition by name, or null.
+     * @param {string} name
+     */
+    function getTool(name) {
+        return TOOLS.find(tool => tool.name === name) || null;
+    }
+
+    const OverstackTools = {
+        TOOLS,
+        getTool
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackTools;
+    } else {
+        global.OverstackTools = OverstackTools;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
@@ -0,0 +1,144 @@
+// Tray Model
+// The one tray the engine and the solver both play with. A new tile goes right after the
+// last tile with the same icon (or at the end), so equal icons always sit together, and
+// `matchSize` adjacent equal icons clear. The order matters: the Remove tool takes the
+// first three tiles, so the solver keeps its tray in exactly this order too.
+//
+// Tray items are anything with an icon: the engine stores tiles ({ id, icon }), the solver
+// icon indices. `keyOf` maps an item to the icon it is matched by (default: the item itself),
+// or to WILDCARD for an item that matches any icon (a wildcard tile, see tile-kinds.js).
+
+(function (global) {
+    'use strict';
+
+    const identity = item => item;
+
+    const WILDCARD = '*';
+
+    // Icon a wildcard joins: the one with the most items in the tray (the first on a tie), null if there is none
+    function wildcardTarget(tray, keyOf) {
+        const counts = new Map();
+        tray.forEach(item => {
+            const key = keyOf(item);
+            if (key !== WILDCARD) counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        let target = null;
+        counts.forEach((count, key) => {
+            if (target === null || count > counts.get(target)) target = key;
+        });
+        return target;
+    }
+
+    /**
+     * Add an item grouped right after the last item with the same icon (a wildcard after the
+     * largest group, so it helps the match closest to clearing).
+     * Returns a new array; the input is not modified.
+     */
+    function insertGrouped(tray, item, keyOf = identity) {
+        const itemKey = keyOf(item);
+        const key = itemKey === WILDCARD ? wildcardTarget(tray, keyOf) : itemKey;
+        const newTray = [...tray];
+
+        // Find the last position where this icon exists
+        let insertIndex = -1;
+        for (let i = newTray.length - 1; i >= 0; i--) {
+            if (keyOf(newTray[i]) === key) {
+                insertIndex = i;
+                break;
+            }
+        }
+
+        // If icon exists, insert right after the last occurrence
+        // Otherwise, add to the rightmost position
+        if (insertIndex !== -1) {
+            newTray.splice(insertIndex + 1, 0, item);
+        } else {
+            newTray.push(item);
+        }
+        return newTray;
+    }
+
+    // Start of the first `matchSize` adjacent items that match (one icon, wildcards standing in
+    // for it), or -1. Wildcards between two icons may complete either
+    function findMatch(tray, matchSize, keyOf) {
+        let runStart = 0;
+        let runKey = null; // Icon of the run, null while it only has wildcards
+        let wildStart = 0; // Start of the wildcards at the end of the run
+        for (let i = 0; i < tray.length; i++) {
+            const key = keyOf(tray[i]);
+            if (key !== WILDCARD) {
+                if (runKey !== null && key !== runKey) {
+                    runStart = wildStart;
+                }
+                runKey = key;
+                wildStart = i + 1;
+            }
+            if (i - runStart + 1 >= matchSize) return runStart;
+        }
+        return -1;
+    }
+
+    /**
+     * Clear `matchSize` adjacent items with the same icon until none are left (pure function).
+     * A wildcard item (keyOf returns WILDCARD) counts as any icon.
+     * @param {Array} tray
+     * @param {number} [matchSize] - rules.matchSize
+     * @param {function} [keyOf]
+     * @returns {{ tray: Array, cleared: Array }} cleared items in the order they left the tray
+     */
+    function resolveMatches(tray, matchSize = 3, keyOf = identity) {
+        const newTray = [...tray];
+        const cleared = [];
+
+        let start = findMatch(newTray, matchSize, keyOf);
+        while (start !== -1) {
+            // Remove the match (the first matchSize of the run)
+            newTray.splice(start, matchSize).forEach(item => cleared.push(item));
+            start = findMatch(newTray, matchSize, keyOf);
+        }
+
+        return { tray: newTray, cleared };
+    }
+
+    /**
+     * Put an item in the tray and clear the matches it completes.
+     * @returns {{ tray: Array, cleared: Array }}
+     */
+    function addToTray(tray, item, matchSize = 3, keyOf = identity) {
+        return resolveMatches(insertGrouped(tray, item, keyOf), matchSize, keyOf);
+    }
+
+    /**
+     * Take the first `count` items off the tray (the Remove tool) and clear what is left.
+     * @returns {{ taken: Array, tray: Array, cleared: Array }}
+     */
+    function takeFront(tray, count, matchSize = 3, keyOf = identity) {
+        const result = resolveMatches(tray.slice(count), matchSize, keyOf);
+        return { taken: tray.slice(0, count), tray: result.tray, cleared: result.cleared };
+    }
+
+    /**
+     * Tray order of items listed in pick order (each inserted grouped, no clearing).
+     * Already grouped trays come back unchanged.
+     */
+    function groupTray(items, keyOf = identity) {
+        return items.reduce((tray, item) => insertGrouped(tray, item, keyOf), []);
+    }
+
+    const OverstackTray = {
+        WILDCARD,
+        insertGrouped,
+        resolveMatches,
+        addToTray,
+        takeFront,
+        groupTray
+    };
+
+    // Export for use in game (Node or browser)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OverstackTray;
+    } else {
+        global.OverstackTray = OverstackTray;
+    }
+
+})(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));